@@ -0,0 +1,112 @@
+/**
+ * ANIMATION SCHEDULER MODULE
+ * One frame loop for every map animation (arrows running along strike
+ * arcs, icons moving along movement paths). The loop only runs while
+ * something is animated, pauses while the tab is hidden and holds still
+ * when the user asked for reduced motion.
+ */
+
+// Line symbols are redrawn about 20 times a second; every display frame
+// would make the map provider repaint far more often than needed
+const FRAME_INTERVAL = 50;
+
+// Longest step the clock takes at once, so a stalled frame does not jump
+const MAX_STEP = 200;
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export class AnimationScheduler {
+    constructor() {
+        // Animations by feature id: {step(elapsed), rest(), started}
+        this.animations = new Map();
+        // Milliseconds the loop has been running, paused time excluded
+        this.clock = 0;
+        this.lastFrame = null;
+        this.frame = null;
+
+        this.hidden = document.hidden;
+        document.addEventListener('visibilitychange', () => {
+            this.hidden = document.hidden;
+            this.update();
+        });
+
+        const query = window.matchMedia ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+        this.reducedMotion = Boolean(query && query.matches);
+        if (query && query.addEventListener) {
+            query.addEventListener('change', (event) => {
+                this.reducedMotion = event.matches;
+                if (this.reducedMotion) {
+                    this.animations.forEach(animation => animation.rest());
+                }
+                this.update();
+            });
+        }
+    }
+
+    /**
+     * Animate a feature until it is removed
+     * @param {string} id - replaces an animation already running under this id
+     * @param {{step: function(number), rest: function()}} animation - step
+     *        receives the milliseconds since the animation started; rest
+     *        shows the still frame used when motion is reduced
+     */
+    add(id, { step, rest }) {
+        this.animations.set(id, { step, rest, started: this.clock });
+
+        if (this.reducedMotion) {
+            rest();
+        } else {
+            step(0);
+        }
+        this.update();
+    }
+
+    remove(id) {
+        if (!this.animations.delete(id)) return;
+        this.update();
+    }
+
+    clear() {
+        this.animations.clear();
+        this.update();
+    }
+
+    has(id) {
+        return this.animations.has(id);
+    }
+
+    get size() {
+        return this.animations.size;
+    }
+
+    isPaused() {
+        return this.hidden || this.reducedMotion;
+    }
+
+    // Start or stop the loop to match the animations and the pause state
+    update() {
+        const shouldRun = this.animations.size > 0 && !this.isPaused();
+
+        if (shouldRun && this.frame === null) {
+            this.lastFrame = null;
+            this.frame = requestAnimationFrame(time => this.tick(time));
+        } else if (!shouldRun && this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    tick(time) {
+        this.frame = requestAnimationFrame(next => this.tick(next));
+
+        if (this.lastFrame === null) {
+            this.lastFrame = time;
+            return;
+        }
+        if (time - this.lastFrame < FRAME_INTERVAL) return;
+
+        this.clock += Math.min(time - this.lastFrame, MAX_STEP);
+        this.lastFrame = time;
+        this.animations.forEach(animation => animation.step(this.clock - animation.started));
+    }
+}
@@ -0,0 +1,435 @@
+/**
+ * ANNOTATION TOOLS MODULE
+ * Measuring (geodesic distance over several legs, area, bearing) and
+ * marking up the map (freehand lines, text, arrows) during a discussion.
+ * The markup is drawn into its own map layer, so it is exported with the
+ * view, and can be saved as a named overlay layer.
+ */
+
+import {
+    distance, bearing, pathLength, polygonArea,
+    formatDistance, formatArea, formatBearing
+} from './geo-utils.js';
+
+const ANNOTATION_COLOR = '#ffd34a';
+const LAYER_NAME = 'annotations';
+
+// Freehand points closer than this many screen pixels are dropped
+const FREEHAND_SPACING = 3;
+
+const TOOLS = [
+    { id: 'distance', label: '↔ Distance' },
+    { id: 'area', label: '▱ Area' },
+    { id: 'bearing', label: '∠ Bearing' },
+    { id: 'freehand', label: '✎ Freehand' },
+    { id: 'text', label: 'T Text' },
+    { id: 'arrow', label: '➚ Arrow' }
+];
+
+const TOOL_HINTS = {
+    distance: 'Click to add points. Press Enter or "Finish" when done, Esc to discard.',
+    area: 'Click the corners of the area. Press Enter or "Finish" when done, Esc to discard.',
+    bearing: 'Click the start point, then the point to take the bearing to.',
+    freehand: 'Click to start drawing, move the pointer, click again to stop.',
+    text: 'Click where the note goes, then type it in the list below.',
+    arrow: 'Click the tail of the arrow, then its head.',
+    none: 'Pick a tool to measure or mark up the map.'
+};
+
+// Tools that take any number of clicks and are ended with Finish
+const MULTI_POINT_TOOLS = ['distance', 'area'];
+
+// Tools that are complete after a second click
+const TWO_POINT_TOOLS = ['bearing', 'arrow'];
+
+const DEFAULT_LABELS = {
+    distance: 'Distance',
+    area: 'Area',
+    bearing: 'Bearing',
+    freehand: 'Sketch',
+    text: 'Note',
+    arrow: 'Arrow'
+};
+
+const MIN_POINTS = { distance: 2, area: 3, bearing: 2, freehand: 2, text: 1, arrow: 2 };
+
+/**
+ * Measured value of a distance, area or bearing annotation, e.g. "412 km"
+ * @returns {string|null} null for plain markup
+ */
+export function describeMeasurement(kind, points) {
+    switch (kind) {
+        case 'distance':
+            return points.length > 1 ? formatDistance(pathLength(points)) : null;
+        case 'area':
+            return points.length > 2 ? formatArea(polygonArea(points)) : null;
+        case 'bearing':
+            return points.length > 1
+                ? `${formatBearing(bearing(points[0], points[1]))} · ${formatDistance(distance(points[0], points[1]))}`
+                : null;
+        default:
+            return null;
+    }
+}
+
+export class AnnotationTools {
+    constructor(app) {
+        this.app = app;
+        this.mapEngine = app.mapEngine;
+
+        this.container = document.getElementById('annotation-tools');
+        this.layer = this.mapEngine.getLayer(LAYER_NAME);
+
+        // Finished annotations: {kind, points, label}
+        this.items = [];
+        this.tool = null;
+        // Annotation being drawn, and where the pointer is
+        this.pending = null;
+        this.cursor = null;
+        this.unsubscribers = [];
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.render();
+    }
+
+    setTool(tool) {
+        this.pending = null;
+        this.cursor = null;
+        this.tool = tool;
+
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        document.removeEventListener('keydown', this.onKeyDown);
+
+        if (tool) {
+            // One tool on the map at a time
+            if (this.app.scenarioEditor.tool) {
+                this.app.scenarioEditor.setTool(null);
+            }
+            this.unsubscribers = [
+                this.mapEngine.on('click', (coordinates) => this.onMapClick(coordinates)),
+                this.mapEngine.on('mousemove', (coordinates) => this.onMapMove(coordinates))
+            ];
+            document.addEventListener('keydown', this.onKeyDown);
+        }
+        this.mapEngine.setCursor(tool ? 'crosshair' : null);
+
+        this.draw();
+        this.render();
+    }
+
+    // ---- Map interaction ----
+
+    onMapClick(coordinates) {
+        const tool = this.tool;
+
+        if (tool === 'text') {
+            this.items.push({ kind: 'text', points: [coordinates], label: this.nextLabel('text') });
+            this.draw();
+            this.render();
+            this.focusItem(this.items.length - 1);
+            return;
+        }
+
+        if (!this.pending) {
+            this.pending = { kind: tool, points: [coordinates] };
+        } else if (tool === 'freehand') {
+            this.pending.points.push(coordinates);
+            this.finishPending();
+            return;
+        } else {
+            this.pending.points.push(coordinates);
+            if (TWO_POINT_TOOLS.includes(tool)) {
+                this.finishPending();
+                return;
+            }
+        }
+
+        this.draw();
+        this.render();
+    }
+
+    onMapMove(coordinates) {
+        if (!this.pending) return;
+
+        if (this.pending.kind === 'freehand') {
+            const last = this.pending.points[this.pending.points.length - 1];
+            if (distance(last, coordinates) < this.getMetersPerPixel() * FREEHAND_SPACING) return;
+            this.pending.points.push(coordinates);
+        } else {
+            this.cursor = coordinates;
+        }
+
+        this.draw();
+        this.updateReadout();
+    }
+
+    onKeyDown(event) {
+        if (!this.pending || event.target.matches('input, textarea')) return;
+
+        if (event.key === 'Enter') {
+            this.finishPending();
+        } else if (event.key === 'Escape') {
+            this.pending = null;
+            this.cursor = null;
+            this.draw();
+            this.render();
+        }
+    }
+
+    finishPending() {
+        if (!this.pending) return;
+
+        const { kind, points } = this.pending;
+        this.pending = null;
+        this.cursor = null;
+
+        if (points.length >= MIN_POINTS[kind]) {
+            this.items.push({ kind, points, label: this.nextLabel(kind) });
+        }
+        this.draw();
+        this.render();
+    }
+
+    // Web Mercator ground resolution at the current view
+    getMetersPerPixel() {
+        const view = this.mapEngine.getView();
+        return 156543.03 * Math.cos(view.center[1] * Math.PI / 180) / Math.pow(2, view.zoom);
+    }
+
+    nextLabel(kind) {
+        const count = this.items.filter(item => item.kind === kind).length;
+        return `${DEFAULT_LABELS[kind]} ${count + 1}`;
+    }
+
+    // ---- Drawing ----
+
+    draw() {
+        const features = this.items.flatMap((item, index) => this.getItemFeatures(item, `annotation-${index}`));
+
+        if (this.pending) {
+            const points = this.cursor ? [...this.pending.points, this.cursor] : this.pending.points;
+            const preview = { ...this.pending, points, label: DEFAULT_LABELS[this.pending.kind] };
+            features.push(...this.getItemFeatures(preview, 'annotation-pending'));
+        }
+
+        this.layer.setFeatures(features);
+    }
+
+    /**
+     * Map features for an annotation: its shape and, for measurements, a
+     * text label with the result
+     */
+    getItemFeatures({ kind, points, label }, id) {
+        const measurement = describeMeasurement(kind, points);
+        const properties = { type: 'annotation', annotation: kind, label, measurement: measurement || undefined };
+        const color = ANNOTATION_COLOR;
+        const features = [];
+
+        if (kind === 'text') {
+            return [{ id, kind: 'text', coordinates: points[0], text: label, color, properties }];
+        }
+
+        if (kind === 'area' && points.length > 2) {
+            features.push({
+                id: id,
+                kind: 'polygon',
+                rings: [[...points, points[0]]],
+                color: color,
+                fillOpacity: 0.15,
+                width: 2,
+                properties: { name: label, ...properties }
+            });
+        } else if (points.length > 1) {
+            features.push({
+                id: id,
+                kind: 'line',
+                coordinates: [...points],
+                color: color,
+                width: 2,
+                arrow: kind === 'arrow' || kind === 'bearing',
+                properties: { name: label, ...properties }
+            });
+        }
+
+        if (measurement) {
+            const anchor = kind === 'area'
+                ? [
+                    points.reduce((sum, point) => sum + point[0], 0) / points.length,
+                    points.reduce((sum, point) => sum + point[1], 0) / points.length
+                ]
+                : points[points.length - 1];
+            features.push({
+                id: `${id}-label`,
+                kind: 'text',
+                coordinates: anchor,
+                text: measurement,
+                color: color,
+                properties: { type: 'annotation', annotation: 'text', measurement }
+            });
+        }
+
+        return features;
+    }
+
+    // ---- Panel ----
+
+    render() {
+        const multiPoint = this.pending && MULTI_POINT_TOOLS.includes(this.pending.kind);
+
+        this.container.innerHTML = `
+            <div class="editor-tools annotation-toolbar"></div>
+            <p class="editor-hint">${TOOL_HINTS[this.tool || 'none']}</p>
+            <p class="annotation-readout"></p>
+            ${multiPoint ? '<button type="button" class="editor-action" data-action="finish">Finish</button>' : ''}
+            <ul class="editor-items"></ul>
+            ${this.items.length ? `
+                <div class="editor-field">
+                    <label for="annotation-layer-name">Layer name</label>
+                    <input type="text" id="annotation-layer-name" placeholder="Annotations">
+                </div>
+                <div class="editor-actions">
+                    <button type="button" class="primary-btn" data-action="save">Save as Layer</button>
+                    <button type="button" class="editor-action" data-action="clear">Clear All</button>
+                </div>
+            ` : ''}
+        `;
+
+        const toolbar = this.container.querySelector('.annotation-toolbar');
+        TOOLS.forEach(({ id, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'editor-tool';
+            button.textContent = label;
+            button.classList.toggle('active', this.tool === id);
+            button.setAttribute('aria-pressed', String(this.tool === id));
+            button.addEventListener('click', () => this.setTool(this.tool === id ? null : id));
+            toolbar.appendChild(button);
+        });
+
+        this.container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => this.runAction(button.dataset.action));
+        });
+
+        this.updateReadout();
+        this.renderItems();
+    }
+
+    // Live measurement of the annotation being drawn
+    updateReadout() {
+        const readout = this.container.querySelector('.annotation-readout');
+        let text = '';
+
+        if (this.pending) {
+            const points = this.cursor ? [...this.pending.points, this.cursor] : this.pending.points;
+            const measurement = describeMeasurement(this.pending.kind, points);
+            if (measurement && this.pending.kind === 'distance') {
+                text = `${measurement} over ${points.length - 1} leg${points.length > 2 ? 's' : ''}`;
+            } else if (measurement) {
+                text = measurement;
+            }
+        }
+
+        readout.textContent = text;
+        readout.classList.toggle('hidden', !text);
+    }
+
+    renderItems() {
+        const list = this.container.querySelector('.editor-items');
+
+        this.items.forEach((item, index) => {
+            const row = document.createElement('li');
+            row.className = 'editor-item';
+
+            const label = document.createElement('input');
+            label.type = 'text';
+            label.value = item.label;
+            label.setAttribute('aria-label', `${DEFAULT_LABELS[item.kind]} label`);
+            label.addEventListener('change', () => {
+                item.label = label.value.trim() || this.nextLabel(item.kind);
+                this.draw();
+            });
+
+            const meta = document.createElement('span');
+            meta.className = 'editor-item-meta';
+            meta.textContent = describeMeasurement(item.kind, item.points) || DEFAULT_LABELS[item.kind].toLowerCase();
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'editor-item-remove';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', `Remove ${item.label}`);
+            remove.addEventListener('click', () => {
+                this.items.splice(index, 1);
+                this.draw();
+                this.render();
+            });
+
+            row.append(label, meta, remove);
+            list.appendChild(row);
+        });
+    }
+
+    focusItem(index) {
+        const input = this.container.querySelectorAll('.editor-item input')[index];
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
+
+    runAction(action) {
+        switch (action) {
+            case 'finish':
+                this.finishPending();
+                break;
+            case 'save':
+                this.saveAsLayer(this.container.querySelector('#annotation-layer-name').value.trim() || 'Annotations');
+                break;
+            case 'clear':
+                this.clear();
+                break;
+        }
+    }
+
+    clear() {
+        this.items = [];
+        this.pending = null;
+        this.draw();
+        this.render();
+    }
+
+    // ---- Output ----
+
+    /**
+     * The annotations as GeoJSON features, in the shape overlays use
+     */
+    toFeatures() {
+        return this.items.flatMap((item, index) => this.getItemFeatures(item, `annotation-${index}`))
+            .map(feature => {
+                const properties = Object.fromEntries(
+                    Object.entries(feature.properties).filter(([, value]) => value !== undefined)
+                );
+                switch (feature.kind) {
+                    case 'text':
+                        return { geometry: { type: 'Point', coordinates: feature.coordinates }, properties: { name: feature.text, ...properties } };
+                    case 'polygon':
+                        return { geometry: { type: 'Polygon', coordinates: feature.rings }, properties };
+                    default:
+                        return { geometry: { type: 'LineString', coordinates: feature.coordinates }, properties };
+                }
+            });
+    }
+
+    /**
+     * Move the annotations into a named overlay layer, which is kept
+     * across reloads and can be hidden, restyled or removed
+     */
+    saveAsLayer(name) {
+        this.finishPending();
+        if (this.items.length === 0) return;
+
+        this.app.overlayManager.addOverlay(name, this.toFeatures(), ANNOTATION_COLOR);
+        this.clear();
+    }
+}
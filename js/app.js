@@ -0,0 +1,945 @@
+/**
+ * APPLICATION MODULE
+ * Orchestrates all modules and owns the application state.
+ * Bootstrapped by main.js; importable on its own for headless use.
+ */
+
+import { MapEngine } from './map-engine.js';
+import { ScenarioManager, describeScenarioItem } from './scenario-manager.js';
+import { TimelineController } from './timeline-controller.js';
+import { UIManager } from './ui-manager.js';
+import { ScenarioEditor, loadCustomScenarios } from './scenario-editor.js';
+import { PresentationPlayer } from './presentation-player.js';
+import { OverlayManager } from './overlay-manager.js';
+import { AnnotationTools } from './annotation-tools.js';
+import { CompareView } from './compare-view.js';
+import { ScenarioStepper } from './scenario-stepper.js';
+import { SearchPanel } from './search-panel.js';
+import { OrderOfBattle } from './order-of-battle.js';
+import { UrlState } from './url-state.js';
+import { toGeoJSON, toKML } from './layer-export.js';
+import { WarningsPanel } from './warnings-panel.js';
+import { OfflineSupport } from './offline-support.js';
+import { DATA_FILES, SHARED_SCHEMAS } from './data-files.js';
+import { validateDataFiles } from './data-validator.js';
+import { getUnitStateAt } from './unit-tracks.js';
+import { confidenceOpacity, renderCitations } from './citations.js';
+import { formatDate, parseDate, toIsoDate } from './date-utils.js';
+import { escapeHtml } from './html-utils.js';
+
+export class App {
+    constructor() {
+        this.mapEngine = null;
+        this.scenarioManager = null;
+        this.timelineController = null;
+        this.uiManager = null;
+        this.scenarioEditor = null;
+        this.presentationPlayer = null;
+        this.overlayManager = null;
+        this.annotationTools = null;
+        this.compareView = null;
+        this.searchPanel = null;
+        this.orderOfBattle = null;
+        this.urlState = null;
+        this.offlineSupport = null;
+        this.warningsPanel = null;
+        this.selectedForce = null;
+        
+        this.data = {
+            forces: null,
+            scenarios: null,
+            allies: null,
+            sites: null,
+            timeline: null,
+            presentations: null
+        };
+        
+        this.schemas = {};
+        this.sharedSchemas = [];
+        
+        this.state = {
+            currentScenario: null,
+            timelineDate: null, // Starts at the latest known positions
+            layers: {
+                forces: true,
+                allies: true,
+                targets: false,
+                ranges: false
+            },
+            // Site categories switched off under "Strategic Sites"
+            hiddenSiteCategories: new Set(),
+            // Force units switched off in the order of battle
+            hiddenUnits: new Set(),
+            // Search facet values that restrict the drawn items
+            filters: {
+                type: new Set(),
+                country: new Set(),
+                capability: new Set()
+            },
+            dimLowConfidence: false,
+            symbology: false,
+            labels: true
+        };
+    }
+    
+    async init() {
+        console.log('Initializing Iran Strike Analysis Visualizer...');
+        
+        this.warningsPanel = new WarningsPanel('warnings-panel');
+        
+        this.offlineSupport = new OfflineSupport();
+        this.offlineSupport.listenForDataUpdates();
+        
+        try {
+            // Load all data
+            await this.loadData();
+            
+            // Initialize modules
+            await this.initializeModules();
+            
+            // Setup event listeners
+            this.setupEventListeners();
+            
+            // Hide loading screen
+            this.hideLoadingScreen();
+            
+            // Load initial view
+            this.loadInitialView();
+            
+            // Cache the app for offline use and watch for updates
+            this.offlineSupport.register();
+            
+            console.log('Application initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize application:', error);
+            this.hideLoadingScreen();
+            this.showError(`Failed to load application: ${error.message}. Please refresh the page.`);
+        }
+    }
+    
+    async loadData() {
+        console.log('Loading data...');
+        
+        const fetchJson = (path) =>
+            fetch(path)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${path}: HTTP ${response.status}`);
+                    }
+                    return response.json().catch(error => {
+                        throw new Error(`${path}: invalid JSON (${error.message})`);
+                    });
+                });
+        
+        const schemas = this.schemas;
+        
+        const promises = DATA_FILES.map(({ key, path, schema }) =>
+            Promise.all([
+                fetchJson(path).then(data => { this.data[key] = data; }),
+                // A missing schema only skips validation for that file
+                fetchJson(schema)
+                    .then(data => { schemas[key] = data; })
+                    .catch(error => console.warn(`Schema not loaded - ${error.message}`))
+            ])
+        );
+        
+        const sharedPromises = SHARED_SCHEMAS.map(path =>
+            fetchJson(path)
+                .then(data => { this.sharedSchemas.push(data); })
+                .catch(error => console.warn(`Schema not loaded - ${error.message}`))
+        );
+        
+        await Promise.all([...promises, ...sharedPromises]);
+        console.log('All data loaded successfully');
+        
+        this.validateData(schemas);
+        
+        // Scenarios authored in the editor on this device
+        this.data.scenarios.push(...this.validateCustomScenarios(loadCustomScenarios()));
+    }
+    
+    validateData(schemas) {
+        const problems = validateDataFiles(this.data, schemas, DATA_FILES, this.sharedSchemas);
+        
+        if (problems.length > 0) {
+            console.warn(`Data validation found ${problems.length} problem(s)`, problems);
+            this.warningsPanel.showProblems(problems);
+        }
+    }
+    
+    /**
+     * Saved scenarios are checked against the scenarios schema like the
+     * data files; any that fail are reported and left out
+     */
+    validateCustomScenarios(scenarios) {
+        if (!this.schemas.scenarios) return scenarios;
+        
+        const file = { key: 'scenarios', path: 'saved custom scenarios' };
+        return scenarios.filter((scenario, index) => {
+            const problems = validateDataFiles({ scenarios: [scenario] }, this.schemas, [file], this.sharedSchemas)
+                .map(problem => ({ ...problem, path: problem.path.replace(/^\$\[0\]/, `$[${index}]`) }));
+            
+            if (problems.length > 0) {
+                console.warn(`Custom scenario ${index + 1} was not loaded`, problems);
+                this.warningsPanel.showProblems(problems);
+            }
+            return problems.length === 0;
+        });
+    }
+    
+    async initializeModules() {
+        console.log('Initializing modules...');
+        
+        // Initialize map engine
+        this.mapEngine = new MapEngine('map');
+        await this.mapEngine.init();
+        
+        // Initialize scenario manager
+        this.scenarioManager = new ScenarioManager(this.mapEngine, this.data.scenarios);
+        
+        // Initialize the phase stepper for multi-phase scenarios
+        this.scenarioStepper = new ScenarioStepper(this);
+        
+        // Initialize timeline controller
+        this.timelineController = new TimelineController(this.data.timeline);
+        this.state.timelineDate = this.timelineController.getDate();
+        
+        // Initialize UI manager
+        this.uiManager = new UIManager(this);
+        
+        // Initialize scenario editor
+        this.scenarioEditor = new ScenarioEditor(this);
+        
+        // Initialize presentation player
+        this.presentationPlayer = new PresentationPlayer(this);
+        
+        // Initialize imported overlay layers
+        this.overlayManager = new OverlayManager(this);
+        
+        // Initialize measuring and markup tools
+        this.annotationTools = new AnnotationTools(this);
+        
+        // Initialize before/after comparison
+        this.compareView = new CompareView(this);
+        
+        // Initialize search and filters
+        this.searchPanel = new SearchPanel(this);
+        
+        // Initialize the order-of-battle tree
+        this.orderOfBattle = new OrderOfBattle(this);
+        
+        // Initialize shareable URL state
+        this.urlState = new UrlState(this);
+    }
+    
+    setupEventListeners() {
+        // Layer toggles
+        document.getElementById('toggle-forces').addEventListener('change', (e) => {
+            this.state.layers.forces = e.target.checked;
+            this.updateLayers();
+        });
+        
+        document.getElementById('toggle-allies').addEventListener('change', (e) => {
+            this.state.layers.allies = e.target.checked;
+            this.updateLayers();
+        });
+        
+        document.getElementById('toggle-targets').addEventListener('change', (e) => {
+            this.state.layers.targets = e.target.checked;
+            this.updateLayers();
+        });
+        
+        document.getElementById('toggle-ranges').addEventListener('change', (e) => {
+            this.state.layers.ranges = e.target.checked;
+            this.updateLayers();
+        });
+        
+        // Confidence styling
+        document.getElementById('toggle-confidence').addEventListener('change', (e) => {
+            this.setDimLowConfidence(e.target.checked);
+        });
+        
+        // Info cards for strike paths, zones and movements
+        this.scenarioManager.onItemSelect((selection) => this.showScenarioItemInfo(selection));
+        
+        // Military symbology
+        document.getElementById('toggle-symbology').addEventListener('change', (e) => {
+            this.setSymbology(e.target.checked);
+        });
+        
+        // Names on the map
+        document.getElementById('toggle-labels').addEventListener('change', (e) => {
+            this.setLabels(e.target.checked);
+        });
+        
+        // The symbol legend lists what is on the map
+        this.mapEngine.onMarkersChange(() => {
+            if (this.state.symbology) {
+                this.uiManager.renderSymbolLegend(this.mapEngine.getSymbolLegend());
+            }
+        });
+        
+        // Timeline slider and event markers
+        this.timelineController.onChange((date) => {
+            this.state.timelineDate = date;
+            this.updateTimelineView();
+            this.urlState.schedule();
+        });
+        
+        this.timelineController.onEventSelect((event, phase) => {
+            this.showTimelineEventInfo(event, phase);
+        });
+        
+        // Export buttons
+        document.getElementById('export-geojson-btn').addEventListener('click', () => {
+            this.exportView('geojson');
+        });
+        
+        document.getElementById('export-kml-btn').addEventListener('click', () => {
+            this.exportView('kml');
+        });
+        
+        // Presentation button
+        document.getElementById('autoplay-btn').addEventListener('click', () => {
+            this.togglePresentation();
+        });
+        
+        // Info panel close
+        document.getElementById('close-info').addEventListener('click', () => {
+            this.selectedForce = null;
+            this.uiManager.hideInfoPanel();
+            this.urlState.schedule();
+        });
+        
+        // Camera moves are part of the shareable view
+        this.mapEngine.on('viewchange', () => {
+            this.urlState.schedule();
+        });
+        
+        // Mobile menu toggle
+        document.getElementById('mobile-menu-toggle').addEventListener('click', () => {
+            this.uiManager.toggleMobileMenu();
+        });
+    }
+    
+    loadInitialView() {
+        const linkedView = this.urlState.read();
+        
+        // Set initial camera position (Persian Gulf focus) unless a link sets one
+        if (!linkedView || !linkedView.camera) {
+            this.mapEngine.flyTo({
+                center: [54.0, 27.0], // Persian Gulf
+                zoom: 5.5,
+                pitch: 45,
+                bearing: 0
+            });
+        }
+        
+        // Load forces
+        this.updateLayers();
+        
+        // Show the date and phase the slider starts on
+        this.updateTimelineView();
+        
+        // Render scenario buttons
+        this.renderScenarioButtons();
+        
+        // Render site category toggles and legend entries
+        this.renderSiteCategories();
+        
+        // Render presentation choices
+        this.renderPresentationOptions();
+        
+        // Restore the view from a shared link
+        if (linkedView) {
+            this.urlState.restore();
+        }
+    }
+    
+    renderScenarioButtons() {
+        const container = document.getElementById('scenario-buttons');
+        container.innerHTML = '';
+        
+        this.data.scenarios.forEach((scenario, index) => {
+            const button = document.createElement('button');
+            button.className = 'scenario-btn';
+            button.innerHTML = `
+                <div class="scenario-btn-title">${escapeHtml(scenario.name)}</div>
+                <div class="scenario-btn-desc">${escapeHtml(scenario.description || '')}</div>
+            `;
+            
+            button.addEventListener('click', () => {
+                this.loadScenario(index);
+            });
+            
+            container.appendChild(button);
+        });
+        
+        // Keep custom scenarios searchable
+        this.searchPanel.buildIndex();
+    }
+    
+    renderSiteCategories() {
+        const toggles = document.getElementById('site-category-toggles');
+        const legend = document.getElementById('legend-site-categories');
+        toggles.innerHTML = '';
+        legend.innerHTML = '';
+        
+        this.data.sites.categories.forEach(category => {
+            const toggle = document.createElement('label');
+            toggle.className = 'toggle-switch sub-toggle';
+            toggle.innerHTML = `
+                <input type="checkbox" ${this.state.hiddenSiteCategories.has(category.id) ? '' : 'checked'}>
+                <span class="slider"></span>
+                <span class="legend-icon"></span>
+                <span class="label">${escapeHtml(category.name)}</span>
+            `;
+            toggle.querySelector('.legend-icon').style.background = category.color;
+            toggle.querySelector('input').addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.state.hiddenSiteCategories.delete(category.id);
+                } else {
+                    this.state.hiddenSiteCategories.add(category.id);
+                }
+                this.updateLayers();
+            });
+            toggles.appendChild(toggle);
+            
+            const item = document.createElement('div');
+            item.className = 'legend-item';
+            item.innerHTML = `<span class="legend-icon"></span><span>${escapeHtml(category.name)}</span>`;
+            item.querySelector('.legend-icon').style.background = category.color;
+            legend.appendChild(item);
+        });
+    }
+    
+    /**
+     * Turn a site category back on, e.g. to show a search result
+     */
+    showSiteCategory(categoryId) {
+        if (!this.state.hiddenSiteCategories.delete(categoryId)) return;
+        
+        this.renderSiteCategories();
+        if (this.state.layers.targets) {
+            this.updateLayers();
+        }
+    }
+    
+    /**
+     * Show or hide force units and their strike ranges, e.g. a carrier
+     * group from the order of battle
+     */
+    setUnitsHidden(ids, hidden) {
+        const { hiddenUnits } = this.state;
+        const before = hiddenUnits.size;
+        ids.forEach(id => (hidden ? hiddenUnits.add(id) : hiddenUnits.delete(id)));
+        if (hiddenUnits.size === before) return;
+        
+        this.orderOfBattle.render();
+        this.updateLayers();
+    }
+    
+    getSiteCategory(site) {
+        return this.data.sites.categories.find(category => category.id === site.category) || null;
+    }
+    
+    renderPresentationOptions() {
+        const select = document.getElementById('presentation-select');
+        select.innerHTML = '';
+        
+        this.data.presentations.forEach((presentation, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = presentation.name;
+            select.appendChild(option);
+        });
+        
+        // A single presentation needs no picker
+        select.classList.toggle('hidden', this.data.presentations.length < 2);
+    }
+    
+    loadScenario(index) {
+        // Remove active class from all buttons
+        document.querySelectorAll('.scenario-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        
+        // Add active class to clicked button
+        document.querySelectorAll('.scenario-btn')[index].classList.add('active');
+        
+        // Load scenario
+        this.state.currentScenario = index;
+        this.scenarioManager.loadScenario(this.data.scenarios[index]);
+        
+        // Update status
+        document.getElementById('current-status').textContent = this.data.scenarios[index].name;
+        
+        this.compareView.update();
+        this.urlState.schedule();
+    }
+    
+    clearScenario() {
+        document.querySelectorAll('.scenario-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        
+        this.state.currentScenario = null;
+        this.scenarioManager.clearScenario();
+        this.compareView.update();
+        this.urlState.schedule();
+    }
+    
+    /**
+     * Set several layer toggles at once.
+     * @returns {boolean} whether anything changed
+     */
+    setLayers(layers) {
+        let changed = false;
+        
+        Object.entries(layers).forEach(([key, enabled]) => {
+            if (this.state.layers[key] === enabled) return;
+            
+            this.state.layers[key] = enabled;
+            document.getElementById(`toggle-${key}`).checked = enabled;
+            changed = true;
+        });
+        
+        if (changed) {
+            this.updateLayers();
+        }
+        return changed;
+    }
+    
+    /**
+     * Bring the data layers in line with the toggles, filters and timeline.
+     * Each layer diffs its features, so scenario and overlay layers are
+     * untouched and unchanged markers stay as they are.
+     */
+    updateLayers() {
+        const { layers } = this.state;
+        
+        this.updateLayer('forces', layers.forces, () => this.getForceFeatures());
+        this.updateLayer('allies', layers.allies, () => this.getAllyFeatures());
+        this.updateLayer('targets', layers.targets, () => this.getTargetFeatures());
+        this.updateLayer('ranges', layers.ranges, () => this.getRangeFeatures());
+        
+        document.getElementById('site-category-toggles').classList.toggle('hidden', !layers.targets);
+        
+        this.compareView.update();
+        this.urlState.schedule();
+    }
+    
+    /**
+     * Features of hidden layers are only rebuilt once they are shown again
+     * @param {MapEngine} mapEngine - the main map unless given, e.g. the compare map
+     */
+    updateLayer(name, visible, getFeatures, mapEngine = this.mapEngine) {
+        const layer = mapEngine.getLayer(name);
+        
+        if (visible) {
+            layer.setFeatures(getFeatures());
+        }
+        layer.setVisible(visible);
+    }
+    
+    setDimLowConfidence(enabled) {
+        this.state.dimLowConfidence = enabled;
+        this.scenarioManager.dimLowConfidence = enabled;
+        
+        this.updateLayers();
+        this.scenarioManager.refreshScenario();
+    }
+    
+    setSymbology(enabled) {
+        this.state.symbology = enabled;
+        this.mapEngine.setSymbology(enabled);
+        this.uiManager.setSymbolLegendVisible(enabled);
+        this.compareView.update();
+    }
+    
+    setLabels(enabled) {
+        this.state.labels = enabled;
+        this.mapEngine.setLabelsVisible(enabled);
+        this.compareView.update();
+    }
+    
+    getForceUnits() {
+        return [
+            ...this.data.forces.carriers.map(unit => ({ unit, type: 'carrier' })),
+            ...this.data.forces.escorts.map(unit => ({ unit, type: 'destroyer' })),
+            ...this.data.forces.airbases.map(unit => ({ unit, type: 'airbase' }))
+        ];
+    }
+    
+    getTimelineDate() {
+        return this.state.timelineDate;
+    }
+    
+    /**
+     * @param {Date} date - the timeline date unless given, e.g. for the compare map
+     */
+    getForceFeatures(date = this.getTimelineDate()) {
+        const features = [];
+        
+        this.getForceUnits().forEach(({ unit, type }) => {
+            const { coordinates, opacity, present } = getUnitStateAt(unit, date);
+            // Not arrived yet, left the theatre, switched off or filtered out
+            if (!present || this.state.hiddenUnits.has(unit.id)) return;
+            if (!this.searchPanel.matches('force', unit.id)) return;
+            
+            features.push({
+                kind: 'marker',
+                id: unit.id,
+                coordinates: coordinates,
+                type: type,
+                data: unit,
+                opacity: opacity * confidenceOpacity(unit, this.state.dimLowConfidence),
+                group: unit.group,
+                onClick: () => this.showForceInfo(unit)
+            });
+        });
+        
+        return features;
+    }
+    
+    updateForcePositions() {
+        if (this.state.layers.forces) {
+            this.mapEngine.getLayer('forces').setFeatures(this.getForceFeatures());
+        }
+        if (this.state.layers.ranges) {
+            this.mapEngine.getLayer('ranges').setFeatures(this.getRangeFeatures());
+        }
+        
+        // Keep an open info panel in step with the slider
+        if (this.selectedForce) {
+            this.showForceInfo(this.selectedForce);
+        }
+        
+        // Units that have not arrived or have left are greyed out
+        this.orderOfBattle.render();
+    }
+    
+    getAllyFeatures() {
+        return this.data.allies
+            .filter(ally => this.searchPanel.matches('ally', ally.id))
+            .map(ally => ({
+                kind: 'marker',
+                id: ally.id,
+                coordinates: ally.coordinates,
+                type: 'allied',
+                data: ally,
+                opacity: confidenceOpacity(ally, this.state.dimLowConfidence),
+                onClick: () => this.showAllyInfo(ally)
+            }));
+    }
+    
+    getTargetFeatures() {
+        // Strategic sites from data/sites.json
+        return this.data.sites.sites
+            .filter(site => !this.state.hiddenSiteCategories.has(site.category))
+            .filter(site => this.searchPanel.matches('site', site.id))
+            .map(site => {
+                const category = this.getSiteCategory(site);
+                return {
+                    kind: 'marker',
+                    id: site.id,
+                    coordinates: site.coordinates,
+                    type: 'target',
+                    data: site,
+                    color: category ? category.color : undefined,
+                    opacity: confidenceOpacity(site, this.state.dimLowConfidence),
+                    onClick: () => this.showTargetInfo(site)
+                };
+            });
+    }
+    
+    /**
+     * Strike range circles from the airbases in theatre on a date
+     * @param {Date} date - the timeline date unless given, e.g. for the compare map
+     */
+    getRangeFeatures(date = this.getTimelineDate()) {
+        const features = [];
+        
+        this.data.forces.airbases.forEach(base => {
+            const { coordinates, present } = getUnitStateAt(base, date);
+            if (!present || this.state.hiddenUnits.has(base.id)) return;
+            if (!this.searchPanel.matches('force', base.id)) return;
+            
+            features.push({
+                kind: 'circle',
+                id: `range-${base.id}`,
+                center: coordinates,
+                radius: base.range * 1000, // Convert km to meters
+                color: 'rgba(74, 158, 255, 0.1)',
+                borderColor: 'rgba(74, 158, 255, 0.3)',
+                properties: {
+                    name: `${base.name} strike range`,
+                    type: 'range',
+                    status: base.status,
+                    label: `${base.range} km`
+                }
+            });
+        });
+        
+        return features;
+    }
+    
+    showForceInfo(force) {
+        this.selectedForce = force;
+        this.urlState.schedule();
+        
+        const date = this.getTimelineDate();
+        const { coordinates, present } = getUnitStateAt(force, date);
+        const position = present
+            ? `${coordinates[1].toFixed(2)}°N, ${coordinates[0].toFixed(2)}°E`
+            : 'Not in theatre';
+        
+        const content = `
+            <h3>${force.name}</h3>
+            <p><strong>Type:</strong> ${force.type}</p>
+            <p><strong>Location:</strong> ${force.location}</p>
+            <p><strong>Status:</strong> ${force.status}</p>
+            <p><strong>Position:</strong> ${position}</p>
+            <p>${force.description}</p>
+            <div class="info-meta">
+                <p><strong>As of:</strong> ${formatDate(date)}</p>
+                <p><strong>Capabilities:</strong> ${(force.capabilities || []).join(', ')}</p>
+                ${force.squadrons ? `<p><strong>Squadrons:</strong> ${force.squadrons.map(squadron =>
+                    squadron.aircraft ? `${squadron.name} (${squadron.aircraft})` : squadron.name
+                ).join(', ')}</p>` : ''}
+                <p><strong>Last Updated:</strong> ${force.lastUpdate}</p>
+            </div>
+            ${renderCitations(force)}
+        `;
+        this.uiManager.showInfoPanel(content);
+    }
+    
+    showAllyInfo(ally) {
+        this.selectedForce = null;
+        this.urlState.schedule();
+        
+        const content = `
+            <h3>${ally.name}</h3>
+            <p><strong>Country:</strong> ${ally.country}</p>
+            <p><strong>Type:</strong> ${ally.type}</p>
+            <p>${ally.description}</p>
+            <div class="info-meta">
+                <p><strong>Role:</strong> ${ally.role}</p>
+            </div>
+            ${renderCitations(ally)}
+        `;
+        this.uiManager.showInfoPanel(content);
+    }
+    
+    /**
+     * Sites are edited as data without a code release, so their text is
+     * escaped and only http(s) images are shown
+     */
+    showTargetInfo(site) {
+        this.selectedForce = null;
+        this.urlState.schedule();
+        
+        const category = this.getSiteCategory(site);
+        const imagery = (site.imagery || [])
+            .filter(image => /^https?:\/\//.test(image.url))
+            .map(image => `
+                <figure class="site-imagery">
+                    <img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.caption || site.name)}" loading="lazy">
+                    <figcaption>${escapeHtml([image.caption, image.credit, image.date].filter(Boolean).join(' · '))}</figcaption>
+                </figure>
+            `).join('');
+        
+        const content = `
+            <h3>${escapeHtml(site.name)}</h3>
+            <p><strong>Category:</strong> ${escapeHtml(category ? category.name : site.category)}</p>
+            <p><strong>Position:</strong> ${site.coordinates[1].toFixed(2)}°N, ${site.coordinates[0].toFixed(2)}°E</p>
+            <p>${escapeHtml(site.description)}</p>
+            ${imagery}
+            ${renderCitations(site)}
+        `;
+        this.uiManager.showInfoPanel(content);
+    }
+    
+    /**
+     * Scenario items can come from the editor, so their text is escaped
+     */
+    showScenarioItemInfo({ type, item, scenario }) {
+        this.selectedForce = null;
+        this.urlState.schedule();
+        
+        const { title, noun, measure } = describeScenarioItem(type, item);
+        const phase = (scenario.phases || []).find(each => each.id === item.phase);
+        const notes = item.notes ? `<p>${escapeHtml(item.notes)}</p>` : '';
+        
+        const content = `
+            <h3>${escapeHtml(title)}</h3>
+            <p><strong>Type:</strong> ${noun}</p>
+            <p><strong>Scenario:</strong> ${escapeHtml(scenario.name)}</p>
+            ${phase ? `<p><strong>Phase:</strong> ${escapeHtml(phase.name)}</p>` : ''}
+            <p><strong>${measure.name}:</strong> ${measure.value}</p>
+            ${notes}
+            ${renderCitations(item)}
+        `;
+        this.uiManager.showInfoPanel(content);
+    }
+    
+    showTimelineEventInfo(event, phase) {
+        this.selectedForce = null;
+        this.urlState.schedule();
+        
+        const content = `
+            <h3>${event.title}</h3>
+            <p><strong>Date:</strong> ${formatDate(parseDate(event.date))}</p>
+            <p><strong>Phase:</strong> ${phase.name}</p>
+            <p>${phase.description}</p>
+            ${renderCitations(event)}
+        `;
+        this.uiManager.showInfoPanel(content);
+    }
+    
+    updateTimelineView() {
+        const phase = this.timelineController.getCurrentPhase();
+        
+        document.getElementById('timeline-date').textContent = formatDate(this.getTimelineDate());
+        if (phase) {
+            document.getElementById('current-status').textContent = phase.name;
+        }
+        
+        // Move units to where they were on this date
+        this.updateForcePositions();
+    }
+    
+    /**
+     * Download the visible layers as GeoJSON or KML
+     */
+    exportView(format) {
+        const features = this.mapEngine.getFeatures();
+        const scenario = this.data.scenarios[this.state.currentScenario];
+        const title = [
+            'Strike Analysis',
+            scenario ? scenario.name : null,
+            formatDate(this.getTimelineDate())
+        ].filter(Boolean).join(' - ');
+        const fileName = `strike-analysis-${toIsoDate(this.getTimelineDate())}`;
+        
+        if (format === 'kml') {
+            this.downloadFile(toKML(features, title), `${fileName}.kml`, 'application/vnd.google-earth.kml+xml');
+        } else {
+            const geojson = JSON.stringify(toGeoJSON(features), null, 2);
+            this.downloadFile(geojson, `${fileName}.geojson`, 'application/geo+json');
+        }
+    }
+    
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    }
+    
+    togglePresentation() {
+        if (this.presentationPlayer.isOpen) {
+            this.presentationPlayer.stop();
+            return;
+        }
+        
+        const index = Number(document.getElementById('presentation-select').value) || 0;
+        const presentation = this.data.presentations[index];
+        if (!presentation) return;
+        
+        this.selectedForce = null;
+        this.uiManager.hideInfoPanel();
+        this.setPresentationButton(true);
+        this.presentationPlayer.start(presentation);
+    }
+    
+    /**
+     * The shareable part of the app state, as encoded in the URL
+     */
+    getViewState() {
+        const scenario = this.data.scenarios[this.state.currentScenario];
+        
+        return {
+            scenario: scenario ? scenario.id : null,
+            date: this.state.timelineDate,
+            layers: this.state.layers,
+            camera: this.mapEngine.getView(),
+            unit: this.selectedForce ? this.selectedForce.id : null
+        };
+    }
+    
+    /**
+     * Apply a (partial) view state. Omitted fields are left as they are;
+     * a null scenario or unit clears it.
+     */
+    applyViewState(view) {
+        if (view.layers) {
+            this.setLayers(view.layers);
+        }
+        
+        if (view.date) {
+            this.timelineController.setDate(view.date);
+        }
+        
+        if (view.scenario === null) {
+            this.clearScenario();
+        } else if (view.scenario) {
+            const index = this.data.scenarios.findIndex(scenario => scenario.id === view.scenario);
+            if (index !== -1 && index !== this.state.currentScenario) {
+                this.loadScenario(index);
+            }
+        }
+        
+        if (view.camera) {
+            this.mapEngine.flyTo(view.camera);
+        }
+        
+        if (view.unit !== undefined) {
+            const match = this.getForceUnits().find(({ unit }) => unit.id === view.unit);
+            if (match) {
+                this.showForceInfo(match.unit);
+            } else if (this.selectedForce) {
+                this.selectedForce = null;
+                this.uiManager.hideInfoPanel();
+            }
+        }
+    }
+    
+    applyPresentationStep(step) {
+        this.applyViewState({
+            layers: step.layers,
+            date: step.date ? parseDate(step.date) : undefined,
+            scenario: step.scenario,
+            camera: step.camera
+        });
+        
+        this.mapEngine.setHighlightedMarkers(step.highlight || []);
+    }
+    
+    onPresentationEnd() {
+        this.setPresentationButton(false);
+    }
+    
+    setPresentationButton(isPresenting) {
+        const button = document.getElementById('autoplay-btn');
+        button.querySelector('.btn-icon').textContent = isPresenting ? '■' : '▶';
+        button.querySelector('.btn-label').textContent = isPresenting ? 'Stop Presentation' : 'Start Presentation';
+    }
+    
+    hideLoadingScreen() {
+        const loadingScreen = document.getElementById('loading-screen');
+        setTimeout(() => {
+            loadingScreen.classList.add('hidden');
+        }, 500);
+    }
+    
+    showError(message) {
+        this.warningsPanel.showError(message);
+    }
+}
+
@@ -0,0 +1,64 @@
+/**
+ * CITATIONS MODULE
+ * Renders the sources and confidence rating carried by data items
+ * (units, allies, sites, zones, timeline events).
+ */
+
+import { formatDate, parseDate } from './date-utils.js';
+import { escapeHtml } from './html-utils.js';
+
+// Marker/zone opacity per confidence when low-confidence dimming is on
+const CONFIDENCE_OPACITY = {
+    high: 1,
+    medium: 0.7,
+    low: 0.35
+};
+
+/**
+ * Opacity factor for an item; unrated items are never dimmed
+ */
+export function confidenceOpacity(item, dimLowConfidence) {
+    if (!dimLowConfidence || !item.confidence) return 1;
+    return CONFIDENCE_OPACITY[item.confidence] ?? 1;
+}
+
+/**
+ * Citations block for the info panel
+ */
+export function renderCitations(item) {
+    const sources = item.sources || [];
+    const badge = item.confidence
+        ? `<span class="confidence-badge confidence-${item.confidence}">${item.confidence} confidence</span>`
+        : '<span class="confidence-badge">unrated</span>';
+
+    const list = sources.length
+        ? `<ol class="citations-list">${sources.map(renderSource).join('')}</ol>`
+        : '<p class="citations-empty">No sources recorded</p>';
+
+    return `
+        <div class="citations">
+            <div class="citations-header">
+                <strong>Sources</strong>
+                ${badge}
+            </div>
+            ${list}
+        </div>
+    `;
+}
+
+function renderSource(source) {
+    const title = /^https?:\/\//.test(source.url || '')
+        ? `<a href="${escapeHtml(source.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(source.title)}</a>`
+        : escapeHtml(source.title);
+
+    const details = [
+        escapeHtml(source.publisher),
+        source.date ? formatDate(parseDate(source.date)) : null
+    ].filter(Boolean).join(', ');
+
+    const reference = source.reference
+        ? `<span class="citation-reference">${escapeHtml(source.reference)}</span>`
+        : '';
+
+    return `<li>${title} — ${details}${reference}</li>`;
+}
@@ -0,0 +1,93 @@
+/**
+ * COMPARE DIFF MODULE
+ * What changed between the two sides of a comparison: units that arrived,
+ * left or moved between two dates, and scenario items (strike paths,
+ * zones, movements) added, removed or moved between two scenarios.
+ * Pure functions; compare-view.js shows the result.
+ */
+
+import { getUnitStateAt } from './unit-tracks.js';
+import { distance, formatDistance } from './geo-utils.js';
+
+// Position changes smaller than this are not reported as moves
+export const MOVE_THRESHOLD = 5000; // meters
+
+const SCENARIO_COLLECTIONS = [
+    { key: 'strikePaths', noun: 'Strike path', anchor: path => path.target },
+    { key: 'zones', noun: 'Zone', anchor: zone => zone.center },
+    { key: 'movements', noun: 'Movement', anchor: movement => movement.path[movement.path.length - 1] }
+];
+
+const emptyDiff = () => ({ added: [], removed: [], moved: [] });
+
+/**
+ * @param {Object[]} units - force units, possibly with tracks
+ * @returns {{added: Object[], removed: Object[], moved: Object[]}} entries
+ *          {name, detail}; detail says how far a unit moved
+ */
+export function diffUnits(units, dateA, dateB) {
+    const diff = emptyDiff();
+
+    units.forEach(unit => {
+        const a = getUnitStateAt(unit, dateA);
+        const b = getUnitStateAt(unit, dateB);
+
+        if (!a.present && b.present) {
+            diff.added.push({ name: unit.name, detail: unit.type });
+        } else if (a.present && !b.present) {
+            diff.removed.push({ name: unit.name, detail: unit.type });
+        } else if (a.present && b.present) {
+            const moved = distance(a.coordinates, b.coordinates);
+            if (moved >= MOVE_THRESHOLD) {
+                diff.moved.push({ name: unit.name, detail: formatDistance(moved) });
+            }
+        }
+    });
+
+    return diff;
+}
+
+/**
+ * Scenario items are matched by label within each collection
+ * @param {Object|null} a
+ * @param {Object|null} b
+ */
+export function diffScenarios(a, b) {
+    const diff = emptyDiff();
+
+    SCENARIO_COLLECTIONS.forEach(({ key, noun, anchor }) => {
+        const itemsA = (a && a[key]) || [];
+        const itemsB = (b && b[key]) || [];
+        const labelOf = (item, index) => item.label || `${noun} ${index + 1}`;
+        const byLabelA = new Map(itemsA.map((item, index) => [labelOf(item, index), item]));
+        const byLabelB = new Map(itemsB.map((item, index) => [labelOf(item, index), item]));
+
+        byLabelB.forEach((item, label) => {
+            const previous = byLabelA.get(label);
+            if (!previous) {
+                diff.added.push({ name: label, detail: noun });
+                return;
+            }
+            const moved = distance(anchor(previous), anchor(item));
+            if (moved >= MOVE_THRESHOLD) {
+                diff.moved.push({ name: label, detail: formatDistance(moved) });
+            }
+        });
+
+        byLabelA.forEach((item, label) => {
+            if (!byLabelB.has(label)) {
+                diff.removed.push({ name: label, detail: noun });
+            }
+        });
+    });
+
+    return diff;
+}
+
+export function mergeDiffs(...diffs) {
+    return diffs.reduce((merged, diff) => ({
+        added: [...merged.added, ...diff.added],
+        removed: [...merged.removed, ...diff.removed],
+        moved: [...merged.moved, ...diff.moved]
+    }), emptyDiff());
+}
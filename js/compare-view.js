@@ -0,0 +1,343 @@
+/**
+ * COMPARE VIEW MODULE
+ * Before/after comparison. The main map is the left side and keeps
+ * following the scenario buttons, layer toggles and timeline; a second map
+ * shows the right side: another scenario at the same date, or the same
+ * scenario at another date. The two maps sit side by side or stacked
+ * under a swipe divider, with their cameras kept in step.
+ */
+
+import { MapEngine } from './map-engine.js';
+import { diffUnits, diffScenarios, mergeDiffs } from './compare-diff.js';
+import { formatDate, parseDate, toIsoDate } from './date-utils.js';
+import { escapeHtml } from './html-utils.js';
+
+const LAYOUTS = [
+    { id: 'split', label: '◧ Split' },
+    { id: 'swipe', label: '⇹ Swipe' }
+];
+
+const TARGETS = [
+    { id: 'date', label: 'Another date' },
+    { id: 'scenario', label: 'Another scenario' }
+];
+
+// Longest list shown per kind of change
+const MAX_CHANGES_LISTED = 8;
+
+// Divider keyboard step, in percent of the map width
+const SWIPE_STEP = 5;
+
+const sameView = (a, b) =>
+    Math.abs(a.center[0] - b.center[0]) < 1e-6 &&
+    Math.abs(a.center[1] - b.center[1]) < 1e-6 &&
+    Math.abs(a.zoom - b.zoom) < 1e-3;
+
+export class CompareView {
+    constructor(app) {
+        this.app = app;
+
+        this.panel = document.getElementById('compare-panel');
+        this.mapContainer = document.getElementById('compare-map');
+        this.divider = document.getElementById('compare-divider');
+        this.legend = document.getElementById('legend-compare');
+
+        // Created the first time compare mode starts
+        this.mapEngine = null;
+        this.isActive = false;
+        this.target = 'date';
+        this.layout = 'split';
+        this.scenarioIndex = null;
+        this.date = app.timelineController.end;
+        this.swipePosition = 50;
+        this.unsubscribers = [];
+
+        app.timelineController.onChange(() => this.update());
+
+        this.setupDivider();
+        this.render();
+    }
+
+    async start() {
+        if (this.isActive) return;
+
+        if (!this.mapEngine) {
+            this.mapEngine = new MapEngine('compare-map');
+            await this.mapEngine.init({ provider: this.app.mapEngine.providerName });
+        }
+
+        this.isActive = true;
+        this.mapContainer.classList.remove('hidden');
+        this.legend.classList.remove('hidden');
+        this.applyLayout();
+
+        const main = this.app.mapEngine;
+        this.mapEngine.jumpTo(main.getView());
+        this.unsubscribers = [
+            this.followView(main, this.mapEngine),
+            this.followView(this.mapEngine, main)
+        ];
+
+        this.update();
+        this.render();
+    }
+
+    stop() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        document.body.classList.remove('compare-split', 'compare-swipe');
+        this.mapContainer.classList.add('hidden');
+        this.divider.classList.add('hidden');
+        this.legend.classList.add('hidden');
+        this.app.mapEngine.resize();
+
+        this.render();
+    }
+
+    // Move `to` whenever `from` settles somewhere else
+    followView(from, to) {
+        return from.on('viewchange', (view) => {
+            if (!sameView(view, to.getView())) {
+                to.jumpTo(view);
+            }
+        });
+    }
+
+    setLayout(layout) {
+        this.layout = layout;
+        if (this.isActive) {
+            this.applyLayout();
+            this.update();
+        }
+        this.render();
+    }
+
+    applyLayout() {
+        document.body.classList.toggle('compare-split', this.layout === 'split');
+        document.body.classList.toggle('compare-swipe', this.layout === 'swipe');
+        this.divider.classList.toggle('hidden', this.layout !== 'swipe');
+        this.setSwipePosition(this.swipePosition);
+
+        // Leaflet only notices a new container size when told
+        this.app.mapEngine.resize();
+        this.mapEngine.resize();
+        this.mapEngine.jumpTo(this.app.mapEngine.getView());
+    }
+
+    setupDivider() {
+        const move = (event) => {
+            this.setSwipePosition(event.clientX / window.innerWidth * 100);
+        };
+        const end = () => {
+            window.removeEventListener('pointermove', move);
+            window.removeEventListener('pointerup', end);
+        };
+
+        this.divider.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            window.addEventListener('pointermove', move);
+            window.addEventListener('pointerup', end);
+        });
+
+        this.divider.addEventListener('keydown', (event) => {
+            const step = { ArrowLeft: -SWIPE_STEP, ArrowRight: SWIPE_STEP }[event.key];
+            if (!step) return;
+            event.preventDefault();
+            this.setSwipePosition(this.swipePosition + step);
+        });
+    }
+
+    setSwipePosition(percent) {
+        this.swipePosition = Math.min(Math.max(percent, 0), 100);
+        document.body.style.setProperty('--compare-swipe', `${this.swipePosition}%`);
+        this.divider.setAttribute('aria-valuenow', String(Math.round(this.swipePosition)));
+    }
+
+    // ---- Sides ----
+
+    /**
+     * The scenario and date each side shows
+     * @returns {{left: {scenario: Object|null, date: Date}, right: {scenario: Object|null, date: Date}}}
+     */
+    getSides() {
+        const app = this.app;
+        const left = {
+            scenario: app.data.scenarios[app.state.currentScenario] || null,
+            date: app.getTimelineDate()
+        };
+        const right = this.target === 'date'
+            ? { scenario: left.scenario, date: this.date }
+            : { scenario: app.data.scenarios[this.scenarioIndex] || null, date: left.date };
+
+        return { left, right };
+    }
+
+    describeSide({ scenario, date }) {
+        return `${scenario ? scenario.name : 'No scenario'} · ${formatDate(date)}`;
+    }
+
+    /**
+     * Redraw the right-hand map and the summary, e.g. after the left side changed
+     */
+    update() {
+        if (!this.isActive) return;
+
+        const app = this.app;
+        const { layers } = app.state;
+        const { left, right } = this.getSides();
+
+        app.updateLayer('forces', layers.forces, () => app.getForceFeatures(right.date), this.mapEngine);
+        app.updateLayer('allies', layers.allies, () => app.getAllyFeatures(), this.mapEngine);
+        app.updateLayer('targets', layers.targets, () => app.getTargetFeatures(), this.mapEngine);
+        app.updateLayer('ranges', layers.ranges, () => app.getRangeFeatures(right.date), this.mapEngine);
+        this.mapEngine.getLayer('scenario').setFeatures(
+            right.scenario ? app.scenarioManager.getScenarioFeatures(right.scenario) : []
+        );
+        this.mapEngine.setSymbology(app.state.symbology);
+        this.mapEngine.setLabelsVisible(app.state.labels);
+
+        this.renderLegend(left, right);
+        this.renderSummary(left, right);
+    }
+
+    getDiff(left, right) {
+        const units = this.app.getForceUnits().map(({ unit }) => unit);
+        return mergeDiffs(
+            diffUnits(units, left.date, right.date),
+            diffScenarios(left.scenario, right.scenario)
+        );
+    }
+
+    // ---- Panel ----
+
+    render() {
+        const app = this.app;
+        const timeline = app.timelineController;
+
+        this.panel.innerHTML = `
+            <div class="editor-tools compare-targets"></div>
+            <div class="editor-field compare-target-field"></div>
+            <div class="editor-tools compare-layouts"></div>
+            <button type="button" class="secondary-btn compare-toggle-btn">
+                ${this.isActive ? 'Exit Compare' : 'Start Compare'}
+            </button>
+            <div class="compare-summary"></div>
+        `;
+
+        this.renderChoices('.compare-targets', TARGETS, this.target, (target) => {
+            this.target = target;
+            this.render();
+            this.update();
+        });
+        this.renderChoices('.compare-layouts', LAYOUTS, this.layout, (layout) => this.setLayout(layout));
+
+        const field = this.panel.querySelector('.compare-target-field');
+        if (this.target === 'date') {
+            field.innerHTML = `
+                <label for="compare-date">Right side date</label>
+                <input type="date" id="compare-date">
+            `;
+            const input = field.querySelector('#compare-date');
+            input.min = toIsoDate(timeline.start);
+            input.max = toIsoDate(timeline.end);
+            input.value = toIsoDate(this.date);
+            input.addEventListener('change', () => {
+                if (!input.value) return;
+                const time = Math.min(Math.max(parseDate(input.value).getTime(), timeline.start.getTime()), timeline.end.getTime());
+                this.date = new Date(time);
+                this.update();
+            });
+        } else {
+            field.innerHTML = `
+                <label for="compare-scenario">Right side scenario</label>
+                <select id="compare-scenario" class="presentation-select"></select>
+            `;
+            const select = field.querySelector('#compare-scenario');
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'No scenario';
+            select.appendChild(none);
+            app.data.scenarios.forEach((scenario, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = scenario.name;
+                select.appendChild(option);
+            });
+            select.value = this.scenarioIndex === null ? '' : String(this.scenarioIndex);
+            select.addEventListener('change', () => {
+                this.scenarioIndex = select.value === '' ? null : Number(select.value);
+                this.update();
+            });
+        }
+
+        this.panel.querySelector('.compare-toggle-btn').addEventListener('click', () => {
+            if (this.isActive) {
+                this.stop();
+            } else {
+                this.start();
+            }
+        });
+
+        if (this.isActive) {
+            const { left, right } = this.getSides();
+            this.renderSummary(left, right);
+        }
+    }
+
+    renderChoices(selector, choices, current, onSelect) {
+        const container = this.panel.querySelector(selector);
+
+        choices.forEach(({ id, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'editor-tool';
+            button.textContent = label;
+            button.classList.toggle('active', id === current);
+            button.setAttribute('aria-pressed', String(id === current));
+            button.addEventListener('click', () => onSelect(id));
+            container.appendChild(button);
+        });
+    }
+
+    renderLegend(left, right) {
+        const sides = this.layout === 'split'
+            ? [['Left', left], ['Right', right]]
+            : [['Left of divider', left], ['Right of divider', right]];
+
+        this.legend.innerHTML = sides.map(([name, side], index) => `
+            <div class="legend-item">
+                <span class="compare-side-badge">${index === 0 ? 'A' : 'B'}</span>
+                <span><strong>${name}:</strong> ${escapeHtml(this.describeSide(side))}</span>
+            </div>
+        `).join('');
+    }
+
+    renderSummary(left, right) {
+        const container = this.panel.querySelector('.compare-summary');
+        const diff = this.getDiff(left, right);
+        const total = diff.added.length + diff.removed.length + diff.moved.length;
+
+        const group = (title, entries) => {
+            if (entries.length === 0) return '';
+            const shown = entries.slice(0, MAX_CHANGES_LISTED).map(({ name, detail }) =>
+                `<li>${escapeHtml(name)} <span class="editor-item-meta">${escapeHtml(detail)}</span></li>`
+            ).join('');
+            const more = entries.length > MAX_CHANGES_LISTED
+                ? `<li class="compare-more">and ${entries.length - MAX_CHANGES_LISTED} more</li>`
+                : '';
+            return `<h5>${title} (${entries.length})</h5><ul>${shown}${more}</ul>`;
+        };
+
+        container.innerHTML = `
+            <p class="editor-hint">A: ${escapeHtml(this.describeSide(left))}<br>B: ${escapeHtml(this.describeSide(right))}</p>
+            ${total === 0 ? '<p class="editor-hint">No differences between A and B.</p>' : ''}
+            ${group('Added in B', diff.added)}
+            ${group('Removed in B', diff.removed)}
+            ${group('Moved', diff.moved)}
+        `;
+    }
+}
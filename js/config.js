@@ -0,0 +1,41 @@
+/**
+ * APP CONFIGURATION
+ * Map provider selection and provider-specific settings
+ */
+
+export const config = {
+    // 'google', 'leaflet' or 'auto' (Google when a key is set and reachable, otherwise Leaflet).
+    // 'memory' draws nothing and records features, for headless runs.
+    // Can be overridden per page load with ?map=google, ?map=leaflet or ?map=memory
+    mapProvider: 'auto',
+
+    google: {
+        apiKey: 'YOUR_API_KEY_HERE', // REPLACE WITH YOUR KEY
+        libraries: ['geometry', 'visualization'],
+        loadTimeout: 10000
+    },
+
+    leaflet: {
+        // Leaflet is served from the app itself so it works without network access
+        scriptUrl: 'vendor/leaflet/leaflet.js',
+        styleUrl: 'vendor/leaflet/leaflet.css',
+        // Bundled country outlines drawn under every layer; leave empty for the plain dark background
+        basemapUrl: 'tiles/basemap.geojson',
+        // Locally hosted raster tiles drawn over the basemap, e.g. 'tiles/{z}/{x}/{y}.png' (see tiles/README.md)
+        tileUrl: '',
+        minZoom: 3,
+        maxZoom: 12,
+        maxNativeZoom: 8,
+        attribution: ''
+    }
+};
+
+export function getMapProviderName() {
+    const override = new URLSearchParams(window.location.search).get('map');
+    return override || config.mapProvider;
+}
+
+export function hasGoogleApiKey() {
+    const key = config.google.apiKey;
+    return Boolean(key) && key !== 'YOUR_API_KEY_HERE';
+}
@@ -0,0 +1,18 @@
+/**
+ * DATA FILES
+ * The data/ files the app loads and the schema each one is checked against
+ */
+
+export const DATA_FILES = [
+    { key: 'forces', path: 'data/forces.json', schema: 'data/schemas/forces.schema.json' },
+    { key: 'scenarios', path: 'data/scenarios.json', schema: 'data/schemas/scenarios.schema.json' },
+    { key: 'allies', path: 'data/allies.json', schema: 'data/schemas/allies.schema.json' },
+    { key: 'sites', path: 'data/sites.json', schema: 'data/schemas/sites.schema.json' },
+    { key: 'timeline', path: 'data/timeline.json', schema: 'data/schemas/timeline.schema.json' },
+    { key: 'presentations', path: 'data/presentations.json', schema: 'data/schemas/presentations.schema.json' }
+];
+
+// Definitions the schemas above reference by $id, e.g. "common.schema.json#/$defs/sources"
+export const SHARED_SCHEMAS = [
+    'data/schemas/common.schema.json'
+];
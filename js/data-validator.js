@@ -0,0 +1,192 @@
+/**
+ * DATA VALIDATOR MODULE
+ * Minimal JSON Schema (draft 2020-12 subset) validator for the data/ files.
+ * Runs in the browser at load time and in Node via scripts/validate-data.mjs.
+ *
+ * Supported keywords: $ref (local, or into a shared schema by its $id), allOf, type, enum, required,
+ * properties, items, prefixItems, minItems, maxItems, minimum, maximum,
+ * exclusiveMinimum, minLength, format ("date"), plus the ajv-errors style
+ * errorMessage to replace the generic reason for a schema node.
+ */
+
+export class DataValidator {
+    /**
+     * @param {Object} schema
+     * @param {Object[]} [sharedSchemas] - schemas referenced as "<$id>#/...",
+     *        e.g. "common.schema.json#/$defs/sources"
+     */
+    constructor(schema, sharedSchemas = []) {
+        this.schema = schema;
+        this.sharedSchemas = new Map(sharedSchemas.map(shared => [shared.$id, shared]));
+    }
+
+    /**
+     * @returns {Array<{path: string, message: string}>} empty when valid
+     */
+    validate(data) {
+        const errors = [];
+        this.validateNode(data, this.schema, '$', errors);
+        return errors;
+    }
+
+    // root is the schema document the node belongs to, for resolving its local refs
+    validateNode(value, schema, path, errors, root = this.schema) {
+        if (schema.$ref) {
+            const target = this.resolveRef(schema.$ref, root);
+            this.validateNode(value, target.node, path, errors, target.root);
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(subSchema => this.validateNode(value, subSchema, path, errors, root));
+        }
+
+        const report = (reason) => {
+            errors.push({ path, message: schema.errorMessage || reason });
+        };
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            report(`expected ${[].concat(schema.type).join(' or ')}, got ${this.describeType(value)}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            report(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                report(`${value} is below the minimum of ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                report(`${value} is above the maximum of ${schema.maximum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                report(`${value} must be greater than ${schema.exclusiveMinimum}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                report(`must be at least ${schema.minLength} character(s) long`);
+            }
+            if (schema.format === 'date' && !this.isIsoDate(value)) {
+                report(`"${value}" is not an ISO date (YYYY-MM-DD)`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                report(`must contain at least ${schema.minItems} item(s), found ${value.length}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                report(`must contain at most ${schema.maxItems} item(s), found ${value.length}`);
+            }
+
+            const prefixItems = schema.prefixItems || [];
+            value.forEach((item, index) => {
+                const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+                if (itemSchema) {
+                    this.validateNode(item, itemSchema, `${path}[${index}]`, errors, root);
+                }
+            });
+        }
+
+        if (this.isObject(value)) {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push({ path, message: `missing required property "${key}"` });
+                }
+            });
+
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (key in value) {
+                    this.validateNode(value[key], propertySchema, `${path}.${key}`, errors, root);
+                }
+            });
+        }
+    }
+
+    /**
+     * @returns {{node: Object, root: Object}} the referenced node and the
+     *          schema document it is in
+     */
+    resolveRef(ref, root) {
+        const [schemaId, pointer] = ref.split('#');
+        if (pointer === undefined || !pointer.startsWith('/')) {
+            throw new Error(`Only $ref values with a JSON pointer are supported: ${ref}`);
+        }
+
+        const target = schemaId ? this.sharedSchemas.get(schemaId) : root;
+        if (!target) {
+            throw new Error(`Schema "${schemaId}" is not loaded, needed for $ref: ${ref}`);
+        }
+
+        const resolved = pointer.slice(1).split('/').reduce((node, key) => {
+            if (!node || !(key in node)) {
+                throw new Error(`Unresolvable $ref: ${ref}`);
+            }
+            return node[key];
+        }, target);
+
+        return { node: resolved, root: target };
+    }
+
+    matchesType(value, type) {
+        return [].concat(type).some(expected => {
+            switch (expected) {
+                case 'array': return Array.isArray(value);
+                case 'object': return this.isObject(value);
+                case 'integer': return Number.isInteger(value);
+                case 'number': return typeof value === 'number' && Number.isFinite(value);
+                case 'null': return value === null;
+                default: return typeof value === expected;
+            }
+        });
+    }
+
+    describeType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    isIsoDate(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+    }
+}
+
+/**
+ * Validate every loaded data file against its schema.
+ * @param {Object} data keyed by data file key (forces, scenarios, ...)
+ * @param {Object} schemas keyed by the same keys
+ * @param {Array<{key: string, path: string}>} files see DATA_FILES
+ * @param {Object[]} [sharedSchemas] see SHARED_SCHEMAS
+ * @returns {Array<{file: string, path: string, message: string}>}
+ */
+export function validateDataFiles(data, schemas, files, sharedSchemas = []) {
+    const problems = [];
+
+    files.forEach(({ key, path }) => {
+        const schema = schemas[key];
+        if (!schema) return;
+
+        try {
+            new DataValidator(schema, sharedSchemas).validate(data[key]).forEach(error => {
+                problems.push({ file: path, ...error });
+            });
+        } catch (error) {
+            // A broken or missing schema is reported like a data problem
+            problems.push({ file: path, path: '$', message: error.message });
+        }
+    });
+
+    return problems;
+}
+
+export function formatProblem({ file, path, message }) {
+    return `${file} ${path}: ${message}`;
+}
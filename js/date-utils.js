@@ -0,0 +1,31 @@
+/**
+ * DATE UTILITIES
+ * ISO date parsing and display formatting, always in UTC
+ */
+
+export const DAY = 24 * 60 * 60 * 1000;
+
+export function parseDate(value) {
+    return new Date(`${value}T00:00:00Z`);
+}
+
+export function toIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+export function formatDate(date) {
+    return date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+export function formatShortDate(date) {
+    return date.toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
@@ -0,0 +1,183 @@
+/**
+ * GEO UTILITIES
+ * Spherical-earth helpers for [lng, lat] coordinates
+ */
+
+export const EARTH_RADIUS = 6371008.8; // meters
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Great-circle distance in meters
+ */
+export function distance(from, to) {
+    const lat1 = toRadians(from[1]);
+    const lat2 = toRadians(to[1]);
+    const dLat = lat2 - lat1;
+    const dLng = toRadians(to[0] - from[0]);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Initial bearing in degrees clockwise from north (0-360)
+ */
+export function bearing(from, to) {
+    const lat1 = toRadians(from[1]);
+    const lat2 = toRadians(to[1]);
+    const dLng = toRadians(to[0] - from[0]);
+
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) -
+        Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Point reached travelling `meters` from `origin` on the given bearing
+ */
+export function destination(origin, bearingDegrees, meters) {
+    const angular = meters / EARTH_RADIUS;
+    const theta = toRadians(bearingDegrees);
+    const lat1 = toRadians(origin[1]);
+    const lng1 = toRadians(origin[0]);
+
+    const lat2 = Math.asin(
+        Math.sin(lat1) * Math.cos(angular) +
+        Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+    );
+    const lng2 = lng1 + Math.atan2(
+        Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+        Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+
+    return [((toDegrees(lng2) + 540) % 360) - 180, toDegrees(lat2)];
+}
+
+/**
+ * Point a fraction (0-1) of the way along the great circle from `from` to `to`
+ */
+export function intermediatePoint(from, to, fraction) {
+    const lat1 = toRadians(from[1]);
+    const lng1 = toRadians(from[0]);
+    const lat2 = toRadians(to[1]);
+    const lng2 = toRadians(to[0]);
+    const angular = distance(from, to) / EARTH_RADIUS;
+    if (angular === 0 || fraction === 0) return [...from];
+    if (fraction === 1) return [...to];
+
+    const a = Math.sin((1 - fraction) * angular) / Math.sin(angular);
+    const b = Math.sin(fraction * angular) / Math.sin(angular);
+    const x = a * Math.cos(lat1) * Math.cos(lng1) + b * Math.cos(lat2) * Math.cos(lng2);
+    const y = a * Math.cos(lat1) * Math.sin(lng1) + b * Math.cos(lat2) * Math.sin(lng2);
+    const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+    return [toDegrees(Math.atan2(y, x)), toDegrees(Math.atan2(z, Math.hypot(x, y)))];
+}
+
+/**
+ * The path with each leg following its great circle, with a point at
+ * least every `spacing` meters, for maps that draw straight segments
+ */
+export function greatCirclePath(path, spacing = 50000) {
+    const result = path.length > 0 ? [[...path[0]]] : [];
+    for (let i = 1; i < path.length; i++) {
+        const segments = Math.max(1, Math.ceil(distance(path[i - 1], path[i]) / spacing));
+        for (let j = 1; j <= segments; j++) {
+            result.push(intermediatePoint(path[i - 1], path[i], j / segments));
+        }
+    }
+    return result;
+}
+
+/**
+ * Great-circle path from `from` to `to` bowed sideways: each point is moved
+ * to the left of the direction of travel, by `bulge` meters at the middle
+ * and less towards the ends
+ * @returns {number[][]} segments + 1 points
+ */
+export function curvedPath(from, to, bulge, segments = 64) {
+    const path = [];
+    for (let i = 0; i <= segments; i++) {
+        const fraction = i / segments;
+        const point = intermediatePoint(from, to, fraction);
+        const offset = bulge * Math.sin(Math.PI * fraction);
+
+        if (offset > 0 && fraction < 1) {
+            path.push(destination(point, bearing(point, to) - 90, offset));
+        } else {
+            path.push(point);
+        }
+    }
+    return path;
+}
+
+/**
+ * Closed ring approximating a geodesic circle, e.g. for export as a polygon.
+ * Wound counter-clockwise, as GeoJSON expects for outer rings.
+ */
+export function circlePolygon(center, radius, segments = 64) {
+    const ring = [];
+    for (let i = 0; i < segments; i++) {
+        ring.push(destination(center, 360 - i * 360 / segments, radius));
+    }
+    ring.push(ring[0]);
+    return ring;
+}
+
+/**
+ * Total geodesic length of a multi-point path in meters
+ */
+export function pathLength(path) {
+    let total = 0;
+    for (let i = 1; i < path.length; i++) {
+        total += distance(path[i - 1], path[i]);
+    }
+    return total;
+}
+
+export function formatDistance(meters) {
+    if (meters >= 10000) {
+        return `${Math.round(meters / 1000).toLocaleString()} km`;
+    }
+    if (meters >= 1000) {
+        return `${(meters / 1000).toFixed(1)} km`;
+    }
+    return `${Math.round(meters)} m`;
+}
+
+/**
+ * Area of a ring on the sphere in square meters; the ring may be open or
+ * closed and wound either way
+ */
+export function polygonArea(ring) {
+    let total = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [lng1, lat1] = ring[i];
+        const [lng2, lat2] = ring[(i + 1) % ring.length];
+        total += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+    }
+    return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+export function formatArea(squareMeters) {
+    if (squareMeters >= 10000000) {
+        return `${Math.round(squareMeters / 1000000).toLocaleString()} km²`;
+    }
+    if (squareMeters >= 1000000) {
+        return `${(squareMeters / 1000000).toFixed(1)} km²`;
+    }
+    return `${Math.round(squareMeters).toLocaleString()} m²`;
+}
+
+/**
+ * Three-digit compass bearing, e.g. "047°"
+ */
+export function formatBearing(degrees) {
+    return `${String(Math.round(degrees) % 360).padStart(3, '0')}°`;
+}
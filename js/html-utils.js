@@ -0,0 +1,12 @@
+/**
+ * HTML UTILITIES
+ * Helpers for building info panel markup from data that may be untrusted
+ */
+
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
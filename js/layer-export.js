@@ -0,0 +1,178 @@
+/**
+ * LAYER EXPORT MODULE
+ * Serializes map features (MapEngine.getFeatures()) to GeoJSON and KML
+ * so briefing layers can be opened in GIS tools.
+ */
+
+import { circlePolygon } from './geo-utils.js';
+
+const CIRCLE_SEGMENTS = 64;
+
+/**
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function toGeoJSON(features) {
+    return {
+        type: 'FeatureCollection',
+        features: features.map(feature => ({
+            type: 'Feature',
+            id: feature.id,
+            geometry: toGeoJSONGeometry(feature.geometry),
+            properties: {
+                ...definedProperties(feature),
+                // simplestyle-spec keys, understood by most GeoJSON viewers
+                ...styleProperties(feature)
+            }
+        }))
+    };
+}
+
+/**
+ * @returns {string} KML document
+ */
+export function toKML(features, documentName) {
+    const placemarks = features.map(feature => {
+        const properties = definedProperties(feature);
+        const data = Object.entries(properties)
+            .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+            .join('');
+
+        return [
+            `    <Placemark id="${escapeXml(feature.id)}">`,
+            `      <name>${escapeXml(properties.name || properties.label || feature.id)}</name>`,
+            properties.label ? `      <description>${escapeXml(properties.label)}</description>` : null,
+            `      ${toKMLStyle(feature)}`,
+            `      <ExtendedData>${data}</ExtendedData>`,
+            `      ${toKMLGeometry(feature.geometry)}`,
+            '    </Placemark>'
+        ].filter(line => line !== null).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(documentName)}</name>`,
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+function toGeoJSONGeometry(geometry) {
+    if (geometry.type === 'Circle') {
+        return {
+            type: 'Polygon',
+            coordinates: [circlePolygon(geometry.center, geometry.radius, CIRCLE_SEGMENTS)]
+        };
+    }
+    return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+function toKMLGeometry(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point><coordinates>${toKMLCoordinates([geometry.coordinates])}</coordinates></Point>`;
+        case 'LineString':
+            return `<LineString><tessellate>1</tessellate><coordinates>${toKMLCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+        case 'Circle':
+            return toKMLPolygon([circlePolygon(geometry.center, geometry.radius, CIRCLE_SEGMENTS)]);
+        case 'Polygon':
+            return toKMLPolygon(geometry.coordinates);
+        default:
+            throw new Error(`Cannot export geometry type "${geometry.type}"`);
+    }
+}
+
+function toKMLPolygon(rings) {
+    const boundary = (ring) => `<LinearRing><coordinates>${toKMLCoordinates(ring)}</coordinates></LinearRing>`;
+    const [outer, ...holes] = rings;
+
+    return `<Polygon><tessellate>1</tessellate><outerBoundaryIs>${boundary(outer)}</outerBoundaryIs>` +
+        holes.map(hole => `<innerBoundaryIs>${boundary(hole)}</innerBoundaryIs>`).join('') +
+        '</Polygon>';
+}
+
+function toKMLCoordinates(points) {
+    return points.map(point => point.join(',')).join(' ');
+}
+
+function toKMLStyle({ geometry, style }) {
+    const stroke = parseColor(style.color);
+
+    if (geometry.type === 'Point') {
+        return `<Style><IconStyle><color>${toKMLColor(stroke)}</color></IconStyle></Style>`;
+    }
+
+    const line = `<LineStyle><color>${toKMLColor(stroke)}</color><width>2</width></LineStyle>`;
+    if (geometry.type === 'Circle' || geometry.type === 'Polygon') {
+        const fill = fillColor(style);
+        return `<Style>${line}<PolyStyle><color>${toKMLColor(fill)}</color></PolyStyle></Style>`;
+    }
+    return `<Style>${line}</Style>`;
+}
+
+function definedProperties({ geometry, properties }) {
+    const result = Object.fromEntries(
+        Object.entries(properties).filter(([, value]) => value !== undefined && value !== null)
+    );
+    if (geometry.type === 'Circle') {
+        result.radius = geometry.radius;
+    }
+    return result;
+}
+
+function styleProperties({ geometry, style }) {
+    const stroke = parseColor(style.color);
+
+    if (geometry.type === 'Point') {
+        return { 'marker-color': stroke.hex };
+    }
+
+    const properties = { stroke: stroke.hex, 'stroke-opacity': stroke.opacity };
+    if (geometry.type === 'Circle' || geometry.type === 'Polygon') {
+        const fill = fillColor(style);
+        properties.fill = fill.hex;
+        properties['fill-opacity'] = fill.opacity;
+    }
+    return properties;
+}
+
+function fillColor(style) {
+    const fill = parseColor(style.fillColor);
+    return style.fillOpacity === undefined ? fill : { ...fill, opacity: style.fillOpacity };
+}
+
+/**
+ * '#rrggbb' or 'rgba(r, g, b, a)' to { hex, opacity }; anything else is white
+ */
+function parseColor(color) {
+    const hexMatch = /^#([0-9a-f]{6})$/i.exec(color || '');
+    if (hexMatch) {
+        return { hex: `#${hexMatch[1].toLowerCase()}`, opacity: 1 };
+    }
+
+    const rgbaMatch = /^rgba?\(([^)]+)\)$/i.exec(color || '');
+    if (rgbaMatch) {
+        const [r, g, b, a = 1] = rgbaMatch[1].split(',').map(Number);
+        const hex = [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+        return { hex: `#${hex}`, opacity: a };
+    }
+
+    return { hex: '#ffffff', opacity: 1 };
+}
+
+// KML colors are aabbggrr
+function toKMLColor({ hex, opacity }) {
+    const alpha = Math.round(opacity * 255).toString(16).padStart(2, '0');
+    return `${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -1,184 +1,110 @@
 /**
- * MAP ENGINE MODULE - GOOGLE MAPS VERSION
- * Handles all Google Maps operations, markers, layers, animations
+ * MAP ENGINE MODULE
+ * Handles markers, layers and animations on top of a pluggable map provider
  */
 
+import { getMapProviderName } from './config.js';
+import { createMapProvider, resolveProviderNames } from './providers/index.js';
+import { computeLevelOfDetail, getExpansionZoom } from './marker-clusters.js';
+import { MapLayer } from './map-layers.js';
+import { AnimationScheduler } from './animation-scheduler.js';
+import { getSymbolSpec, getSymbolKey, describeSymbol, renderSymbol, symbolToDataUrl, SYMBOL_SIZE } from './military-symbols.js';
+import { placeLabels, renderTextLabel, getLabelColors, MARKER_LABEL_MIN_ZOOM } from './map-labels.js';
+import { distance, curvedPath } from './geo-utils.js';
+
+// Milliseconds for an arrow to run along a strike arc, and an icon along a movement
+const ARC_PERIOD = 10000;
+const MOVEMENT_PERIOD = 8000;
+
+// Milliseconds for a 'draw' arc to be drawn from its origin
+const ARC_DRAW_DURATION = 3000;
+
+// An arc of height 1 bows sideways by this share of its length
+const ARC_BULGE = 0.25;
+const ARC_SEGMENTS = 64;
+
+// Font size of free-standing text such as annotations
+const TEXT_FONT_SIZE = 13;
+
+// Labels of scenario items win over marker names, and both over range labels
+const LABEL_PRIORITY = {
+    scenario: 10,
+    marker: 1,
+    other: 0
+};
+
 export class MapEngine {
     constructor(containerId) {
         this.containerId = containerId;
-        this.map = null;
+        this.provider = null;
+        this.providerName = null;
         this.markers = new Map();
         this.circles = new Map();
         this.polylines = new Map();
         this.polygons = new Map();
+        this.textLabels = new Map();
         this.infoWindows = new Map();
+        // Named layers owning the features above, see getLayer
+        this.layers = new Map();
+        // Drives every line animation from one frame loop, by feature id
+        this.animations = new AnimationScheduler();
+        this.highlightedIds = new Set();
+        // Count badges drawn in place of merged markers, rebuilt on each pass
+        this.clusterMarkers = [];
+        this.levelOfDetailZoom = null;
+        this.levelOfDetailScheduled = false;
+        // Positions of the count badges, which labels keep clear of
+        this.clusterCenters = [];
+        // Map labels by the id of the feature they name, rebuilt on each pass
+        this.labelMarkers = new Map();
+        this.labelsVisible = true;
+        this.labelsScheduled = false;
+        // Draw APP-6 style symbols instead of colored dots
+        this.symbology = false;
+        this.markerListeners = [];
+        // Set while a map tool such as the scenario editor has the pointer
+        this.cursor = null;
+        // Geometry and descriptive properties of everything drawn, for export
+        this.features = new Map();
         this.isInitialized = false;
     }
     
-    async init() {
+    /**
+     * @param {{provider?: string}} options - provider skips the configured
+     *        choice, e.g. so a second map uses the same backend as the first
+     */
+    async init({ provider: providerName } = {}) {
         // Set loading background
         const container = document.getElementById(this.containerId);
         container.style.backgroundColor = '#0a1929';
         
-        try {
-            // Wait for Google Maps to load
-            await this.waitForGoogleMaps();
-            
-            // Initialize map with dark theme
-            this.map = new google.maps.Map(container, {
-                center: { lat: 27.0, lng: 54.0 }, // Persian Gulf
-                zoom: 6,
-                mapTypeId: 'hybrid', // Satellite with labels
-                styles: this.getDarkMapStyles(),
-                disableDefaultUI: true,
-                zoomControl: true,
-                mapTypeControl: false,
-                scaleControl: true,
-                streetViewControl: false,
-                rotateControl: true,
-                fullscreenControl: false,
-                gestureHandling: 'greedy',
-                tilt: 45,
-                backgroundColor: '#0a1929'
-            });
-            
-            this.isInitialized = true;
-            console.log('Google Maps loaded successfully');
-            
-            // Add custom controls
-            this.addCustomControls();
-            
-        } catch (error) {
-            console.error('Failed to initialize Google Maps:', error);
-            this.showMapError();
-        }
-    }
-    
-    async waitForGoogleMaps() {
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                reject(new Error('Google Maps failed to load'));
-            }, 10000);
-            
-            const checkGoogle = setInterval(() => {
-                if (typeof google !== 'undefined' && google.maps) {
-                    clearInterval(checkGoogle);
-                    clearTimeout(timeout);
-                    resolve();
-                }
-            }, 100);
-        });
-    }
-    
-    getDarkMapStyles() {
-        return [
-            { elementType: "geometry", stylers: [{ color: "#0a1929" }] },
-            { elementType: "labels.text.stroke", stylers: [{ color: "#0a1929" }] },
-            { elementType: "labels.text.fill", stylers: [{ color: "#4a9eff" }] },
-            {
-                featureType: "administrative.locality",
-                elementType: "labels.text.fill",
-                stylers: [{ color: "#4a9eff" }]
-            },
-            {
-                featureType: "poi",
-                elementType: "labels.text.fill",
-                stylers: [{ color: "#8a9bb5" }]
-            },
-            {
-                featureType: "poi.park",
-                elementType: "geometry",
-                stylers: [{ color: "#1a2940" }]
-            },
-            {
-                featureType: "poi.park",
-                elementType: "labels.text.fill",
-                stylers: [{ color: "#6b9a76" }]
-            },
-            {
-                featureType: "road",
-                elementType: "geometry",
-                stylers: [{ color: "#1a2940" }]
-            },
-            {
-                featureType: "road",
-                elementType: "geometry.stroke",
-                stylers: [{ color: "#0a1929" }]
-            },
-            {
-                featureType: "road",
-                elementType: "labels.text.fill",
-                stylers: [{ color: "#8a9bb5" }]
-            },
-            {
-                featureType: "road.highway",
-                elementType: "geometry",
-                stylers: [{ color: "#2a3950" }]
-            },
-            {
-                featureType: "road.highway",
-                elementType: "geometry.stroke",
-                stylers: [{ color: "#1a2940" }]
-            },
-            {
-                featureType: "road.highway",
-                elementType: "labels.text.fill",
-                stylers: [{ color: "#4a9eff" }]
-            },
-            {
-                featureType: "transit",
-                elementType: "geometry",
-                stylers: [{ color: "#1a2940" }]
-            },
-            {
-                featureType: "transit.station",
-                elementType: "labels.text.fill",
-                stylers: [{ color: "#8a9bb5" }]
-            },
-            {
-                featureType: "water",
-                elementType: "geometry",
-                stylers: [{ color: "#0a1929" }]
-            },
-            {
-                featureType: "water",
-                elementType: "labels.text.fill",
-                stylers: [{ color: "#4a9eff" }]
-            },
-            {
-                featureType: "water",
-                elementType: "labels.text.stroke",
-                stylers: [{ color: "#0a1929" }]
-            }
-        ];
-    }
-    
-    addCustomControls() {
-        // Map type toggle button
-        const mapTypeButton = document.createElement('button');
-        mapTypeButton.textContent = 'Satellite';
-        mapTypeButton.className = 'custom-map-control';
-        mapTypeButton.style.cssText = `
-            background: rgba(18, 24, 38, 0.95);
-            border: 1px solid rgba(74, 158, 255, 0.3);
-            color: #4a9eff;
-            padding: 8px 12px;
-            margin: 10px;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 12px;
-            font-weight: 600;
-            backdrop-filter: blur(10px);
-        `;
+        const view = { center: [54.0, 27.0], zoom: 6 }; // Persian Gulf
+        const names = providerName ? [providerName] : resolveProviderNames(getMapProviderName());
         
-        let isSatellite = true;
-        mapTypeButton.addEventListener('click', () => {
-            isSatellite = !isSatellite;
-            this.map.setMapTypeId(isSatellite ? 'hybrid' : 'roadmap');
-            mapTypeButton.textContent = isSatellite ? 'Satellite' : 'Map';
-        });
+        for (const name of names) {
+            try {
+                const provider = createMapProvider(name);
+                await provider.init(container, view);
+                
+                this.provider = provider;
+                this.providerName = name;
+                this.isInitialized = true;
+                
+                // Clusters only depend on the zoom, so pans need no new pass
+                provider.on('viewchange', (current) => {
+                    if (current.zoom !== this.levelOfDetailZoom) {
+                        this.scheduleLevelOfDetail();
+                    }
+                });
+                console.log(`Map provider "${name}" loaded successfully`);
+                return;
+            } catch (error) {
+                console.error(`Failed to initialize map provider "${name}":`, error);
+                container.innerHTML = '';
+            }
+        }
         
-        this.map.controls[google.maps.ControlPosition.TOP_RIGHT].push(mapTypeButton);
+        this.showMapError();
     }
     
     showMapError() {
@@ -198,82 +124,474 @@ export class MapEngine {
                 <div style="font-size: 48px; margin-bottom: 20px;">⚠️</div>
                 <h2 style="margin-bottom: 10px; color: #4a9eff;">Map Loading Issue</h2>
                 <p style="color: #8a9bb5; max-width: 400px; line-height: 1.6;">
-                    Unable to load Google Maps. Please:<br><br>
-                    1. Get a free API key at <a href="https://console.cloud.google.com/google/maps-apis" target="_blank" style="color: #4a9eff;">Google Cloud Console</a><br>
-                    2. Enable Maps JavaScript API<br>
-                    3. Replace key in index.html (line 95)<br>
-                    4. Refresh the page
+                    Unable to load a map provider. Either:<br><br>
+                    1. Serve vendor/leaflet/ with the app for the offline map, or<br>
+                    2. Set a Google Maps API key in js/config.js<br>
+                    3. Refresh the page
                 </p>
             </div>
         `;
     }
     
     flyTo(options) {
-        if (!this.map) return;
+        if (!this.provider) return;
         
-        this.map.panTo({ lat: options.center[1], lng: options.center[0] });
-        this.map.setZoom(options.zoom || 6);
+        // Scenario data uses pitch/bearing; providers use tilt/heading
+        this.provider.flyTo({
+            ...options,
+            tilt: options.tilt !== undefined ? options.tilt : options.pitch,
+            heading: options.heading !== undefined ? options.heading : options.bearing
+        });
+    }
+    
+    /**
+     * Move the camera without animating; takes getView() output
+     */
+    jumpTo(view) {
+        if (!this.provider) return;
+        
+        this.provider.jumpTo(view);
+    }
+    
+    resize() {
+        if (!this.provider) return;
+        
+        this.provider.resize();
+    }
+    
+    getView() {
+        if (!this.provider) return null;
+        
+        return this.provider.getView();
+    }
+    
+    on(eventName, handler) {
+        if (!this.provider) return () => {};
         
-        if (options.tilt !== undefined) {
-            this.map.setTilt(options.tilt);
+        return this.provider.on(eventName, handler);
+    }
+    
+    /**
+     * While a tool sets a cursor, clicks on circles and lines only reach the
+     * tool's map click listener
+     */
+    setCursor(cursor) {
+        if (!this.provider) return;
+        
+        this.cursor = cursor;
+        this.provider.setCursor(cursor);
+    }
+    
+    // Feature click handler that stands back while a tool has the pointer
+    getShapeClick(onClick) {
+        if (!onClick) return undefined;
+        return () => {
+            if (!this.cursor) onClick();
+        };
+    }
+    
+    /**
+     * The named layer, created on first use. Each logical layer (forces,
+     * ranges, the active scenario, ...) owns its features, so one can be
+     * shown, hidden or updated without touching the others.
+     * @returns {MapLayer}
+     */
+    getLayer(name) {
+        if (!this.layers.has(name)) {
+            this.layers.set(name, new MapLayer(this, name));
+        }
+        return this.layers.get(name);
+    }
+    
+    /**
+     * color overrides the fill for the marker type, e.g. for imported overlays.
+     * group is the id of the carrier an escort sails with; at low zoom the
+     * escort is drawn as part of that carrier's group symbol.
+     */
+    addMarker({ id, coordinates, type, data, onClick, opacity, color, group }) {
+        if (!this.provider) return;
+        
+        const fillColor = color || this.getMarkerColor(type);
+        
+        // Drawn (or folded into a cluster) by the next level-of-detail pass
+        this.markers.set(id, {
+            marker: null,
+            drawnAs: null,
+            data: data,
+            type: type,
+            coordinates: coordinates,
+            opacity: opacity,
+            fillColor: fillColor,
+            group: group,
+            onClick: onClick
+        });
+        this.features.set(id, {
+            geometry: { type: 'Point', coordinates },
+            properties: {
+                name: data.name,
+                type: data.type || type,
+                category: type,
+                status: data.status
+            },
+            style: { color: fillColor }
+        });
+        
+        this.scheduleLevelOfDetail();
+    }
+    
+    updateMarker(id, { coordinates, opacity }) {
+        const entry = this.markers.get(id);
+        if (!entry) return;
+        
+        if (coordinates) {
+            entry.coordinates = coordinates;
+            if (entry.marker) entry.marker.setPosition(coordinates);
+            this.features.get(id).geometry.coordinates = coordinates;
+            this.scheduleLevelOfDetail();
         }
-        if (options.heading !== undefined) {
-            this.map.setHeading(options.heading);
+        if (opacity !== undefined) {
+            entry.opacity = opacity;
+            if (entry.marker) entry.marker.setOpacity(opacity);
         }
     }
     
-    addMarker({ id, coordinates, type, data, onClick }) {
-        if (!this.map) return;
+    setHighlightedMarkers(ids) {
+        this.highlightedIds = new Set(ids);
+        
+        this.markers.forEach(({ marker }, id) => {
+            if (marker && marker.setHighlighted) {
+                marker.setHighlighted(this.highlightedIds.has(id));
+            }
+        });
         
-        const position = { lat: coordinates[1], lng: coordinates[0] };
+        // Highlighted markers are never hidden in a cluster
+        this.scheduleLevelOfDetail();
+    }
+    
+    /**
+     * Switch between colored dots and military symbols
+     */
+    setSymbology(enabled) {
+        if (this.symbology === enabled) return;
         
-        // Create custom marker icon
-        const icon = {
-            path: type === 'airbase' 
-                ? 'M 0,-2 L 2,2 L 0,1.5 L -2,2 Z' // Square for airbase
-                : google.maps.SymbolPath.CIRCLE, // Circle for others
-            fillColor: this.getMarkerColor(type),
-            fillOpacity: 1,
-            strokeColor: this.getMarkerBorderColor(type),
-            strokeWeight: 2,
-            scale: this.getMarkerSize(type),
-            anchor: new google.maps.Point(0, 0)
+        this.symbology = enabled;
+        this.markers.forEach(entry => {
+            if (entry.type !== 'handle') entry.drawnAs = 'stale';
+        });
+        this.updateLevelOfDetail();
+    }
+    
+    /**
+     * Subscribe to changes of the set of markers on the map, after each redraw
+     * @returns {Function} unsubscribe
+     */
+    onMarkersChange(handler) {
+        this.markerListeners.push(handler);
+        return () => {
+            this.markerListeners = this.markerListeners.filter(listener => listener !== handler);
         };
+    }
+    
+    /**
+     * One entry per distinct symbol among the markers on the map, including
+     * those inside clusters, for the legend
+     * @returns {Array<{key: string, label: string, svg: string}>}
+     */
+    getSymbolLegend() {
+        const entries = new Map();
+        
+        this.markers.forEach(({ type, data }) => {
+            if (type === 'handle') return;
+            
+            const spec = getSymbolSpec(data, type);
+            const key = getSymbolKey(spec);
+            if (!entries.has(key)) {
+                entries.set(key, { key, label: describeSymbol(spec), svg: renderSymbol(spec, { size: 24 }) });
+            }
+        });
+        
+        return [...entries.values()];
+    }
+    
+    // ---- Level of detail ----
+    
+    /**
+     * Batch level-of-detail passes, so a full layer redraw costs one pass
+     */
+    scheduleLevelOfDetail() {
+        if (this.levelOfDetailScheduled) return;
+        
+        this.levelOfDetailScheduled = true;
+        queueMicrotask(() => {
+            this.levelOfDetailScheduled = false;
+            this.updateLevelOfDetail();
+        });
+    }
+    
+    /**
+     * Draw each marker on its own, as a carrier group symbol or inside a
+     * counted cluster, depending on the zoom
+     */
+    updateLevelOfDetail() {
+        if (!this.provider) return;
+        
+        const zoom = this.getView().zoom;
+        this.levelOfDetailZoom = zoom;
+        
+        const items = [];
+        this.markers.forEach((entry, id) => {
+            // Editing handles must stay where they can be dragged
+            if (entry.type === 'handle') return;
+            items.push({
+                id: id,
+                coordinates: entry.coordinates,
+                group: entry.group,
+                priority: this.getMarkerPriority(entry.type),
+                pinned: this.highlightedIds.has(id)
+            });
+        });
+        
+        const { groups, clusters, hidden } = computeLevelOfDetail(items, zoom);
+        
+        items.forEach(({ id }) => {
+            const entry = this.markers.get(id);
+            const members = groups.get(id) || [];
+            const drawAs = hidden.has(id) ? null : members.length ? `group:${members.length}` : 'single';
+            
+            if (entry.drawnAs === drawAs) return;
+            
+            if (entry.marker) {
+                entry.marker.remove();
+                entry.marker = null;
+            }
+            if (drawAs) {
+                entry.marker = this.drawMarker(id, entry, members);
+            }
+            entry.drawnAs = drawAs;
+        });
+        
+        this.clusterMarkers.forEach(marker => marker.remove());
+        this.clusterMarkers = clusters.map(cluster => this.drawCluster(cluster, groups, zoom));
+        this.clusterCenters = clusters.map(({ center }) => center);
         
-        const marker = new google.maps.Marker({
-            position: position,
-            map: this.map,
+        this.markerListeners.forEach(listener => listener());
+        this.scheduleLabels();
+    }
+    
+    drawMarker(id, entry, groupMembers) {
+        const { type, data } = entry;
+        const isGroup = groupMembers.length > 0;
+        
+        // In symbology mode the group size is the symbol's quantity modifier
+        let icon;
+        if (this.symbology) {
+            const svg = renderSymbol(getSymbolSpec(data, type), {
+                quantity: isGroup ? groupMembers.length + 1 : undefined
+            });
+            icon = { url: symbolToDataUrl(svg), width: SYMBOL_SIZE, height: SYMBOL_SIZE };
+        }
+        
+        const marker = this.provider.addMarker({
+            position: entry.coordinates,
+            title: isGroup ? `${data.name} group (${groupMembers.length + 1} ships)` : data.name,
+            label: isGroup && !icon ? String(groupMembers.length + 1) : undefined,
             icon: icon,
-            title: data.name,
-            animation: type === 'carrier' ? google.maps.Animation.BOUNCE : null,
-            zIndex: type === 'carrier' ? 1000 : 500
+            style: {
+                shape: type === 'airbase' ? 'chevron' : 'circle',
+                fillColor: entry.fillColor,
+                strokeColor: this.getMarkerBorderColor(type),
+                strokeWeight: isGroup ? 3 : 2,
+                scale: this.getMarkerSize(type) + (isGroup ? 2 : 0)
+            },
+            // Bounce when the carrier first appears, not on every regroup
+            bounce: type === 'carrier' && !entry.bounced,
+            zIndex: type === 'carrier' ? 1000 : 500,
+            onClick: entry.onClick
         });
+        entry.bounced = true;
         
-        // Stop bounce animation after 2 seconds for carriers
-        if (type === 'carrier') {
-            setTimeout(() => {
-                marker.setAnimation(null);
-            }, 2000);
+        if (entry.opacity !== undefined && entry.opacity < 1) {
+            marker.setOpacity(entry.opacity);
         }
         
-        // Add click handler
-        if (onClick) {
-            marker.addListener('click', onClick);
+        // Markers recreated by a redraw keep their highlight
+        if (this.highlightedIds.has(id)) {
+            marker.setHighlighted(true);
         }
         
-        // Add hover effect
-        marker.addListener('mouseover', () => {
-            marker.setIcon({
-                ...icon,
-                scale: icon.scale * 1.3
+        return marker;
+    }
+    
+    drawCluster({ ids, center }, groups, zoom) {
+        const entries = ids.map(id => this.markers.get(id));
+        const types = new Set(entries.map(entry => entry.type));
+        // Co-located items often share a name, e.g. a U.S. base and its host-nation entry
+        const names = [...new Set(entries.map(entry => entry.data.name))];
+        
+        // A carrier group inside a cluster counts all its ships
+        const count = ids.reduce((sum, id) => sum + 1 + (groups.get(id) || []).length, 0);
+        
+        return this.provider.addMarker({
+            position: center,
+            title: names.length > 4 ? `${names.slice(0, 4).join(', ')} and ${names.length - 4} more` : names.join(', '),
+            label: String(count),
+            style: {
+                shape: 'circle',
+                fillColor: types.size === 1 ? entries[0].fillColor : this.getMarkerColor('cluster'),
+                strokeColor: this.getMarkerBorderColor('cluster'),
+                strokeWeight: 2,
+                scale: Math.min(10 + count, 18)
+            },
+            zIndex: 1500,
+            onClick: () => this.flyTo({
+                center: center,
+                zoom: getExpansionZoom(entries.map(entry => entry.coordinates), zoom)
+            })
+        });
+    }
+    
+    // ---- Labels ----
+    
+    /**
+     * Show or hide the text labels next to markers, zones and paths
+     */
+    setLabelsVisible(enabled) {
+        if (this.labelsVisible === enabled) return;
+        
+        this.labelsVisible = enabled;
+        this.updateLabels();
+    }
+    
+    /**
+     * Batch label passes like level-of-detail passes
+     */
+    scheduleLabels() {
+        if (this.labelsScheduled) return;
+        
+        this.labelsScheduled = true;
+        queueMicrotask(() => {
+            this.labelsScheduled = false;
+            this.updateLabels();
+        });
+    }
+    
+    /**
+     * Place a label for every named item that has room for one at the
+     * current zoom, and redraw only the labels that changed
+     */
+    updateLabels() {
+        if (!this.provider) return;
+        
+        const zoom = this.getView().zoom;
+        const placed = this.labelsVisible
+            ? placeLabels(this.getLabelCandidates(zoom), this.getLabelObstacles(), zoom)
+            : [];
+        const { color, halo } = getLabelColors();
+        
+        const labelMarkers = new Map();
+        placed.forEach(({ id, text, size, coordinates }) => {
+            const key = [text, size, ...coordinates, color, halo].join('|');
+            const current = this.labelMarkers.get(id);
+            if (current && current.key === key) {
+                labelMarkers.set(id, current);
+                this.labelMarkers.delete(id);
+                return;
+            }
+            
+            const marker = this.provider.addMarker({
+                position: coordinates,
+                title: text,
+                icon: renderTextLabel(text, { color, halo, size }),
+                style: {},
+                zIndex: 1700,
+                interactive: false
             });
+            labelMarkers.set(id, { key, marker });
         });
         
-        marker.addListener('mouseout', () => {
-            marker.setIcon(icon);
+        // Whatever is left moved, changed or lost its place
+        this.labelMarkers.forEach(({ marker }) => marker.remove());
+        this.labelMarkers = labelMarkers;
+    }
+    
+    /**
+     * Labelled circles and lines (scenario items, ranges) plus, once zoomed
+     * in far enough, the names of the markers drawn on their own
+     */
+    getLabelCandidates(zoom) {
+        const candidates = [];
+        
+        this.features.forEach(({ geometry, properties }, id) => {
+            // Annotations are text already
+            if (!properties.label || properties.type === 'annotation') return;
+            
+            const text = String(properties.label);
+            const priority = properties.scenario ? LABEL_PRIORITY.scenario : LABEL_PRIORITY.other;
+            if (geometry.type === 'Circle') {
+                candidates.push({ id, text, priority, kind: 'circle', center: geometry.center, radius: geometry.radius });
+            } else if (geometry.type === 'LineString') {
+                candidates.push({ id, text, priority, kind: 'path', path: geometry.coordinates });
+            }
         });
         
-        this.markers.set(id, { marker, data, type });
+        if (zoom >= MARKER_LABEL_MIN_ZOOM) {
+            this.markers.forEach((entry, id) => {
+                if (!entry.marker || entry.type === 'handle' || entry.opacity === 0) return;
+                
+                candidates.push({
+                    id: id,
+                    text: entry.drawnAs === 'single' ? entry.data.name : `${entry.data.name} group`,
+                    priority: LABEL_PRIORITY.marker + this.getMarkerPriority(entry.type),
+                    kind: 'marker',
+                    coordinates: entry.coordinates,
+                    radius: this.symbology ? SYMBOL_SIZE / 2 : this.getMarkerSize(entry.type) + 2
+                });
+            });
+        }
+        
+        return candidates;
+    }
+    
+    // Labels never cover a marker or a count badge
+    getLabelObstacles() {
+        const obstacles = [...this.clusterCenters];
+        this.markers.forEach(entry => {
+            if (entry.marker) obstacles.push(entry.coordinates);
+        });
+        return obstacles;
+    }
+    
+    addHandle({ id, coordinates, title, onDrag, onDragEnd }) {
+        if (!this.provider) return;
+        
+        // Draggable editing handle, tracked alongside markers
+        const marker = this.provider.addMarker({
+            position: coordinates,
+            title: title || 'Drag to edit',
+            style: {
+                shape: 'circle',
+                fillColor: '#ffffff',
+                strokeColor: '#4a9eff',
+                strokeWeight: 2,
+                scale: 6
+            },
+            zIndex: 2000,
+            draggable: true,
+            onDrag: onDrag,
+            onDragEnd: onDragEnd
+        });
+        
+        this.markers.set(id, { marker, data: { name: title }, type: 'handle', coordinates });
+    }
+    
+    // Higher priority markers anchor the clusters they are merged into
+    getMarkerPriority(type) {
+        const priorities = {
+            carrier: 3,
+            airbase: 2,
+            destroyer: 1
+        };
+        return priorities[type] || 0;
     }
     
     getMarkerSize(type) {
@@ -293,7 +611,8 @@ export class MapEngine {
             destroyer: '#4a9eff',
             airbase: '#ffbb4a',
             allied: '#4aff88',
-            target: '#ff4a5f'
+            target: '#ff4a5f',
+            cluster: '#1a2940'
         };
         return colors[type] || '#ffffff';
     }
@@ -304,157 +623,295 @@ export class MapEngine {
             destroyer: '#ffffff',
             airbase: '#ffffff',
             allied: '#ffffff',
-            target: '#ffffff'
+            target: '#ffffff',
+            cluster: '#4a9eff'
         };
         return colors[type] || '#ffffff';
     }
     
-    addCircle({ id, center, radius, color, borderColor }) {
-        if (!this.map) return;
+    /**
+     * properties (name, type, label, ...) describe the circle in exports.
+     * Circles with onClick highlight on hover and show title as a tooltip.
+     */
+    addCircle({ id, center, radius, color, borderColor, opacity, title, onClick, properties }) {
+        if (!this.provider) return;
         
-        const circle = new google.maps.Circle({
-            strokeColor: borderColor,
-            strokeOpacity: 0.6,
-            strokeWeight: 2,
+        const circle = this.provider.addCircle({
+            center: center,
+            radius: radius,
             fillColor: color,
-            fillOpacity: 0.2,
-            map: this.map,
-            center: { lat: center[1], lng: center[0] },
-            radius: radius
+            strokeColor: borderColor,
+            opacity: opacity,
+            title: title,
+            onClick: this.getShapeClick(onClick)
         });
         
         this.circles.set(id, circle);
+        this.features.set(id, {
+            geometry: { type: 'Circle', center, radius },
+            properties: { ...properties },
+            style: { color: borderColor, fillColor: color }
+        });
+        this.scheduleLabels();
     }
     
-    addLine({ id, coordinates, color, width }) {
-        if (!this.map) return;
+    updateCircle(id, { center, radius }) {
+        const circle = this.circles.get(id);
+        if (!circle) return;
         
-        const path = coordinates.map(coord => ({
-            lat: coord[1],
-            lng: coord[0]
-        }));
+        const { geometry } = this.features.get(id);
+        if (center) {
+            circle.setCenter(center);
+            geometry.center = center;
+        }
+        if (radius !== undefined) {
+            circle.setRadius(radius);
+            geometry.radius = radius;
+        }
+        this.scheduleLabels();
+    }
+    
+    /**
+     * animated lines, e.g. scenario movements, run an icon along the path;
+     * arrow lines end in an arrowhead
+     */
+    addLine({ id, coordinates, color, width, animated, arrow, title, onClick, properties }) {
+        if (!this.provider) return;
         
-        const polyline = new google.maps.Polyline({
-            path: path,
+        const polyline = this.provider.addPolyline({
+            path: coordinates,
+            color: color,
+            width: width || 3,
+            opacity: 0.8,
             geodesic: true,
-            strokeColor: color,
-            strokeOpacity: 0.8,
-            strokeWeight: width || 3,
-            map: this.map
+            symbol: animated ? 'dot' : arrow ? 'arrow' : undefined,
+            title: title,
+            onClick: this.getShapeClick(onClick)
         });
         
         this.polylines.set(id, polyline);
+        if (animated) {
+            this.animateAlongLine(id, polyline, MOVEMENT_PERIOD);
+        }
+        this.features.set(id, {
+            geometry: { type: 'LineString', coordinates },
+            properties: { ...properties },
+            style: { color }
+        });
+        this.scheduleLabels();
+    }
+    
+    updateLine(id, coordinates) {
+        const polyline = this.polylines.get(id);
+        if (!polyline) return;
+        
+        polyline.setPath(coordinates);
+        this.features.get(id).geometry.coordinates = coordinates;
+        this.scheduleLabels();
     }
     
-    addArc({ id, start, end, color }) {
-        if (!this.map) return;
+    /**
+     * rings follow GeoJSON: the first is the outline, the rest are holes.
+     * Polygons with onClick highlight on hover and show title as a tooltip.
+     */
+    addPolygon({ id, rings, color, fillOpacity, borderColor, width, title, onClick, properties }) {
+        if (!this.provider) return;
+        
+        const polygon = this.provider.addPolygon({
+            rings: rings,
+            fillColor: color,
+            fillOpacity: fillOpacity,
+            strokeColor: borderColor || color,
+            strokeWidth: width || 2,
+            title: title,
+            onClick: this.getShapeClick(onClick)
+        });
         
-        // Create curved path using intermediate points
-        const startLatLng = { lat: start[1], lng: start[0] };
-        const endLatLng = { lat: end[1], lng: end[0] };
+        this.polygons.set(id, polygon);
+        this.features.set(id, {
+            geometry: { type: 'Polygon', coordinates: rings },
+            properties: { ...properties },
+            style: { color: borderColor || color, fillColor: color, fillOpacity }
+        });
+    }
+    
+    /**
+     * Free-standing text, e.g. an annotation or a measurement result.
+     * Not a marker: it is never clustered.
+     */
+    addText({ id, coordinates, text, color, onClick, properties }) {
+        if (!this.provider) return;
         
-        // Calculate midpoint with elevation
-        const midLat = (start[1] + end[1]) / 2;
-        const midLng = (start[0] + end[0]) / 2;
+        const label = this.provider.addMarker({
+            position: coordinates,
+            title: text,
+            icon: renderTextLabel(text, { color: color || '#ffffff', halo: getLabelColors().halo, size: TEXT_FONT_SIZE }),
+            style: {},
+            zIndex: 1800,
+            onClick: onClick
+        });
         
-        // Add curvature
-        const latOffset = (end[1] - start[1]) * 0.2;
-        const lngOffset = (end[0] - start[0]) * 0.2;
+        this.textLabels.set(id, label);
+        this.features.set(id, {
+            geometry: { type: 'Point', coordinates },
+            properties: { name: text, ...properties },
+            style: { color }
+        });
+    }
+    
+    /**
+     * Great-circle arc from start to end, bowed sideways by height (0-1) so
+     * paths from one origin fan out. The arrow runs along it over and over,
+     * or with animation 'draw' the arc is drawn from its origin once.
+     */
+    addArc({ id, start, end, color, height = 0.5, dashed, animation, title, onClick, properties }) {
+        if (!this.provider) return;
         
-        const path = [
-            startLatLng,
-            { lat: midLat + latOffset, lng: midLng + lngOffset },
-            endLatLng
-        ];
+        const path = curvedPath(start, end, height * distance(start, end) * ARC_BULGE, ARC_SEGMENTS);
         
-        const polyline = new google.maps.Polyline({
+        const polyline = this.provider.addPolyline({
             path: path,
+            color: color,
+            width: 2,
+            opacity: 0.7,
+            // The path already follows the great circle
             geodesic: false,
-            strokeColor: color,
-            strokeOpacity: 0.7,
-            strokeWeight: 2,
-            map: this.map,
-            icons: [{
-                icon: {
-                    path: google.maps.SymbolPath.FORWARD_CLOSED_ARROW,
-                    scale: 3,
-                    fillColor: color,
-                    fillOpacity: 0.8,
-                    strokeWeight: 1,
-                    strokeColor: '#ffffff'
-                },
-                offset: '100%'
-            }]
+            symbol: 'arrow',
+            dashed: dashed,
+            title: title,
+            onClick: this.getShapeClick(onClick)
         });
         
         this.polylines.set(id, polyline);
+        this.features.set(id, {
+            geometry: { type: 'LineString', coordinates: path },
+            properties: { ...properties },
+            style: { color }
+        });
+        this.scheduleLabels();
         
-        // Animate the arc
-        this.animateArc(polyline, color);
+        if (animation === 'draw') {
+            this.animateDrawing(id, polyline, path);
+        } else {
+            this.animateAlongLine(id, polyline, ARC_PERIOD);
+        }
     }
     
-    animateArc(polyline, color) {
-        let count = 0;
-        const animate = () => {
-            count = (count + 1) % 200;
-            const icons = polyline.get('icons');
-            icons[0].offset = (count / 2) + '%';
-            polyline.set('icons', icons);
-            
-            setTimeout(() => {
-                if (this.polylines.size > 0) {
-                    requestAnimationFrame(animate);
-                }
-            }, 50);
-        };
-        animate();
+    /**
+     * Run a line's symbol from start to end over and over; it rests at the
+     * end while motion is reduced. Stops when the line is removed.
+     * @param {number} period - milliseconds per run
+     */
+    animateAlongLine(id, polyline, period) {
+        this.animations.add(id, {
+            step: (elapsed) => polyline.setSymbolOffset((elapsed % period) / period * 100),
+            rest: () => polyline.setSymbolOffset(100)
+        });
+    }
+    
+    /**
+     * Grow a line from its first point to its last, with its symbol at the
+     * tip, then leave it whole. Drawn whole at once while motion is reduced.
+     */
+    animateDrawing(id, polyline, path) {
+        this.animations.add(id, {
+            step: (elapsed) => {
+                const progress = Math.min(elapsed / ARC_DRAW_DURATION, 1);
+                polyline.setPath(path.slice(0, Math.max(Math.ceil(progress * (path.length - 1)) + 1, 2)));
+                if (progress === 1) this.animations.remove(id);
+            },
+            rest: () => polyline.setPath(path)
+        });
     }
     
     clearLayers() {
-        // Remove all markers
-        this.markers.forEach(({ marker }) => marker.setMap(null));
+        // Remove all markers and cluster badges
+        this.markers.forEach(({ marker }) => marker && marker.remove());
         this.markers.clear();
+        this.clusterMarkers.forEach(marker => marker.remove());
+        this.clusterMarkers = [];
+        // Tell listeners, even if nothing is drawn again
+        this.scheduleLevelOfDetail();
         
         // Remove all circles
-        this.circles.forEach(circle => circle.setMap(null));
+        this.circles.forEach(circle => circle.remove());
         this.circles.clear();
         
-        // Remove all polylines
-        this.polylines.forEach(polyline => polyline.setMap(null));
+        // Remove all polylines and stop their animations
+        this.polylines.forEach(polyline => polyline.remove());
         this.polylines.clear();
+        this.animations.clear();
         
         // Remove all polygons
-        this.polygons.forEach(polygon => polygon.setMap(null));
+        this.polygons.forEach(polygon => polygon.remove());
         this.polygons.clear();
+        
+        // Remove all text labels
+        this.textLabels.forEach(label => label.remove());
+        this.textLabels.clear();
+        
+        this.features.clear();
+        this.layers.forEach(layer => layer.reset());
+        this.scheduleLabels();
+    }
+    
+    /**
+     * Everything currently drawn (editing handles excluded), for export
+     * @returns {Array<{id: string, geometry: Object, properties: Object, style: Object}>}
+     */
+    getFeatures() {
+        return [...this.features].map(([id, feature]) => ({ id, ...feature }));
+    }
+    
+    getLayerIds() {
+        return {
+            markers: [...this.markers.keys()],
+            circles: [...this.circles.keys()],
+            polylines: [...this.polylines.keys()],
+            polygons: [...this.polygons.keys()],
+            textLabels: [...this.textLabels.keys()]
+        };
     }
     
     removeLayer(id) {
         // Remove marker
         const marker = this.markers.get(id);
         if (marker) {
-            marker.marker.setMap(null);
+            if (marker.marker) marker.marker.remove();
             this.markers.delete(id);
+            this.scheduleLevelOfDetail();
         }
         
         // Remove circle
         const circle = this.circles.get(id);
         if (circle) {
-            circle.setMap(null);
+            circle.remove();
             this.circles.delete(id);
         }
         
         // Remove polyline
         const polyline = this.polylines.get(id);
         if (polyline) {
-            polyline.setMap(null);
+            polyline.remove();
             this.polylines.delete(id);
+            this.animations.remove(id);
         }
         
         // Remove polygon
         const polygon = this.polygons.get(id);
         if (polygon) {
-            polygon.setMap(null);
+            polygon.remove();
             this.polygons.delete(id);
         }
+        
+        // Remove text label
+        const label = this.textLabels.get(id);
+        if (label) {
+            label.remove();
+            this.textLabels.delete(id);
+        }
+        
+        this.features.delete(id);
+        this.scheduleLabels();
     }
 }
@@ -0,0 +1,179 @@
+/**
+ * MAP LABELS MODULE
+ * Placement of text labels next to markers, along lines and inside
+ * circles. Each label tries a few positions in screen space and takes the
+ * first that overlaps nothing already placed; labels with no free spot
+ * are left out. Pure functions apart from reading the label colors from
+ * the stylesheet; MapEngine draws the result.
+ */
+
+import { project, unproject } from './marker-clusters.js';
+import { destination } from './geo-utils.js';
+import { symbolToDataUrl } from './military-symbols.js';
+import { escapeHtml } from './html-utils.js';
+
+// Marker names are only labelled from this zoom on; scenario labels always are
+export const MARKER_LABEL_MIN_ZOOM = 5;
+
+// Font size in pixels grows with the zoom between these bounds
+const MIN_FONT_SIZE = 10;
+const MAX_FONT_SIZE = 15;
+
+// Average glyph width of the bold label font, relative to its size
+const CHAR_WIDTH = 0.58;
+
+// Space kept around each label, in pixels
+const PADDING = 2;
+
+// Fractions of a path tried for its label, middle first
+const PATH_POSITIONS = [0.5, 0.4, 0.6, 0.3, 0.7];
+
+/**
+ * Label font size in pixels at a zoom level
+ */
+export function getLabelSize(zoom) {
+    return Math.min(Math.max(Math.round(MIN_FONT_SIZE + (zoom - 5) * 1.2), MIN_FONT_SIZE), MAX_FONT_SIZE);
+}
+
+/**
+ * Width and height in pixels of a label image
+ */
+export function measureLabel(text, size) {
+    return {
+        width: Math.ceil(text.length * size * CHAR_WIDTH) + 12,
+        height: size + 10
+    };
+}
+
+/**
+ * Label colors set in the stylesheet (CSS custom properties on :root)
+ * @returns {{color: string, halo: string}}
+ */
+export function getLabelColors() {
+    const style = getComputedStyle(document.documentElement);
+    return {
+        color: style.getPropertyValue('--map-label-color').trim() || '#e8edf4',
+        halo: style.getPropertyValue('--map-label-halo').trim() || '#0a0e1a'
+    };
+}
+
+/**
+ * Label image for a map marker icon
+ * @returns {{url: string, width: number, height: number}}
+ */
+export function renderTextLabel(text, { color, halo, size }) {
+    const { width, height } = measureLabel(text, size);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <text x="${width / 2}" y="${height / 2}" text-anchor="middle" dominant-baseline="central"
+              font-family="Arial, sans-serif" font-weight="bold" font-size="${size}"
+              fill="${color}" stroke="${halo}" stroke-width="3" paint-order="stroke">${escapeHtml(text)}</text>
+    </svg>`;
+    return { url: symbolToDataUrl(svg), width, height };
+}
+
+const overlaps = (a, b) =>
+    a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+
+function boxAround([x, y], width, height) {
+    return {
+        left: x - width / 2 - PADDING,
+        right: x + width / 2 + PADDING,
+        top: y - height / 2 - PADDING,
+        bottom: y + height / 2 + PADDING
+    };
+}
+
+// Point at a fraction of a path's length, in screen pixels
+function pointAlong(points, fraction) {
+    const lengths = points.slice(1).map((point, i) =>
+        Math.hypot(point[0] - points[i][0], point[1] - points[i][1])
+    );
+    let remaining = lengths.reduce((sum, length) => sum + length, 0) * fraction;
+
+    for (let i = 0; i < lengths.length; i++) {
+        if (remaining <= lengths[i] && lengths[i] > 0) {
+            const t = remaining / lengths[i];
+            return [
+                points[i][0] + (points[i + 1][0] - points[i][0]) * t,
+                points[i][1] + (points[i + 1][1] - points[i][1]) * t
+            ];
+        }
+        remaining -= lengths[i];
+    }
+    return points[points.length - 1];
+}
+
+// Label centers to try, in screen pixels, best first
+function getPositions(candidate, zoom, width, height) {
+    switch (candidate.kind) {
+        case 'marker': {
+            const [x, y] = project(candidate.coordinates, zoom);
+            const gap = candidate.radius + 4;
+            return [
+                [x + gap + width / 2, y],
+                [x - gap - width / 2, y],
+                [x, y - gap - height / 2],
+                [x, y + gap + height / 2]
+            ];
+        }
+        case 'circle': {
+            // Just inside the top of the circle, else the bottom, else the middle
+            const top = project(destination(candidate.center, 0, candidate.radius), zoom);
+            const bottom = project(destination(candidate.center, 180, candidate.radius), zoom);
+            const center = project(candidate.center, zoom);
+            return [
+                [top[0], top[1] + height / 2 + 2],
+                [bottom[0], bottom[1] - height / 2 - 2],
+                center
+            ];
+        }
+        case 'path': {
+            // Just above the line
+            const points = candidate.path.map(point => project(point, zoom));
+            return PATH_POSITIONS.map(fraction => {
+                const [x, y] = pointAlong(points, fraction);
+                return [x, y - height / 2 - 3];
+            });
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Choose where each label goes at a zoom level.
+ * @param {Array<{id: string, text: string, priority: number, kind: 'marker'|'circle'|'path',
+ *         coordinates?: number[], radius?: number, center?: number[], path?: number[][]}>} candidates
+ *         - markers give their position and radius in pixels, circles their
+ *         center and radius in meters, paths their points
+ * @param {number[][]} obstacles - marker positions labels must not cover
+ * @param {number} zoom
+ * @returns {Array<{id: string, text: string, size: number, coordinates: number[]}>}
+ */
+export function placeLabels(candidates, obstacles, zoom) {
+    const size = getLabelSize(zoom);
+    const taken = obstacles.map(point => boxAround(project(point, zoom), 16, 16));
+    const placed = [];
+
+    [...candidates]
+        .sort((a, b) => b.priority - a.priority)
+        .forEach(candidate => {
+            const { width, height } = measureLabel(candidate.text, size);
+            const position = getPositions(candidate, zoom, width, height)
+                .find(point => {
+                    const box = boxAround(point, width, height);
+                    return !taken.some(other => overlaps(box, other));
+                });
+            if (!position) return;
+
+            taken.push(boxAround(position, width, height));
+            placed.push({
+                id: candidate.id,
+                text: candidate.text,
+                size: size,
+                coordinates: unproject(position, zoom)
+            });
+        });
+
+    return placed;
+}
@@ -0,0 +1,159 @@
+/**
+ * MAP LAYERS MODULE
+ * Named layers that own their features. A layer is handed the complete
+ * list of features it should show and diffs it by id against what it has
+ * drawn: unchanged features are left alone, moved or resized ones are
+ * updated in place and only the rest are removed or redrawn.
+ */
+
+// MapEngine method that draws each kind of feature
+const ADD_METHODS = {
+    marker: 'addMarker',
+    circle: 'addCircle',
+    line: 'addLine',
+    polygon: 'addPolygon',
+    arc: 'addArc',
+    text: 'addText'
+};
+
+// Options each kind can change without being redrawn
+const UPDATABLE = {
+    marker: ['coordinates', 'opacity'],
+    circle: ['center', 'radius'],
+    line: ['coordinates']
+};
+
+/**
+ * Options that differ between two versions of a feature. Handlers are
+ * rebuilt with every list, so they never count as a change.
+ */
+function changedKeys(previous, next) {
+    const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    return [...keys].filter(key => {
+        if (typeof previous[key] === 'function' || typeof next[key] === 'function') return false;
+        return JSON.stringify(previous[key]) !== JSON.stringify(next[key]);
+    });
+}
+
+export class MapLayer {
+    /**
+     * @param {MapEngine} mapEngine
+     * @param {string} name
+     */
+    constructor(mapEngine, name) {
+        this.mapEngine = mapEngine;
+        this.name = name;
+        this.visible = true;
+        // Features the layer should show, and those it has drawn, by id
+        this.features = new Map();
+        this.drawn = new Map();
+    }
+
+    /**
+     * Replace the layer's contents
+     * @param {Array<{id: string, kind: string}>} features - kind is 'marker',
+     *        'circle', 'line', 'polygon', 'arc' or 'text'; the other options are those
+     *        of the matching MapEngine add method
+     */
+    setFeatures(features) {
+        this.features = new Map(features.map(feature => [feature.id, feature]));
+        this.sync();
+    }
+
+    /**
+     * Add or replace a single feature
+     */
+    upsert(feature) {
+        this.features.set(feature.id, feature);
+        this.sync();
+    }
+
+    remove(id) {
+        if (!this.features.delete(id)) return;
+        this.sync();
+    }
+
+    clear() {
+        this.setFeatures([]);
+    }
+
+    has(id) {
+        return this.features.has(id);
+    }
+
+    getFeatureIds() {
+        return [...this.features.keys()];
+    }
+
+    setVisible(visible) {
+        if (this.visible === visible) return;
+
+        this.visible = visible;
+        this.sync();
+    }
+
+    /**
+     * Forget what was drawn without touching the map, after MapEngine.clearLayers
+     */
+    reset() {
+        this.features.clear();
+        this.drawn.clear();
+    }
+
+    sync() {
+        const target = this.visible ? this.features : new Map();
+
+        this.drawn.forEach((_, id) => {
+            if (!target.has(id)) {
+                this.mapEngine.removeLayer(id);
+                this.drawn.delete(id);
+            }
+        });
+
+        target.forEach((feature, id) => {
+            const previous = this.drawn.get(id);
+
+            if (!previous) {
+                this.draw(feature);
+            } else if (previous !== feature) {
+                const changed = changedKeys(previous, feature);
+                if (changed.length === 0) {
+                    // Same feature, rebuilt: keep the drawn one
+                } else if (!this.updateInPlace(feature, changed)) {
+                    this.mapEngine.removeLayer(id);
+                    this.draw(feature);
+                }
+            }
+            this.drawn.set(id, feature);
+        });
+    }
+
+    draw(feature) {
+        const method = ADD_METHODS[feature.kind];
+        if (!method) {
+            throw new Error(`Layer "${this.name}": unknown feature kind "${feature.kind}"`);
+        }
+        this.mapEngine[method](feature);
+    }
+
+    updateInPlace(feature, changed) {
+        const updatable = UPDATABLE[feature.kind] || [];
+        if (!changed.every(key => updatable.includes(key))) return false;
+
+        switch (feature.kind) {
+            case 'marker':
+                this.mapEngine.updateMarker(feature.id, {
+                    coordinates: changed.includes('coordinates') ? feature.coordinates : undefined,
+                    opacity: changed.includes('opacity') ? feature.opacity ?? 1 : undefined
+                });
+                break;
+            case 'circle':
+                this.mapEngine.updateCircle(feature.id, { center: feature.center, radius: feature.radius });
+                break;
+            case 'line':
+                this.mapEngine.updateLine(feature.id, feature.coordinates);
+                break;
+        }
+        return true;
+    }
+}
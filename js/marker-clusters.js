@@ -0,0 +1,121 @@
+/**
+ * MARKER CLUSTERS MODULE
+ * Zoom-dependent grouping of point markers: carrier groups fold their
+ * escorts into one symbol at low zoom, and markers that would overlap on
+ * screen are merged into counted clusters. Pure functions; MapEngine
+ * draws the result.
+ */
+
+// Below this zoom escorts are drawn as part of their carrier's group symbol
+export const GROUP_SPLIT_ZOOM = 7;
+
+// From this zoom on every marker is drawn on its own
+export const CLUSTER_MAX_ZOOM = 9;
+
+// Markers closer than this many screen pixels are merged
+export const CLUSTER_RADIUS = 32;
+
+const TILE_SIZE = 256;
+
+/**
+ * Web Mercator world pixel coordinates of [lng, lat] at a zoom level
+ */
+export function project([lng, lat], zoom) {
+    const scale = TILE_SIZE * Math.pow(2, zoom);
+    const sin = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+    return [
+        (lng + 180) / 360 * scale,
+        (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    ];
+}
+
+/**
+ * [lng, lat] of Web Mercator world pixel coordinates at a zoom level
+ */
+export function unproject([x, y], zoom) {
+    const scale = TILE_SIZE * Math.pow(2, zoom);
+    const n = Math.PI * (1 - 2 * y / scale);
+    return [
+        x / scale * 360 - 180,
+        Math.atan(Math.sinh(n)) * 180 / Math.PI
+    ];
+}
+
+function pixelDistance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+/**
+ * Decide how each marker is drawn at a zoom level.
+ * @param {Array<{id: string, coordinates: number[], group?: string, priority?: number,
+ *         pinned?: boolean}>} items - pinned items are never folded or merged
+ * @param {number} zoom
+ * @returns {{groups: Map<string, string[]>, clusters: Array<{ids: string[], center: number[]}>,
+ *           hidden: Set<string>}} groups maps a carrier id to the escort ids it
+ *          stands for; hidden holds every id not drawn on its own
+ */
+export function computeLevelOfDetail(items, zoom) {
+    const groups = new Map();
+    const hidden = new Set();
+    const byId = new Map(items.map(item => [item.id, item]));
+
+    // Fold escorts into their carrier
+    if (zoom < GROUP_SPLIT_ZOOM) {
+        items.forEach(item => {
+            if (!item.group || item.pinned || !byId.has(item.group)) return;
+            if (!groups.has(item.group)) groups.set(item.group, []);
+            groups.get(item.group).push(item.id);
+            hidden.add(item.id);
+        });
+    }
+
+    const clusters = [];
+    if (zoom >= CLUSTER_MAX_ZOOM) {
+        return { groups, clusters, hidden };
+    }
+
+    // Greedy pass, most important markers first, so a carrier anchors its cluster
+    const candidates = items
+        .filter(item => !hidden.has(item.id) && !item.pinned)
+        .map(item => ({ item, point: project(item.coordinates, zoom) }))
+        .sort((a, b) => (b.item.priority || 0) - (a.item.priority || 0));
+    const assigned = new Set();
+
+    candidates.forEach(({ item, point }) => {
+        if (assigned.has(item.id)) return;
+
+        const members = candidates.filter(other =>
+            !assigned.has(other.item.id) && pixelDistance(point, other.point) <= CLUSTER_RADIUS
+        );
+        if (members.length < 2) return;
+
+        members.forEach(member => {
+            assigned.add(member.item.id);
+            hidden.add(member.item.id);
+        });
+        clusters.push({
+            ids: members.map(member => member.item.id),
+            center: [
+                members.reduce((sum, member) => sum + member.item.coordinates[0], 0) / members.length,
+                members.reduce((sum, member) => sum + member.item.coordinates[1], 0) / members.length
+            ]
+        });
+    });
+
+    return { groups, clusters, hidden };
+}
+
+/**
+ * Zoom at which a cluster's markers start to separate, for expanding it
+ */
+export function getExpansionZoom(coordinates, zoom) {
+    const points = coordinates.map(position => project(position, zoom));
+    let spread = 0;
+    points.forEach(a => points.forEach(b => {
+        spread = Math.max(spread, pixelDistance(a, b));
+    }));
+
+    if (spread === 0) return CLUSTER_MAX_ZOOM;
+    const target = zoom + Math.log2(CLUSTER_RADIUS / spread) + 0.5;
+    return Math.min(Math.max(Math.ceil(target), Math.floor(zoom) + 1), CLUSTER_MAX_ZOOM);
+}
@@ -0,0 +1,164 @@
+/**
+ * MILITARY SYMBOLS MODULE
+ * APP-6 / MIL-STD-2525 style marker symbols drawn as SVG: the frame shape
+ * and fill give the affiliation and domain, the glyph inside the function.
+ * A simplified set covering the kinds of items in the data files.
+ */
+
+import { escapeHtml } from './html-utils.js';
+
+export const AFFILIATIONS = {
+    friend: { label: 'Friendly', fill: '#80e0ff' },
+    hostile: { label: 'Hostile', fill: '#ff8080' },
+    neutral: { label: 'Neutral', fill: '#aaffaa' },
+    unknown: { label: 'Unknown', fill: '#ffff80' }
+};
+
+export const FUNCTIONS = {
+    carrier: { label: 'aircraft carrier', text: 'CV' },
+    destroyer: { label: 'destroyer', text: 'DD' },
+    cruiser: { label: 'cruiser', text: 'CG' },
+    'air-base': { label: 'air base', path: 'M 50,34 L 54,46 L 68,50 L 54,54 L 53,62 L 58,66 L 42,66 L 47,62 L 46,54 L 32,50 L 46,46 Z' },
+    'naval-base': { label: 'naval base', path: 'M 50,36 V 64 M 43,42 H 57 M 39,55 A 11,11 0 0 0 61,55', stroked: true },
+    headquarters: { label: 'headquarters', text: 'HQ' },
+    nuclear: { label: 'nuclear facility', text: 'N' },
+    military: { label: 'military facility', text: 'MIL' },
+    liaison: { label: 'liaison / access', text: 'LO' }
+};
+
+const DIMENSION_LABELS = {
+    sea: 'sea surface',
+    air: 'air',
+    ground: 'ground unit',
+    installation: 'installation'
+};
+
+// Marker size in pixels
+export const SYMBOL_SIZE = 36;
+
+/**
+ * Symbol for a data item: its `symbol` attributes, with anything missing
+ * derived from the marker type and the item's type or category
+ * @returns {{affiliation: string, dimension: string, function: string|null}}
+ */
+export function getSymbolSpec(item, markerType) {
+    return { ...deriveSymbolSpec(item, markerType), ...(item.symbol || {}) };
+}
+
+function deriveSymbolSpec(item, markerType) {
+    const type = String(item.type || '');
+
+    switch (markerType) {
+        case 'carrier':
+            return { affiliation: 'friend', dimension: 'sea', function: 'carrier' };
+        case 'destroyer':
+            return { affiliation: 'friend', dimension: 'sea', function: /cruiser/i.test(type) ? 'cruiser' : 'destroyer' };
+        case 'airbase':
+            return { affiliation: 'friend', dimension: 'installation', function: 'air-base' };
+        case 'allied':
+            return {
+                affiliation: 'friend',
+                dimension: 'installation',
+                function: /air/i.test(type) ? 'air-base' : /naval|port/i.test(type) ? 'naval-base' : 'liaison'
+            };
+        case 'target': {
+            const category = item.category === 'command' ? 'headquarters' : item.category;
+            return { affiliation: 'hostile', dimension: 'installation', function: FUNCTIONS[category] ? category : null };
+        }
+        default:
+            return { affiliation: 'unknown', dimension: 'ground', function: null };
+    }
+}
+
+/**
+ * Stable key for a symbol, e.g. to list each kind once in the legend
+ */
+export function getSymbolKey(spec) {
+    return `${spec.affiliation}/${spec.dimension}/${spec.function || ''}`;
+}
+
+/**
+ * Plain-language description, e.g. "Hostile nuclear facility (installation)"
+ */
+export function describeSymbol(spec) {
+    const affiliation = (AFFILIATIONS[spec.affiliation] || AFFILIATIONS.unknown).label;
+    const name = FUNCTIONS[spec.function] ? FUNCTIONS[spec.function].label : 'item';
+    return `${affiliation} ${name} (${DIMENSION_LABELS[spec.dimension] || spec.dimension})`;
+}
+
+// Frame outlines in a 100 x 100 box; the top is where the installation bar sits
+function getFrame(affiliation, dimension) {
+    if (affiliation === 'hostile') {
+        return dimension === 'air'
+            ? { shape: '<path d="M 18,74 V 48 L 50,16 L 82,48 V 74"/>', top: 16 }
+            : { shape: '<path d="M 50,14 L 86,50 L 50,86 L 14,50 Z"/>', top: 14 };
+    }
+    if (affiliation === 'neutral') {
+        return { shape: '<rect x="20" y="20" width="60" height="60"/>', top: 20 };
+    }
+    if (affiliation === 'unknown') {
+        return {
+            shape: '<path d="M 32,32 A 18,18 0 0 1 68,32 A 18,18 0 0 1 68,68 A 18,18 0 0 1 32,68 A 18,18 0 0 1 32,32 Z"/>',
+            top: 16
+        };
+    }
+
+    // Friend
+    switch (dimension) {
+        case 'sea':
+            return { shape: '<circle cx="50" cy="50" r="32"/>', top: 18 };
+        case 'air':
+            return { shape: '<path d="M 18,74 V 50 A 32,32 0 0 1 82,50 V 74"/>', top: 18 };
+        default:
+            return { shape: '<rect x="14" y="28" width="72" height="44"/>', top: 28 };
+    }
+}
+
+function renderGlyph(spec) {
+    const glyph = FUNCTIONS[spec.function];
+    if (!glyph) return '';
+
+    if (glyph.text) {
+        const fontSize = glyph.text.length > 2 ? 18 : 22;
+        return `<text x="50" y="50" text-anchor="middle" dominant-baseline="central"
+                      font-family="Arial, sans-serif" font-weight="bold" font-size="${fontSize}"
+                      fill="#000000" stroke="none">${glyph.text}</text>`;
+    }
+
+    return glyph.stroked
+        ? `<path d="${glyph.path}" fill="none" stroke="#000000" stroke-width="4" stroke-linecap="round"/>`
+        : `<path d="${glyph.path}" fill="#000000" stroke="none"/>`;
+}
+
+/**
+ * SVG markup for a symbol
+ * @param {Object} spec - from getSymbolSpec
+ * @param {{quantity?: number, size?: number}} options - quantity is drawn
+ *        top right, e.g. the ships in a carrier group
+ */
+export function renderSymbol(spec, { quantity, size = SYMBOL_SIZE } = {}) {
+    const affiliation = AFFILIATIONS[spec.affiliation] || AFFILIATIONS.unknown;
+    const frame = getFrame(spec.affiliation, spec.dimension);
+
+    const installation = spec.dimension === 'installation'
+        ? `<rect x="40" y="${frame.top - 9}" width="20" height="9" fill="#000000" stroke="none"/>`
+        : '';
+    const quantityText = quantity
+        ? `<text x="98" y="14" text-anchor="end" font-family="Arial, sans-serif" font-weight="bold"
+                 font-size="16" fill="#ffffff" stroke="#000000" stroke-width="3" paint-order="stroke">${escapeHtml(quantity)}</text>`
+        : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 100 100">
+        <g fill="${affiliation.fill}" stroke="#000000" stroke-width="4">${frame.shape}</g>
+        ${installation}
+        ${renderGlyph(spec)}
+        ${quantityText}
+    </svg>`;
+}
+
+/**
+ * Symbol as an image URL for map markers
+ */
+export function symbolToDataUrl(svg) {
+    return `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`;
+}
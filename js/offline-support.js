@@ -0,0 +1,77 @@
+/**
+ * OFFLINE SUPPORT MODULE
+ * Registers the service worker (sw.js) and offers a reload when a new
+ * version of the app or its data is available.
+ */
+
+export class OfflineSupport {
+    constructor() {
+        this.banner = document.getElementById('update-banner');
+        this.message = document.getElementById('update-message');
+        this.onAccept = null;
+
+        document.getElementById('update-reload-btn').addEventListener('click', () => {
+            if (this.onAccept) this.onAccept();
+        });
+        document.getElementById('update-dismiss-btn').addEventListener('click', () => {
+            this.banner.classList.add('hidden');
+        });
+    }
+
+    async register() {
+        // Service workers need a secure context; file:// and plain http hosts are skipped
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Service worker not registered; offline use is unavailable:', error);
+            return;
+        }
+
+        // A first install has no controller yet and nothing to update
+        const isUpdate = () => Boolean(navigator.serviceWorker.controller);
+
+        if (registration.waiting && isUpdate()) {
+            this.promptAppUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && isUpdate()) {
+                    this.promptAppUpdate(worker);
+                }
+            });
+        });
+    }
+
+    /**
+     * The worker reports fresher data while answering the app's first data
+     * requests, so this has to be listening before the data is loaded
+     */
+    listenForDataUpdates() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'data-updated') {
+                this.showPrompt('Updated briefing data is available.', () => window.location.reload());
+            }
+        });
+    }
+
+    promptAppUpdate(worker) {
+        this.showPrompt('A new version of the visualizer is available.', () => {
+            // Reload once the new worker has taken over, so the page gets its files
+            navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+            worker.postMessage({ type: 'skip-waiting' });
+        });
+    }
+
+    showPrompt(text, onAccept) {
+        this.message.textContent = text;
+        this.onAccept = onAccept;
+        this.banner.classList.remove('hidden');
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * ORDER OF BATTLE MODULE
+ * Collapsible tree of the U.S. forces: carrier strike groups with their
+ * escorts and air bases with their squadrons. Clicking a node flies to the
+ * unit and opens its info; the checkbox shows or hides the node's whole
+ * subtree on the map.
+ */
+
+import { getUnitStateAt } from './unit-tracks.js';
+
+// Close enough that a carrier group is drawn ship by ship
+const SELECT_ZOOM = 7;
+
+/**
+ * Arrange the force data as a tree. Escorts go under the carrier named by
+ * their `group`; escorts without a known carrier get a category of their own.
+ * @returns {Array<{id: string, name: string, detail?: string, unit?: Object,
+ *          target?: Object, children: Array}>} unit is the force drawn for a
+ *          node, target the force a click selects
+ */
+export function buildOrderOfBattle(forces) {
+    const unitNode = (unit, children = []) => ({
+        id: unit.id,
+        name: unit.name,
+        detail: unit.type,
+        unit: unit,
+        target: unit,
+        children: children
+    });
+
+    const carrierIds = new Set(forces.carriers.map(carrier => carrier.id));
+    const groups = forces.carriers.map(carrier => ({
+        id: `group-${carrier.id}`,
+        name: `${carrier.name} Strike Group`,
+        detail: carrier.location,
+        target: carrier,
+        children: [
+            unitNode(carrier),
+            ...forces.escorts
+                .filter(escort => escort.group === carrier.id)
+                .map(escort => unitNode(escort))
+        ]
+    }));
+    const independent = forces.escorts.filter(escort => !carrierIds.has(escort.group));
+
+    const bases = forces.airbases.map(base => unitNode(base,
+        (base.squadrons || []).map(squadron => ({
+            id: squadron.id,
+            name: squadron.name,
+            detail: squadron.aircraft,
+            target: base,
+            children: []
+        }))
+    ));
+
+    return [
+        { id: 'carrier-groups', name: 'Carrier Strike Groups', children: groups },
+        ...(independent.length > 0
+            ? [{ id: 'surface-combatants', name: 'Independent Escorts', children: independent.map(escort => unitNode(escort)) }]
+            : []),
+        { id: 'air-bases', name: 'Air Bases', children: bases }
+    ];
+}
+
+/**
+ * Ids of the forces drawn for a node and everything below it
+ */
+export function getNodeUnitIds(node) {
+    return [
+        ...(node.unit ? [node.unit.id] : []),
+        ...node.children.flatMap(getNodeUnitIds)
+    ];
+}
+
+export class OrderOfBattle {
+    constructor(app) {
+        this.app = app;
+        this.container = document.getElementById('order-of-battle');
+        this.tree = buildOrderOfBattle(app.data.forces);
+
+        // Squadron lists start folded away
+        this.collapsed = new Set(app.data.forces.airbases.map(base => base.id));
+
+        this.render();
+    }
+
+    /**
+     * Hide the node's subtree when all of it is shown, else show all of it
+     */
+    toggle(node) {
+        const app = this.app;
+        const ids = getNodeUnitIds(node);
+        const allShown = ids.every(id => !app.state.hiddenUnits.has(id));
+
+        if (!allShown) {
+            app.setLayers({ forces: true });
+        }
+        app.setUnitsHidden(ids, allShown);
+    }
+
+    toggleExpanded(node) {
+        if (!this.collapsed.delete(node.id)) {
+            this.collapsed.add(node.id);
+        }
+        this.render();
+    }
+
+    /**
+     * Make the node's units visible, fly there and open its info
+     */
+    select(node) {
+        const app = this.app;
+        const unit = node.target;
+        if (!unit) {
+            this.toggleExpanded(node);
+            return;
+        }
+
+        if (app.uiManager.mobileMenuOpen) {
+            app.uiManager.toggleMobileMenu();
+        }
+
+        // A group brings back all its ships; a squadron its base
+        const ids = getNodeUnitIds(node);
+        app.setUnitsHidden(ids.length > 0 ? ids : [unit.id], false);
+        app.setLayers({ forces: true });
+        const { coordinates, present } = getUnitStateAt(unit, app.getTimelineDate());
+        app.mapEngine.flyTo({ center: present ? coordinates : unit.coordinates, zoom: SELECT_ZOOM });
+        app.showForceInfo(unit);
+    }
+
+    render() {
+        const list = document.createElement('ul');
+        list.className = 'oob-tree';
+        list.setAttribute('role', 'tree');
+        list.setAttribute('aria-label', 'Order of battle');
+        this.tree.forEach(node => list.appendChild(this.renderNode(node, 1)));
+
+        this.container.innerHTML = '';
+        this.container.appendChild(list);
+    }
+
+    renderNode(node, level) {
+        const { hiddenUnits } = this.app.state;
+        const date = this.app.getTimelineDate();
+        const expanded = !this.collapsed.has(node.id);
+
+        const item = document.createElement('li');
+        item.setAttribute('role', 'treeitem');
+        item.setAttribute('aria-level', String(level));
+        if (node.children.length > 0) {
+            item.setAttribute('aria-expanded', String(expanded));
+        }
+
+        const row = document.createElement('div');
+        row.className = 'oob-row';
+        row.style.paddingLeft = `${(level - 1) * 14}px`;
+        if (node.unit && !getUnitStateAt(node.unit, date).present) {
+            row.classList.add('absent');
+            row.title = 'Not in theatre on the timeline date';
+        }
+
+        if (node.children.length > 0) {
+            const expander = document.createElement('button');
+            expander.type = 'button';
+            expander.className = 'oob-expander';
+            expander.textContent = expanded ? '▾' : '▸';
+            expander.setAttribute('aria-label', `${expanded ? 'Collapse' : 'Expand'} ${node.name}`);
+            expander.addEventListener('click', () => this.toggleExpanded(node));
+            row.appendChild(expander);
+        } else {
+            const spacer = document.createElement('span');
+            spacer.className = 'oob-expander';
+            row.appendChild(spacer);
+        }
+
+        // Squadrons are not drawn on their own, so they have nothing to toggle
+        const ids = getNodeUnitIds(node);
+        if (ids.length > 0) {
+            const hidden = ids.filter(id => hiddenUnits.has(id)).length;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = hidden === 0;
+            checkbox.indeterminate = hidden > 0 && hidden < ids.length;
+            checkbox.title = 'Show on map';
+            checkbox.setAttribute('aria-label', `Show ${node.name} on map`);
+            checkbox.addEventListener('change', () => this.toggle(node));
+            row.appendChild(checkbox);
+        }
+
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'oob-name';
+        name.textContent = node.name;
+        if (node.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'oob-detail';
+            detail.textContent = node.detail;
+            name.appendChild(detail);
+        }
+        name.addEventListener('click', () => this.select(node));
+        row.appendChild(name);
+
+        item.appendChild(row);
+
+        if (node.children.length > 0 && expanded) {
+            const group = document.createElement('ul');
+            group.setAttribute('role', 'group');
+            node.children.forEach(child => group.appendChild(this.renderNode(child, level + 1)));
+            item.appendChild(group);
+        }
+
+        return item;
+    }
+}
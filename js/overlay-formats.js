@@ -0,0 +1,271 @@
+/**
+ * OVERLAY FORMATS MODULE
+ * Parses imported GeoJSON, KML and lat/lng CSV files into a GeoJSON
+ * FeatureCollection of simple geometries (Point, LineString, Polygon).
+ */
+
+const LAT_COLUMNS = ['lat', 'latitude', 'y'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x'];
+
+/**
+ * @param {string} fileName - used to pick the format from the extension
+ * @param {string} text - file contents
+ * @returns {{features: Object[], skipped: number}} parsed features and how many
+ *          records were dropped for missing or unsupported geometry
+ */
+export function parseOverlayFile(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+
+    switch (extension) {
+        case 'geojson':
+        case 'json':
+            return parseGeoJSON(text);
+        case 'kml':
+            return parseKML(text);
+        case 'csv':
+            return parseCSV(text);
+        default:
+            throw new Error(`Unsupported file type ".${extension}" (expected GeoJSON, KML or CSV)`);
+    }
+}
+
+export function parseGeoJSON(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`invalid JSON (${error.message})`);
+    }
+
+    let records;
+    if (json.type === 'FeatureCollection' && Array.isArray(json.features)) {
+        records = json.features;
+    } else if (json.type === 'Feature') {
+        records = [json];
+    } else if (json.type && json.coordinates) {
+        records = [{ type: 'Feature', geometry: json, properties: {} }];
+    } else {
+        throw new Error('not a GeoJSON Feature, FeatureCollection or geometry');
+    }
+
+    return collect(records.map(record => ({
+        geometry: record.geometry,
+        properties: record.properties || {}
+    })));
+}
+
+export function parseKML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('invalid KML (not well-formed XML)');
+    }
+
+    const records = [...doc.getElementsByTagName('Placemark')].map(placemark => {
+        const properties = {};
+
+        const name = childText(placemark, 'name');
+        if (name) properties.name = name;
+        const description = childText(placemark, 'description');
+        if (description) properties.description = description;
+
+        // <Data name><value> and schema-typed <SimpleData name>
+        [...placemark.getElementsByTagName('Data')].forEach(data => {
+            properties[data.getAttribute('name')] = childText(data, 'value');
+        });
+        [...placemark.getElementsByTagName('SimpleData')].forEach(data => {
+            properties[data.getAttribute('name')] = data.textContent.trim();
+        });
+
+        return { geometry: readKMLGeometry(placemark), properties };
+    });
+
+    return collect(records);
+}
+
+export function parseCSV(text) {
+    const rows = parseCSVRows(text).filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length < 2) {
+        throw new Error('CSV needs a header row and at least one data row');
+    }
+
+    const header = rows[0].map(cell => cell.trim());
+    const lowered = header.map(cell => cell.toLowerCase());
+    const latIndex = lowered.findIndex(cell => LAT_COLUMNS.includes(cell));
+    const lngIndex = lowered.findIndex(cell => LNG_COLUMNS.includes(cell));
+
+    if (latIndex === -1 || lngIndex === -1) {
+        throw new Error(`CSV needs latitude and longitude columns (e.g. "${LAT_COLUMNS[0]}" and "${LNG_COLUMNS[0]}")`);
+    }
+
+    const records = rows.slice(1).map(row => {
+        const lat = parseFloat(row[latIndex]);
+        const lng = parseFloat(row[lngIndex]);
+        const properties = {};
+        header.forEach((column, index) => {
+            if (index !== latIndex && index !== lngIndex && row[index] !== undefined) {
+                properties[column] = row[index];
+            }
+        });
+
+        const valid = Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+        return {
+            geometry: valid ? { type: 'Point', coordinates: [lng, lat] } : null,
+            properties
+        };
+    });
+
+    return collect(records);
+}
+
+/**
+ * Split multi-geometries into simple features and drop records without
+ * usable geometry
+ */
+function collect(records) {
+    const features = [];
+    let skipped = 0;
+
+    records.forEach(({ geometry, properties }) => {
+        const simple = flattenGeometry(geometry).filter(isDrawable);
+        if (!simple.length) {
+            skipped++;
+            return;
+        }
+        simple.forEach(part => {
+            features.push({ type: 'Feature', geometry: part, properties });
+        });
+    });
+
+    return { features, skipped };
+}
+
+const asList = (value) => Array.isArray(value) ? value : [];
+
+function flattenGeometry(geometry) {
+    if (!geometry) return [];
+
+    switch (geometry.type) {
+        case 'Point':
+        case 'LineString':
+        case 'Polygon':
+            return [geometry];
+        case 'MultiPoint':
+            return asList(geometry.coordinates).map(coordinates => ({ type: 'Point', coordinates }));
+        case 'MultiLineString':
+            return asList(geometry.coordinates).map(coordinates => ({ type: 'LineString', coordinates }));
+        case 'MultiPolygon':
+            return asList(geometry.coordinates).map(coordinates => ({ type: 'Polygon', coordinates }));
+        case 'GeometryCollection':
+            return asList(geometry.geometries).flatMap(flattenGeometry);
+        default:
+            return [];
+    }
+}
+
+const isPosition = (position) =>
+    Array.isArray(position) && Number.isFinite(position[0]) && Number.isFinite(position[1]);
+
+function isDrawable({ type, coordinates }) {
+    switch (type) {
+        case 'Point':
+            return isPosition(coordinates);
+        case 'LineString':
+            return Array.isArray(coordinates) && coordinates.length >= 2 && coordinates.every(isPosition);
+        case 'Polygon':
+            return Array.isArray(coordinates) && coordinates.length > 0 &&
+                coordinates.every(ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition));
+        default:
+            return false;
+    }
+}
+
+function readKMLGeometry(element) {
+    const geometries = [];
+
+    [...element.children].forEach(child => {
+        switch (child.localName) {
+            case 'Point':
+                geometries.push({ type: 'Point', coordinates: readKMLCoordinates(child)[0] });
+                break;
+            case 'LineString':
+                geometries.push({ type: 'LineString', coordinates: readKMLCoordinates(child) });
+                break;
+            case 'Polygon': {
+                const rings = [
+                    ...child.getElementsByTagName('outerBoundaryIs'),
+                    ...child.getElementsByTagName('innerBoundaryIs')
+                ].map(readKMLCoordinates);
+                geometries.push({ type: 'Polygon', coordinates: rings });
+                break;
+            }
+            case 'MultiGeometry': {
+                const nested = readKMLGeometry(child);
+                if (nested) geometries.push(nested);
+                break;
+            }
+        }
+    });
+
+    if (geometries.length === 0) return null;
+    if (geometries.length === 1) return geometries[0];
+    return { type: 'GeometryCollection', geometries };
+}
+
+// "lng,lat[,alt] lng,lat[,alt] ..." to [[lng, lat], ...]
+function readKMLCoordinates(element) {
+    const text = childText(element, 'coordinates') || '';
+    return text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+        const [lng, lat] = tuple.split(',').map(Number);
+        return [lng, lat];
+    });
+}
+
+function childText(element, tagName) {
+    const child = element.getElementsByTagName(tagName)[0];
+    return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
@@ -0,0 +1,299 @@
+/**
+ * OVERLAY MANAGER MODULE
+ * Imported GeoJSON/KML/CSV files shown as named, styleable overlay layers.
+ * Overlays are kept in localStorage so they survive a reload.
+ */
+
+import { parseOverlayFile } from './overlay-formats.js';
+import { escapeHtml } from './html-utils.js';
+
+const STORAGE_KEY = 'iconic.overlays';
+
+// Assigned to new overlays in turn
+const PALETTE = ['#f5a623', '#b86bff', '#4ae0d2', '#ff7ac8', '#c6f54a'];
+
+const DEFAULT_STYLE = { opacity: 0.25, width: 2 };
+
+export class OverlayManager {
+    constructor(app) {
+        this.app = app;
+        this.mapEngine = app.mapEngine;
+
+        this.container = document.getElementById('overlay-layers');
+        this.fileInput = document.getElementById('overlay-file-input');
+
+        this.overlays = this.load();
+
+        document.getElementById('overlay-import-btn').addEventListener('click', () => {
+            this.fileInput.click();
+        });
+        this.fileInput.addEventListener('change', () => {
+            this.importFiles(this.fileInput.files);
+            this.fileInput.value = '';
+        });
+
+        this.setupDropTarget();
+        this.render();
+        this.drawAll();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            console.warn('Ignoring unreadable overlays:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.overlays));
+        } catch (error) {
+            this.app.warningsPanel.showError(
+                `Overlays could not be saved locally (${error.message}); they will be gone after a reload.`
+            );
+        }
+    }
+
+    setupDropTarget() {
+        const hasFiles = (event) => event.dataTransfer && [...event.dataTransfer.types].includes('Files');
+
+        document.addEventListener('dragover', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            document.body.classList.add('file-drag');
+        });
+
+        document.addEventListener('dragleave', (event) => {
+            // Only when the pointer leaves the window, not between child elements
+            if (!event.relatedTarget) {
+                document.body.classList.remove('file-drag');
+            }
+        });
+
+        document.addEventListener('drop', (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            document.body.classList.remove('file-drag');
+            this.importFiles(event.dataTransfer.files);
+        });
+    }
+
+    async importFiles(files) {
+        for (const file of files) {
+            await this.importFile(file);
+        }
+    }
+
+    async importFile(file) {
+        let result;
+        try {
+            result = parseOverlayFile(file.name, await file.text());
+        } catch (error) {
+            this.app.warningsPanel.showError(`Could not import ${file.name}: ${error.message}`);
+            return;
+        }
+
+        if (result.skipped > 0) {
+            this.app.warningsPanel.showProblems([{
+                file: file.name,
+                path: '',
+                message: `${result.skipped} record(s) without usable coordinates were skipped`
+            }]);
+        }
+
+        if (result.features.length === 0) {
+            this.app.warningsPanel.showError(`Could not import ${file.name}: no features with coordinates`);
+            return;
+        }
+
+        this.addOverlay(file.name.replace(/\.[^.]+$/, ''), result.features);
+    }
+
+    /**
+     * Add a layer of GeoJSON features, e.g. an imported file or saved annotations
+     * @param {string} [color] - defaults to the next palette color
+     */
+    addOverlay(name, features, color) {
+        const overlay = {
+            // Several files dropped together are added within the same millisecond
+            id: `overlay-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name,
+            visible: true,
+            style: { ...DEFAULT_STYLE, color: color || PALETTE[this.overlays.length % PALETTE.length] },
+            features: features
+        };
+
+        this.overlays.push(overlay);
+        this.save();
+        this.render();
+        this.draw(overlay);
+        return overlay;
+    }
+
+    remove(overlay) {
+        this.getLayer(overlay).clear();
+        this.overlays = this.overlays.filter(existing => existing !== overlay);
+        this.save();
+        this.render();
+    }
+
+    setVisible(overlay, visible) {
+        overlay.visible = visible;
+        this.save();
+        this.draw(overlay);
+    }
+
+    setStyle(overlay, style) {
+        Object.assign(overlay.style, style);
+        this.save();
+        this.draw(overlay);
+    }
+
+    // ---- Drawing ----
+
+    /**
+     * Each overlay is drawn into its own map layer, so one overlay can be
+     * restyled or hidden without touching the others
+     */
+    getLayer(overlay) {
+        return this.mapEngine.getLayer(`overlay:${overlay.id}`);
+    }
+
+    drawAll() {
+        this.overlays.forEach(overlay => this.draw(overlay));
+    }
+
+    draw(overlay) {
+        const layer = this.getLayer(overlay);
+        layer.setFeatures(this.getFeatures(overlay));
+        layer.setVisible(overlay.visible);
+    }
+
+    getFeatures(overlay) {
+        const { color, opacity, width } = overlay.style;
+
+        return overlay.features.map((feature, index) => {
+            const id = `${overlay.id}-${index}`;
+            const name = this.getFeatureName(feature, index);
+            const properties = { ...feature.properties, name, overlay: overlay.name };
+            const onClick = () => this.showFeatureInfo(overlay, feature, name);
+            const { type, coordinates } = feature.geometry;
+
+            // Annotations saved from the map keep their text and arrowheads
+            if (type === 'Point' && feature.properties.annotation === 'text') {
+                return { id, kind: 'text', coordinates, text: name, color, onClick, properties };
+            }
+            if (type === 'Point') {
+                return {
+                    id: id,
+                    kind: 'marker',
+                    coordinates: coordinates,
+                    type: 'overlay',
+                    data: properties,
+                    color: color,
+                    onClick: onClick
+                };
+            }
+            if (type === 'LineString') {
+                const arrow = feature.properties.annotation === 'arrow';
+                return { id, kind: 'line', coordinates, color, width, arrow, onClick, properties };
+            }
+            return {
+                id: id,
+                kind: 'polygon',
+                rings: coordinates,
+                color: color,
+                fillOpacity: opacity,
+                width: width,
+                title: name,
+                onClick: onClick,
+                properties: properties
+            };
+        });
+    }
+
+    getFeatureName(feature, index) {
+        const properties = feature.properties;
+        const key = Object.keys(properties).find(name => /^(name|title|label)$/i.test(name));
+        return key && properties[key] !== '' ? String(properties[key]) : `Feature ${index + 1}`;
+    }
+
+    showFeatureInfo(overlay, feature, name) {
+        const rows = Object.entries(feature.properties)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => {
+                const text = typeof value === 'object' ? JSON.stringify(value) : value;
+                return `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(text)}</td></tr>`;
+            })
+            .join('');
+
+        const content = `
+            <h3>${escapeHtml(name)}</h3>
+            <p><strong>Layer:</strong> ${escapeHtml(overlay.name)}</p>
+            <p><strong>Geometry:</strong> ${feature.geometry.type}</p>
+            ${rows ? `<table class="overlay-attributes">${rows}</table>` : '<p>No attributes</p>'}
+        `;
+
+        this.app.selectedForce = null;
+        this.app.uiManager.showInfoPanel(content);
+        this.app.urlState.schedule();
+    }
+
+    // ---- Panel ----
+
+    render() {
+        this.container.innerHTML = '';
+
+        this.overlays.forEach(overlay => {
+            const row = document.createElement('div');
+            row.className = 'overlay-layer';
+            row.innerHTML = `
+                <div class="overlay-layer-header">
+                    <label class="toggle-switch">
+                        <input type="checkbox" ${overlay.visible ? 'checked' : ''}>
+                        <span class="slider"></span>
+                        <span class="label"></span>
+                    </label>
+                    <span class="overlay-swatch"></span>
+                    <button type="button" class="overlay-settings-btn" aria-label="Style settings" aria-expanded="false">⚙</button>
+                </div>
+                <div class="overlay-settings hidden">
+                    <label>Color <input type="color" data-style="color"></label>
+                    <label>Fill <input type="range" min="0" max="1" step="0.05" data-style="opacity"></label>
+                    <label>Line <input type="range" min="1" max="8" step="1" data-style="width"></label>
+                    <button type="button" class="overlay-remove-btn">Remove layer</button>
+                </div>
+            `;
+
+            row.querySelector('.label').textContent = `${overlay.name} (${overlay.features.length})`;
+            row.querySelector('.overlay-swatch').style.background = overlay.style.color;
+
+            row.querySelector('input[type="checkbox"]').addEventListener('change', (event) => {
+                this.setVisible(overlay, event.target.checked);
+            });
+
+            const settings = row.querySelector('.overlay-settings');
+            const settingsButton = row.querySelector('.overlay-settings-btn');
+            settingsButton.addEventListener('click', () => {
+                const open = settings.classList.toggle('hidden') === false;
+                settingsButton.setAttribute('aria-expanded', String(open));
+            });
+
+            settings.querySelectorAll('[data-style]').forEach(input => {
+                const key = input.dataset.style;
+                input.value = overlay.style[key];
+                input.addEventListener('change', () => {
+                    const value = key === 'color' ? input.value : Number(input.value);
+                    this.setStyle(overlay, { [key]: value });
+                    row.querySelector('.overlay-swatch').style.background = overlay.style.color;
+                });
+            });
+
+            row.querySelector('.overlay-remove-btn').addEventListener('click', () => this.remove(overlay));
+
+            this.container.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * PRESENTATION PLAYER MODULE
+ * Plays scripted briefings from data/presentations.json: each step sets the
+ * date, layers, scenario, camera and highlighted units and shows a caption.
+ */
+
+const TICK = 100; // ms between progress updates
+
+// Step fields that carry over to later steps when omitted.
+// Camera, highlight and caption only apply to the step that declares them.
+const INHERITED_FIELDS = ['date', 'layers', 'scenario'];
+
+export class PresentationPlayer {
+    constructor(app) {
+        this.app = app;
+        this.container = document.getElementById('presentation-player');
+
+        this.presentation = null;
+        this.steps = [];
+        this.index = 0;
+        this.elapsed = 0;
+        this.isPlaying = false;
+        this.timer = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+
+        this.container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => this.runAction(button.dataset.action));
+        });
+    }
+
+    get isOpen() {
+        return this.presentation !== null;
+    }
+
+    start(presentation) {
+        this.presentation = presentation;
+        this.steps = this.resolveSteps(presentation.steps);
+
+        this.renderProgressSegments();
+        this.container.classList.remove('hidden');
+        document.body.classList.add('presenting');
+        document.addEventListener('keydown', this.onKeyDown);
+
+        this.goTo(0);
+        this.play();
+    }
+
+    stop() {
+        this.pause();
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.body.classList.remove('presenting');
+        this.container.classList.add('hidden');
+
+        this.presentation = null;
+        this.steps = [];
+        this.app.mapEngine.setHighlightedMarkers([]);
+        this.app.onPresentationEnd();
+    }
+
+    /**
+     * Fill omitted inherited fields from earlier steps so every step describes
+     * a complete state, which keeps prev/next deterministic.
+     */
+    resolveSteps(steps) {
+        const carried = {};
+
+        return steps.map(step => {
+            const resolved = { ...step };
+            INHERITED_FIELDS.forEach(field => {
+                if (field in step) {
+                    carried[field] = step[field];
+                } else if (field in carried) {
+                    resolved[field] = carried[field];
+                }
+            });
+            return resolved;
+        });
+    }
+
+    play() {
+        if (this.isPlaying) return;
+
+        // Replay from the top once the last step has finished
+        if (this.index === this.steps.length - 1 && this.elapsed >= this.steps[this.index].duration) {
+            this.goTo(0);
+        }
+
+        this.isPlaying = true;
+        this.timer = setInterval(() => this.tick(), TICK);
+        this.renderControls();
+    }
+
+    pause() {
+        this.isPlaying = false;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.renderControls();
+    }
+
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    next() {
+        if (this.index < this.steps.length - 1) {
+            this.goTo(this.index + 1);
+        }
+    }
+
+    prev() {
+        // First press restarts the current step, like a media player
+        if (this.elapsed > 2000 || this.index === 0) {
+            this.goTo(this.index);
+        } else {
+            this.goTo(this.index - 1);
+        }
+    }
+
+    goTo(index) {
+        this.index = index;
+        this.elapsed = 0;
+
+        const step = this.steps[index];
+        this.app.applyPresentationStep(step);
+        this.renderCaption(step);
+        this.renderProgress();
+    }
+
+    tick() {
+        const step = this.steps[this.index];
+        this.elapsed += TICK;
+
+        if (this.elapsed >= step.duration) {
+            if (this.index < this.steps.length - 1) {
+                this.goTo(this.index + 1);
+                return;
+            }
+            this.elapsed = step.duration;
+            this.pause();
+        }
+
+        this.renderProgress();
+    }
+
+    runAction(action) {
+        switch (action) {
+            case 'prev':
+                this.prev();
+                break;
+            case 'toggle':
+                this.toggle();
+                break;
+            case 'next':
+                this.next();
+                break;
+            case 'exit':
+                this.stop();
+                break;
+        }
+    }
+
+    onKeyDown(event) {
+        if (event.target.matches('input, textarea, select')) return;
+
+        const actions = {
+            ' ': 'toggle',
+            ArrowRight: 'next',
+            PageDown: 'next',
+            ArrowLeft: 'prev',
+            PageUp: 'prev',
+            Escape: 'exit'
+        };
+
+        if (event.key === 'Home') {
+            event.preventDefault();
+            this.goTo(0);
+        } else if (actions[event.key]) {
+            event.preventDefault();
+            this.runAction(actions[event.key]);
+        }
+    }
+
+    // ---- Rendering ----
+
+    renderCaption(step) {
+        this.container.querySelector('#presentation-step-count').textContent =
+            `${this.presentation.name} · ${this.index + 1} / ${this.steps.length}`;
+        this.container.querySelector('#presentation-title').textContent = step.caption.title;
+        this.container.querySelector('#presentation-text').textContent = step.caption.text || '';
+    }
+
+    renderControls() {
+        const toggle = this.container.querySelector('[data-action="toggle"]');
+        toggle.textContent = this.isPlaying ? '⏸' : '▶';
+        toggle.setAttribute('aria-label', this.isPlaying ? 'Pause' : 'Play');
+    }
+
+    renderProgressSegments() {
+        const progress = this.container.querySelector('.presentation-progress');
+        progress.innerHTML = '';
+
+        this.steps.forEach((step, index) => {
+            const segment = document.createElement('button');
+            segment.type = 'button';
+            segment.className = 'presentation-segment';
+            segment.style.flexGrow = step.duration;
+            segment.title = step.caption.title;
+            segment.innerHTML = '<span class="presentation-segment-fill"></span>';
+            segment.addEventListener('click', () => this.goTo(index));
+            progress.appendChild(segment);
+        });
+    }
+
+    renderProgress() {
+        const fills = this.container.querySelectorAll('.presentation-segment-fill');
+        fills.forEach((fill, index) => {
+            let fraction = 0;
+            if (index < this.index) {
+                fraction = 1;
+            } else if (index === this.index) {
+                fraction = Math.min(1, this.elapsed / this.steps[index].duration);
+            }
+            fill.style.width = `${fraction * 100}%`;
+        });
+    }
+}
@@ -0,0 +1,509 @@
+/**
+ * GOOGLE MAPS PROVIDER
+ * MapProvider adapter backed by the Google Maps JavaScript API
+ */
+
+import { MapProvider } from './map-provider.js';
+import { loadScript } from './load-script.js';
+
+const HIGHLIGHT_COLOR = '#ffbb4a';
+
+export class GoogleMapProvider extends MapProvider {
+    constructor(options = {}) {
+        super(options);
+        this.map = null;
+        // Created when a shape is first hovered, see showTooltip
+        this.tooltip = null;
+    }
+
+    async init(container, view) {
+        const libraries = (this.options.libraries || []).join(',');
+        await loadScript(`https://maps.googleapis.com/maps/api/js?key=${this.options.apiKey}&libraries=${libraries}`);
+
+        // Wait for Google Maps to load
+        await this.waitForGoogleMaps();
+
+        // Initialize map with dark theme
+        this.map = new google.maps.Map(container, {
+            center: { lat: view.center[1], lng: view.center[0] },
+            zoom: view.zoom,
+            mapTypeId: 'hybrid', // Satellite with labels
+            styles: this.getDarkMapStyles(),
+            disableDefaultUI: true,
+            zoomControl: true,
+            mapTypeControl: false,
+            scaleControl: true,
+            streetViewControl: false,
+            rotateControl: true,
+            fullscreenControl: false,
+            gestureHandling: 'greedy',
+            tilt: 45,
+            backgroundColor: '#0a1929'
+        });
+
+        // Add custom controls
+        this.addCustomControls();
+    }
+
+    async waitForGoogleMaps() {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                clearInterval(checkGoogle);
+                reject(new Error('Google Maps failed to load'));
+            }, this.options.loadTimeout || 10000);
+
+            const checkGoogle = setInterval(() => {
+                if (typeof google !== 'undefined' && google.maps && google.maps.Map) {
+                    clearInterval(checkGoogle);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            }, 100);
+        });
+    }
+
+    getDarkMapStyles() {
+        return [
+            { elementType: "geometry", stylers: [{ color: "#0a1929" }] },
+            { elementType: "labels.text.stroke", stylers: [{ color: "#0a1929" }] },
+            { elementType: "labels.text.fill", stylers: [{ color: "#4a9eff" }] },
+            {
+                featureType: "administrative.locality",
+                elementType: "labels.text.fill",
+                stylers: [{ color: "#4a9eff" }]
+            },
+            {
+                featureType: "poi",
+                elementType: "labels.text.fill",
+                stylers: [{ color: "#8a9bb5" }]
+            },
+            {
+                featureType: "poi.park",
+                elementType: "geometry",
+                stylers: [{ color: "#1a2940" }]
+            },
+            {
+                featureType: "poi.park",
+                elementType: "labels.text.fill",
+                stylers: [{ color: "#6b9a76" }]
+            },
+            {
+                featureType: "road",
+                elementType: "geometry",
+                stylers: [{ color: "#1a2940" }]
+            },
+            {
+                featureType: "road",
+                elementType: "geometry.stroke",
+                stylers: [{ color: "#0a1929" }]
+            },
+            {
+                featureType: "road",
+                elementType: "labels.text.fill",
+                stylers: [{ color: "#8a9bb5" }]
+            },
+            {
+                featureType: "road.highway",
+                elementType: "geometry",
+                stylers: [{ color: "#2a3950" }]
+            },
+            {
+                featureType: "road.highway",
+                elementType: "geometry.stroke",
+                stylers: [{ color: "#1a2940" }]
+            },
+            {
+                featureType: "road.highway",
+                elementType: "labels.text.fill",
+                stylers: [{ color: "#4a9eff" }]
+            },
+            {
+                featureType: "transit",
+                elementType: "geometry",
+                stylers: [{ color: "#1a2940" }]
+            },
+            {
+                featureType: "transit.station",
+                elementType: "labels.text.fill",
+                stylers: [{ color: "#8a9bb5" }]
+            },
+            {
+                featureType: "water",
+                elementType: "geometry",
+                stylers: [{ color: "#0a1929" }]
+            },
+            {
+                featureType: "water",
+                elementType: "labels.text.fill",
+                stylers: [{ color: "#4a9eff" }]
+            },
+            {
+                featureType: "water",
+                elementType: "labels.text.stroke",
+                stylers: [{ color: "#0a1929" }]
+            }
+        ];
+    }
+
+    addCustomControls() {
+        // Map type toggle button
+        const mapTypeButton = document.createElement('button');
+        mapTypeButton.textContent = 'Satellite';
+        mapTypeButton.className = 'custom-map-control';
+
+        let isSatellite = true;
+        mapTypeButton.addEventListener('click', () => {
+            isSatellite = !isSatellite;
+            this.map.setMapTypeId(isSatellite ? 'hybrid' : 'roadmap');
+            mapTypeButton.textContent = isSatellite ? 'Satellite' : 'Map';
+        });
+
+        this.map.controls[google.maps.ControlPosition.TOP_RIGHT].push(mapTypeButton);
+    }
+
+    flyTo(camera) {
+        this.map.panTo({ lat: camera.center[1], lng: camera.center[0] });
+        this.map.setZoom(camera.zoom || 6);
+
+        if (camera.tilt !== undefined) {
+            this.map.setTilt(camera.tilt);
+        }
+        if (camera.heading !== undefined) {
+            this.map.setHeading(camera.heading);
+        }
+    }
+
+    jumpTo(camera) {
+        this.map.setCenter({ lat: camera.center[1], lng: camera.center[0] });
+        this.map.setZoom(camera.zoom);
+
+        if (camera.tilt !== undefined) {
+            this.map.setTilt(camera.tilt);
+        }
+        if (camera.heading !== undefined) {
+            this.map.setHeading(camera.heading);
+        }
+    }
+
+    getView() {
+        const center = this.map.getCenter();
+        return {
+            center: [center.lng(), center.lat()],
+            zoom: this.map.getZoom(),
+            tilt: this.map.getTilt() || 0,
+            heading: this.map.getHeading() || 0
+        };
+    }
+
+    on(eventName, handler) {
+        if (eventName === 'viewchange') {
+            const listener = this.map.addListener('idle', () => handler(this.getView()));
+            return () => listener.remove();
+        }
+
+        const listener = this.map.addListener(eventName, (event) => {
+            handler([event.latLng.lng(), event.latLng.lat()]);
+        });
+        return () => listener.remove();
+    }
+
+    setCursor(cursor) {
+        this.map.setOptions({ draggableCursor: cursor });
+    }
+
+    addMarker({ position, title, style, label, icon: image, bounce, zIndex, onClick, draggable, onDrag, onDragEnd, interactive = true }) {
+        if (image) {
+            return this.addImageMarker({ position, title, image, bounce, zIndex, onClick, interactive });
+        }
+
+        // Create custom marker icon
+        const icon = {
+            path: style.shape === 'chevron'
+                ? 'M 0,-2 L 2,2 L 0,1.5 L -2,2 Z'
+                : google.maps.SymbolPath.CIRCLE,
+            fillColor: style.fillColor,
+            fillOpacity: 1,
+            strokeColor: style.strokeColor,
+            strokeWeight: style.strokeWeight,
+            scale: style.scale,
+            anchor: new google.maps.Point(0, 0)
+        };
+
+        const marker = new google.maps.Marker({
+            position: { lat: position[1], lng: position[0] },
+            map: this.map,
+            icon: icon,
+            title: title,
+            label: label ? { text: label, color: '#ffffff', fontSize: '11px', fontWeight: '600' } : null,
+            animation: bounce ? google.maps.Animation.BOUNCE : null,
+            zIndex: zIndex,
+            draggable: Boolean(draggable)
+        });
+
+        // Stop bounce animation after 2 seconds
+        if (bounce) {
+            setTimeout(() => {
+                marker.setAnimation(null);
+            }, 2000);
+        }
+
+        // Add click handler
+        if (onClick) {
+            marker.addListener('click', onClick);
+        }
+
+        // Add drag handlers
+        const toCoordinates = (event) => [event.latLng.lng(), event.latLng.lat()];
+        if (onDrag) {
+            marker.addListener('drag', (event) => onDrag(toCoordinates(event)));
+        }
+        if (onDragEnd) {
+            marker.addListener('dragend', (event) => onDragEnd(toCoordinates(event)));
+        }
+
+        // Highlighted markers get a larger icon with an amber outline
+        let highlighted = false;
+        const currentIcon = () => highlighted
+            ? { ...icon, scale: icon.scale * 1.6, strokeColor: HIGHLIGHT_COLOR, strokeWeight: 3 }
+            : icon;
+
+        // Add hover effect
+        marker.addListener('mouseover', () => {
+            const base = currentIcon();
+            marker.setIcon({
+                ...base,
+                scale: base.scale * 1.3
+            });
+        });
+
+        marker.addListener('mouseout', () => {
+            marker.setIcon(currentIcon());
+        });
+
+        return {
+            remove: () => marker.setMap(null),
+            setHighlighted: (value) => {
+                highlighted = value;
+                marker.setIcon(currentIcon());
+                marker.setZIndex(value ? 3000 : zIndex);
+            },
+            setPosition: (coordinates) => marker.setPosition({ lat: coordinates[1], lng: coordinates[0] }),
+            setOpacity: (opacity) => marker.setOpacity(opacity)
+        };
+    }
+
+    addImageMarker({ position, title, image, bounce, zIndex, onClick, interactive }) {
+        let hovered = false;
+        let highlighted = false;
+        const currentIcon = () => {
+            const scale = (hovered ? 1.2 : 1) * (highlighted ? 1.4 : 1);
+            const width = image.width * scale;
+            const height = image.height * scale;
+            return {
+                url: image.url,
+                scaledSize: new google.maps.Size(width, height),
+                anchor: new google.maps.Point(width / 2, height / 2)
+            };
+        };
+
+        const marker = new google.maps.Marker({
+            position: { lat: position[1], lng: position[0] },
+            map: this.map,
+            icon: currentIcon(),
+            title: title,
+            animation: bounce ? google.maps.Animation.BOUNCE : null,
+            zIndex: zIndex,
+            clickable: interactive
+        });
+
+        if (bounce) {
+            setTimeout(() => {
+                marker.setAnimation(null);
+            }, 2000);
+        }
+
+        if (onClick) {
+            marker.addListener('click', onClick);
+        }
+
+        if (interactive) {
+            marker.addListener('mouseover', () => {
+                hovered = true;
+                marker.setIcon(currentIcon());
+            });
+            marker.addListener('mouseout', () => {
+                hovered = false;
+                marker.setIcon(currentIcon());
+            });
+        }
+
+        return {
+            remove: () => marker.setMap(null),
+            setHighlighted: (value) => {
+                highlighted = value;
+                marker.setIcon(currentIcon());
+                marker.setZIndex(value ? 3000 : zIndex);
+            },
+            setPosition: (coordinates) => marker.setPosition({ lat: coordinates[1], lng: coordinates[0] }),
+            setOpacity: (opacity) => marker.setOpacity(opacity)
+        };
+    }
+
+    addCircle({ center, radius, fillColor, strokeColor, opacity = 1, title, onClick }) {
+        const circle = new google.maps.Circle({
+            strokeColor: strokeColor,
+            strokeOpacity: 0.6 * opacity,
+            strokeWeight: 2,
+            fillColor: fillColor,
+            fillOpacity: 0.2 * opacity,
+            map: this.map,
+            center: { lat: center[1], lng: center[0] },
+            radius: radius,
+            clickable: Boolean(onClick)
+        });
+
+        if (onClick) {
+            this.bindShapeEvents(circle, {
+                title: title,
+                onClick: onClick,
+                normal: { strokeOpacity: 0.6 * opacity, strokeWeight: 2, fillOpacity: 0.2 * opacity },
+                hovered: { strokeOpacity: 1, strokeWeight: 4, fillOpacity: 0.3 * opacity }
+            });
+        }
+
+        return {
+            remove: () => circle.setMap(null),
+            setCenter: (coordinates) => circle.setCenter({ lat: coordinates[1], lng: coordinates[0] }),
+            setRadius: (meters) => circle.setRadius(meters)
+        };
+    }
+
+    addPolyline({ path, color, width, opacity, geodesic, symbol, dashed, title, onClick }) {
+        const icons = [];
+        if (symbol) {
+            icons.push({
+                icon: {
+                    path: symbol === 'dot' ? google.maps.SymbolPath.CIRCLE : google.maps.SymbolPath.FORWARD_CLOSED_ARROW,
+                    scale: symbol === 'dot' ? 5 : 3,
+                    fillColor: color,
+                    fillOpacity: 0.8,
+                    strokeWeight: 1,
+                    strokeColor: '#ffffff'
+                },
+                offset: '100%'
+            });
+        }
+        // Google Maps has no dashed stroke: the line is hidden and repeated
+        // dash symbols are drawn along it instead
+        if (dashed) {
+            icons.push({
+                icon: { path: 'M 0,-1 0,1', strokeColor: color, strokeOpacity: opacity, scale: width },
+                offset: '0',
+                repeat: `${width * 6}px`
+            });
+        }
+
+        const polyline = new google.maps.Polyline({
+            path: path.map(coord => ({ lat: coord[1], lng: coord[0] })),
+            geodesic: geodesic,
+            strokeColor: color,
+            strokeOpacity: dashed ? 0 : opacity,
+            strokeWeight: width,
+            map: this.map,
+            clickable: Boolean(onClick),
+            icons: icons
+        });
+
+        if (onClick) {
+            this.bindShapeEvents(polyline, {
+                title: title,
+                onClick: onClick,
+                normal: { strokeOpacity: dashed ? 0 : opacity, strokeWeight: width },
+                hovered: { strokeOpacity: dashed ? 0 : 1, strokeWeight: width + 2 }
+            });
+        }
+
+        return {
+            remove: () => polyline.setMap(null),
+            setPath: (coordinates) => {
+                polyline.setPath(coordinates.map(coord => ({ lat: coord[1], lng: coord[0] })));
+            },
+            setSymbolOffset: (percent) => {
+                if (!symbol) return;
+                const current = polyline.get('icons');
+                current[0].offset = percent + '%';
+                polyline.set('icons', current);
+            }
+        };
+    }
+
+    /**
+     * Clickable shapes thicken under the pointer and show their title beside
+     * it. Clicks also reach the map's click listeners, as with Leaflet, so
+     * map tools keep working over a shape.
+     */
+    bindShapeEvents(shape, { title, onClick, normal, hovered }) {
+        shape.addListener('click', (event) => {
+            onClick(event);
+            google.maps.event.trigger(this.map, 'click', event);
+        });
+        shape.addListener('mouseover', (event) => {
+            shape.setOptions(hovered);
+            this.showTooltip(title, event.domEvent);
+        });
+        shape.addListener('mousemove', (event) => this.showTooltip(title, event.domEvent));
+        shape.addListener('mouseout', () => {
+            shape.setOptions(normal);
+            this.hideTooltip();
+        });
+    }
+
+    // Google Maps shapes have no tooltips, so one element follows the pointer
+    showTooltip(text, domEvent) {
+        if (!text || !domEvent) return;
+
+        if (!this.tooltip) {
+            this.tooltip = document.createElement('div');
+            this.tooltip.className = 'map-feature-tooltip';
+            this.map.getDiv().appendChild(this.tooltip);
+        }
+
+        const bounds = this.map.getDiv().getBoundingClientRect();
+        this.tooltip.textContent = text;
+        this.tooltip.style.left = `${domEvent.clientX - bounds.left}px`;
+        this.tooltip.style.top = `${domEvent.clientY - bounds.top}px`;
+        this.tooltip.classList.remove('hidden');
+    }
+
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.classList.add('hidden');
+        }
+    }
+
+    addPolygon({ rings, fillColor, fillOpacity, strokeColor, strokeWidth, title, onClick }) {
+        const polygon = new google.maps.Polygon({
+            paths: rings.map(ring => ring.map(coord => ({ lat: coord[1], lng: coord[0] }))),
+            strokeColor: strokeColor,
+            strokeOpacity: 0.8,
+            strokeWeight: strokeWidth,
+            fillColor: fillColor,
+            fillOpacity: fillOpacity,
+            map: this.map,
+            clickable: Boolean(onClick)
+        });
+
+        if (onClick) {
+            this.bindShapeEvents(polygon, {
+                title: title,
+                onClick: onClick,
+                normal: { strokeOpacity: 0.8, strokeWeight: strokeWidth, fillOpacity: fillOpacity },
+                hovered: { strokeOpacity: 1, strokeWeight: strokeWidth + 2, fillOpacity: Math.min(fillOpacity + 0.1, 1) }
+            });
+        }
+
+        return {
+            remove: () => polygon.setMap(null)
+        };
+    }
+}
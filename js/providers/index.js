@@ -0,0 +1,38 @@
+/**
+ * MAP PROVIDER REGISTRY
+ * Resolves the configured provider name to adapter instances
+ */
+
+import { config, hasGoogleApiKey } from '../config.js';
+import { GoogleMapProvider } from './google-provider.js';
+import { LeafletMapProvider } from './leaflet-provider.js';
+import { MemoryMapProvider } from './memory-provider.js';
+
+const providers = {
+    google: () => new GoogleMapProvider(config.google),
+    leaflet: () => new LeafletMapProvider(config.leaflet),
+    memory: () => new MemoryMapProvider()
+};
+
+export function registerMapProvider(name, factory) {
+    providers[name] = factory;
+}
+
+/**
+ * Ordered list of provider names to try for a configured name.
+ * 'auto' prefers Google when a key is configured and falls back to Leaflet.
+ */
+export function resolveProviderNames(name) {
+    if (name === 'auto') {
+        return hasGoogleApiKey() ? ['google', 'leaflet'] : ['leaflet'];
+    }
+    return [name];
+}
+
+export function createMapProvider(name) {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown map provider: ${name}`);
+    }
+    return factory();
+}
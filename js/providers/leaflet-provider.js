@@ -0,0 +1,445 @@
+/**
+ * LEAFLET PROVIDER
+ * Open-source MapProvider adapter backed by Leaflet, a bundled vector basemap
+ * and optional locally hosted tiles. Needs no API key and no network once the
+ * app is served.
+ */
+
+import { MapProvider } from './map-provider.js';
+import { loadScript, loadStylesheet } from './load-script.js';
+import { escapeHtml } from '../html-utils.js';
+import { greatCirclePath } from '../geo-utils.js';
+
+const HIGHLIGHT_COLOR = '#ffbb4a';
+const BASEMAP_LAND_COLOR = '#16243a';
+const BASEMAP_BORDER_COLOR = '#2f4668';
+
+export class LeafletMapProvider extends MapProvider {
+    constructor(options = {}) {
+        super(options);
+        this.map = null;
+    }
+
+    async init(container, view) {
+        loadStylesheet(this.options.styleUrl);
+        await loadScript(this.options.scriptUrl);
+
+        if (typeof L === 'undefined') {
+            throw new Error('Leaflet failed to load');
+        }
+
+        this.map = L.map(container, {
+            center: [view.center[1], view.center[0]],
+            zoom: view.zoom,
+            minZoom: this.options.minZoom,
+            maxZoom: this.options.maxZoom,
+            zoomSnap: 0.1,
+            zoomControl: true,
+            attributionControl: Boolean(this.options.attribution),
+            preferCanvas: false
+        });
+
+        if (this.options.basemapUrl) {
+            await this.addBasemap(this.options.basemapUrl);
+        }
+
+        if (this.options.tileUrl) {
+            L.tileLayer(this.options.tileUrl, {
+                maxZoom: this.options.maxZoom,
+                maxNativeZoom: this.options.maxNativeZoom,
+                attribution: this.options.attribution,
+                errorTileUrl: ''
+            }).addTo(this.map);
+        }
+    }
+
+    // Country outlines under the tile pane; a missing file leaves the plain background
+    async addBasemap(url) {
+        let data;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            console.warn(`Basemap not loaded from ${url}:`, error);
+            return;
+        }
+
+        this.map.createPane('basemap').style.zIndex = 150;
+        L.geoJSON(data, {
+            pane: 'basemap',
+            interactive: false,
+            style: {
+                color: BASEMAP_BORDER_COLOR,
+                weight: 1,
+                fillColor: BASEMAP_LAND_COLOR,
+                fillOpacity: 1
+            }
+        }).addTo(this.map);
+    }
+
+    flyTo(camera) {
+        // tilt and heading have no meaning on a 2D map
+        this.map.flyTo([camera.center[1], camera.center[0]], camera.zoom || 6, {
+            duration: 1.2
+        });
+    }
+
+    jumpTo(camera) {
+        this.map.setView([camera.center[1], camera.center[0]], camera.zoom, { animate: false });
+    }
+
+    resize() {
+        this.map.invalidateSize();
+    }
+
+    getView() {
+        const center = this.map.getCenter();
+        return {
+            center: [center.lng, center.lat],
+            zoom: this.map.getZoom(),
+            tilt: 0,
+            heading: 0
+        };
+    }
+
+    on(eventName, handler) {
+        const leafletEvent = eventName === 'viewchange' ? 'moveend' : eventName;
+        const listener = eventName === 'viewchange'
+            ? () => handler(this.getView())
+            : (event) => handler([event.latlng.lng, event.latlng.lat]);
+        this.map.on(leafletEvent, listener);
+        return () => this.map.off(leafletEvent, listener);
+    }
+
+    setCursor(cursor) {
+        this.map.getContainer().style.cursor = cursor || '';
+    }
+
+    addMarker({ position, title, style, label, icon, zIndex, onClick, draggable, onDrag, onDragEnd, interactive = true }) {
+        const latLng = [position[1], position[0]];
+        const state = { hovered: false, highlighted: false };
+        let marker;
+        let applyState;
+
+        if (draggable) {
+            // circleMarker cannot be dragged, so draggable markers are DOM icons
+            const size = style.scale * 2 + style.strokeWeight * 2;
+            marker = L.marker(latLng, {
+                icon: L.divIcon({
+                    className: 'leaflet-handle-marker',
+                    html: `<span style="background: ${style.fillColor}; border: ${style.strokeWeight}px solid ${style.strokeColor};"></span>`,
+                    iconSize: [size, size],
+                    iconAnchor: [size / 2, size / 2]
+                }),
+                title: title,
+                draggable: true,
+                zIndexOffset: zIndex || 0
+            });
+            applyState = () => {};
+
+            const toCoordinates = () => {
+                const current = marker.getLatLng();
+                return [current.lng, current.lat];
+            };
+            if (onDrag) {
+                marker.on('drag', () => onDrag(toCoordinates()));
+            }
+            if (onDragEnd) {
+                marker.on('dragend', () => onDragEnd(toCoordinates()));
+            }
+        } else if (icon) {
+            const buildIcon = (scale) => L.icon({
+                iconUrl: icon.url,
+                iconSize: [icon.width * scale, icon.height * scale],
+                iconAnchor: [icon.width * scale / 2, icon.height * scale / 2]
+            });
+
+            marker = L.marker(latLng, {
+                icon: buildIcon(1),
+                title: title,
+                zIndexOffset: zIndex || 0,
+                interactive: interactive
+            });
+            applyState = () => {
+                marker.setIcon(buildIcon((state.hovered ? 1.2 : 1) * (state.highlighted ? 1.4 : 1)));
+                marker.setZIndexOffset(state.highlighted ? 3000 : zIndex || 0);
+            };
+        } else if (label) {
+            // circleMarker cannot hold text, so labelled markers are DOM badges
+            const size = style.scale * 2;
+            const buildIcon = (scale, strokeColor) => L.divIcon({
+                className: 'leaflet-badge-marker',
+                html: `<span style="background: ${style.fillColor}; border: ${style.strokeWeight}px solid ${strokeColor};">${label}</span>`,
+                iconSize: [size * scale, size * scale],
+                iconAnchor: [size * scale / 2, size * scale / 2]
+            });
+
+            marker = L.marker(latLng, {
+                icon: buildIcon(1, style.strokeColor),
+                title: title,
+                zIndexOffset: zIndex || 0
+            });
+            applyState = () => {
+                const scale = (state.hovered ? 1.15 : 1) * (state.highlighted ? 1.3 : 1);
+                marker.setIcon(buildIcon(scale, state.highlighted ? HIGHLIGHT_COLOR : style.strokeColor));
+                marker.setZIndexOffset(state.highlighted ? 3000 : zIndex || 0);
+            };
+        } else if (style.shape === 'chevron') {
+            const size = style.scale * 4;
+            const buildIcon = (scale, strokeColor) => L.divIcon({
+                className: 'leaflet-chevron-marker',
+                html: `
+                    <svg width="${size * scale}" height="${size * scale}" viewBox="-2.5 -2.5 5 5">
+                        <path d="M 0,-2 L 2,2 L 0,1.5 L -2,2 Z"
+                              fill="${style.fillColor}"
+                              stroke="${strokeColor}"
+                              stroke-width="${style.strokeWeight / style.scale}"/>
+                    </svg>
+                `,
+                iconSize: [size * scale, size * scale],
+                iconAnchor: [size * scale / 2, size * scale / 2]
+            });
+
+            marker = L.marker(latLng, {
+                icon: buildIcon(1, style.strokeColor),
+                title: title,
+                zIndexOffset: zIndex || 0
+            });
+            applyState = () => {
+                const scale = (state.hovered ? 1.3 : 1) * (state.highlighted ? 1.6 : 1);
+                marker.setIcon(buildIcon(scale, state.highlighted ? HIGHLIGHT_COLOR : style.strokeColor));
+                marker.setZIndexOffset(state.highlighted ? 3000 : zIndex || 0);
+            };
+        } else {
+            marker = L.circleMarker(latLng, {
+                radius: style.scale,
+                fillColor: style.fillColor,
+                fillOpacity: 1,
+                color: style.strokeColor,
+                weight: style.strokeWeight
+            });
+            // Leaflet renders tooltip strings as HTML
+            marker.bindTooltip(escapeHtml(title), { direction: 'top' });
+            applyState = () => {
+                marker.setRadius(style.scale * (state.hovered ? 1.3 : 1) * (state.highlighted ? 1.6 : 1));
+                marker.setStyle({
+                    color: state.highlighted ? HIGHLIGHT_COLOR : style.strokeColor,
+                    weight: state.highlighted ? 3 : style.strokeWeight
+                });
+                if (state.highlighted) marker.bringToFront();
+            };
+        }
+
+        // Add click handler
+        if (onClick) {
+            marker.on('click', onClick);
+        }
+
+        // Add hover effect
+        marker.on('mouseover', () => {
+            state.hovered = true;
+            applyState();
+        });
+        marker.on('mouseout', () => {
+            state.hovered = false;
+            applyState();
+        });
+
+        marker.addTo(this.map);
+
+        return {
+            remove: () => marker.remove(),
+            setHighlighted: (value) => {
+                state.highlighted = value;
+                applyState();
+            },
+            setPosition: (coordinates) => marker.setLatLng([coordinates[1], coordinates[0]]),
+            setOpacity: (opacity) => {
+                if (marker.setOpacity) {
+                    marker.setOpacity(opacity);
+                } else {
+                    marker.setStyle({ opacity: opacity, fillOpacity: opacity });
+                }
+            }
+        };
+    }
+
+    addCircle({ center, radius, fillColor, strokeColor, opacity = 1, title, onClick }) {
+        const circle = L.circle([center[1], center[0]], {
+            radius: radius,
+            color: strokeColor,
+            opacity: 0.6 * opacity,
+            weight: 2,
+            fillColor: fillColor,
+            fillOpacity: 0.2 * opacity,
+            interactive: Boolean(onClick)
+        }).addTo(this.map);
+
+        if (onClick) {
+            this.bindShapeEvents(circle, {
+                title: title,
+                onClick: onClick,
+                normal: { opacity: 0.6 * opacity, weight: 2, fillOpacity: 0.2 * opacity },
+                hovered: { opacity: 1, weight: 4, fillOpacity: 0.3 * opacity }
+            });
+        }
+
+        return {
+            remove: () => circle.remove(),
+            setCenter: (coordinates) => circle.setLatLng([coordinates[1], coordinates[0]]),
+            setRadius: (meters) => circle.setRadius(meters)
+        };
+    }
+
+    addPolyline({ path, color, width, opacity, geodesic, symbol, dashed, title, onClick }) {
+        // Leaflet joins points with straight lines, so geodesic paths get
+        // points along their great circles
+        const toLatLngs = (coordinates) =>
+            (geodesic ? greatCirclePath(coordinates) : coordinates).map(coord => [coord[1], coord[0]]);
+        let latLngs = toLatLngs(path);
+
+        const polyline = L.polyline(latLngs, {
+            color: color,
+            weight: width,
+            opacity: opacity,
+            dashArray: dashed ? `${width * 3} ${width * 3}` : undefined,
+            interactive: Boolean(onClick)
+        }).addTo(this.map);
+
+        if (onClick) {
+            this.bindShapeEvents(polyline, {
+                title: title,
+                onClick: onClick,
+                normal: { opacity: opacity, weight: width },
+                hovered: { opacity: 1, weight: width + 2 }
+            });
+        }
+
+        // Leaflet has no native line symbols, so the symbol is a rotated marker
+        // positioned along the path in screen space
+        let symbolMarker = null;
+        let symbolOffset = 100;
+
+        const placeSymbol = () => {
+            const { latLng, angle } = this.pointAlongPath(latLngs, symbolOffset / 100);
+            symbolMarker.setLatLng(latLng);
+            const element = symbolMarker.getElement();
+            if (element) {
+                element.firstElementChild.style.transform = `rotate(${angle}deg)`;
+            }
+        };
+
+        if (symbol) {
+            const shape = symbol === 'dot'
+                ? '<circle cx="0" cy="0" r="5"'
+                : '<path d="M 6,0 L -5,-5 L -5,5 Z"';
+            symbolMarker = L.marker(latLngs[latLngs.length - 1], {
+                icon: L.divIcon({
+                    className: 'leaflet-line-symbol',
+                    html: `
+                        <svg width="14" height="14" viewBox="-7 -7 14 14">
+                            ${shape}
+                                  fill="${color}" fill-opacity="0.8"
+                                  stroke="#ffffff" stroke-width="1"/>
+                        </svg>
+                    `,
+                    iconSize: [14, 14],
+                    iconAnchor: [7, 7]
+                }),
+                interactive: false,
+                keyboard: false
+            }).addTo(this.map);
+
+            placeSymbol();
+            this.map.on('zoomend', placeSymbol);
+        }
+
+        return {
+            remove: () => {
+                polyline.remove();
+                if (symbolMarker) {
+                    this.map.off('zoomend', placeSymbol);
+                    symbolMarker.remove();
+                }
+            },
+            setPath: (coordinates) => {
+                latLngs = toLatLngs(coordinates);
+                polyline.setLatLngs(latLngs);
+                if (symbolMarker) {
+                    placeSymbol();
+                }
+            },
+            setSymbolOffset: (percent) => {
+                if (!symbolMarker) return;
+                symbolOffset = percent;
+                placeSymbol();
+            }
+        };
+    }
+
+    // Clickable shapes thicken under the pointer and show their title beside it
+    bindShapeEvents(shape, { title, onClick, normal, hovered }) {
+        shape.on('click', onClick);
+        shape.on('mouseover', () => shape.setStyle(hovered));
+        shape.on('mouseout', () => shape.setStyle(normal));
+
+        if (title) {
+            shape.bindTooltip(escapeHtml(title), { sticky: true });
+        }
+    }
+
+    addPolygon({ rings, fillColor, fillOpacity, strokeColor, strokeWidth, title, onClick }) {
+        const polygon = L.polygon(rings.map(ring => ring.map(coord => [coord[1], coord[0]])), {
+            color: strokeColor,
+            opacity: 0.8,
+            weight: strokeWidth,
+            fillColor: fillColor,
+            fillOpacity: fillOpacity,
+            interactive: Boolean(onClick)
+        }).addTo(this.map);
+
+        if (onClick) {
+            this.bindShapeEvents(polygon, {
+                title: title,
+                onClick: onClick,
+                normal: { opacity: 0.8, weight: strokeWidth, fillOpacity: fillOpacity },
+                hovered: { opacity: 1, weight: strokeWidth + 2, fillOpacity: Math.min(fillOpacity + 0.1, 1) }
+            });
+        }
+
+        return {
+            remove: () => polygon.remove()
+        };
+    }
+
+    pointAlongPath(latLngs, fraction) {
+        const points = latLngs.map(latLng => this.map.project(latLng));
+
+        const lengths = [];
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            const length = points[i].distanceTo(points[i - 1]);
+            lengths.push(length);
+            total += length;
+        }
+
+        let remaining = Math.min(Math.max(fraction, 0), 1) * total;
+        for (let i = 1; i < points.length; i++) {
+            const segment = lengths[i - 1];
+            if (remaining <= segment || i === points.length - 1) {
+                const t = segment > 0 ? Math.min(remaining / segment, 1) : 0;
+                const from = points[i - 1];
+                const to = points[i];
+                const point = L.point(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t);
+                const angle = Math.atan2(to.y - from.y, to.x - from.x) * 180 / Math.PI;
+                return { latLng: this.map.unproject(point), angle };
+            }
+            remaining -= segment;
+        }
+
+        return { latLng: latLngs[0], angle: 0 };
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * MAP PROVIDER INTERFACE
+ * Contract every map backend adapter implements for MapEngine.
+ *
+ * Coordinates are always [lng, lat] arrays, matching the data files.
+ * Every add* method returns a feature handle with at least a remove() method.
+ */
+
+export class MapProvider {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Create the map inside the container element.
+     * Rejects if the backend library cannot be loaded.
+     * @param {HTMLElement} container
+     * @param {{center: number[], zoom: number}} view
+     */
+    async init(container, view) {
+        throw new Error(`${this.constructor.name} does not implement init()`);
+    }
+
+    /**
+     * Move the camera. tilt/heading are optional and ignored by 2D backends.
+     * @param {{center: number[], zoom?: number, tilt?: number, heading?: number}} camera
+     */
+    flyTo(camera) {
+        throw new Error(`${this.constructor.name} does not implement flyTo()`);
+    }
+
+    /**
+     * Move the camera at once, without animating, e.g. to follow another map.
+     * @param {{center: number[], zoom: number, tilt?: number, heading?: number}} camera
+     */
+    jumpTo(camera) {
+        throw new Error(`${this.constructor.name} does not implement jumpTo()`);
+    }
+
+    /**
+     * Called after the container changed size; backends that do not notice
+     * on their own redraw here.
+     */
+    resize() {}
+
+    /**
+     * Current camera.
+     * @returns {{center: number[], zoom: number, tilt: number, heading: number}}
+     */
+    getView() {
+        throw new Error(`${this.constructor.name} does not implement getView()`);
+    }
+
+    /**
+     * Subscribe to a map event: 'click' or 'mousemove' (handler receives [lng, lat]),
+     * or 'viewchange' once the camera settles after a move (handler receives getView()).
+     * @returns {Function} unsubscribe
+     */
+    on(eventName, handler) {
+        throw new Error(`${this.constructor.name} does not implement on()`);
+    }
+
+    /**
+     * CSS cursor shown over the map, or null for the backend default
+     */
+    setCursor(cursor) {
+        throw new Error(`${this.constructor.name} does not implement setCursor()`);
+    }
+
+    /**
+     * @param {{position: number[], title: string, style: Object, label?: string, icon?: Object,
+     *          bounce?: boolean, zIndex?: number, onClick?: Function, draggable?: boolean,
+     *          onDrag?: Function, onDragEnd?: Function, interactive?: boolean}} options
+     * style: { shape: 'circle' | 'chevron', fillColor, strokeColor, strokeWeight, scale }
+     * label is short text such as a cluster count, drawn centred on a circle marker
+     * icon: { url, width, height } is an image drawn centred on the position instead of the style shape
+     * interactive: false (icon markers only) lets the pointer pass through, e.g. for map labels
+     * onDrag/onDragEnd receive the new [lng, lat]
+     * @returns {{remove: Function, setPosition: Function, setOpacity: Function, setHighlighted: Function}}
+     */
+    addMarker(options) {
+        throw new Error(`${this.constructor.name} does not implement addMarker()`);
+    }
+
+    /**
+     * @param {{center: number[], radius: number, fillColor: string, strokeColor: string, opacity?: number,
+     *          title?: string, onClick?: Function}} options
+     * radius is in meters; opacity (0-1, default 1) scales the stroke and fill
+     * Circles, polylines and polygons with onClick are highlighted under the
+     * pointer and show title as a tooltip; their clicks also reach map 'click' listeners
+     * @returns {{remove: Function, setCenter: Function, setRadius: Function}}
+     */
+    addCircle(options) {
+        throw new Error(`${this.constructor.name} does not implement addCircle()`);
+    }
+
+    /**
+     * @param {{path: number[][], color: string, width: number, opacity: number, geodesic: boolean,
+     *          symbol?: 'arrow'|'dot', dashed?: boolean, title?: string, onClick?: Function}} options
+     * symbol is drawn on the line, at the end until setSymbolOffset moves it
+     * (0-100 percent of the path); setPath keeps it at the same percentage
+     * @returns {{remove: Function, setPath: Function, setSymbolOffset: Function}}
+     */
+    addPolyline(options) {
+        throw new Error(`${this.constructor.name} does not implement addPolyline()`);
+    }
+
+    /**
+     * @param {{rings: number[][][], fillColor: string, fillOpacity: number, strokeColor: string,
+     *          strokeWidth: number, title?: string, onClick?: Function}} options
+     * rings[0] is the outer boundary, any further rings are holes; onClick
+     * and title work as for circles
+     * @returns {{remove: Function}}
+     */
+    addPolygon(options) {
+        throw new Error(`${this.constructor.name} does not implement addPolygon()`);
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * MEMORY PROVIDER
+ * Headless MapProvider that draws nothing and records every feature and
+ * camera move, so the app can be driven without a browser map library.
+ * Select it with ?map=memory or config.mapProvider = 'memory'.
+ */
+
+import { MapProvider } from './map-provider.js';
+
+export class MemoryMapProvider extends MapProvider {
+    constructor(options = {}) {
+        super(options);
+        this.container = null;
+        this.camera = null;
+        this.cameraMoves = [];
+        this.features = [];
+        this.nextFeatureId = 1;
+        this.listeners = { click: [], mousemove: [] };
+        this.cursor = null;
+    }
+
+    async init(container, view) {
+        this.container = container;
+        this.camera = { ...view };
+    }
+
+    flyTo(camera) {
+        this.camera = { ...this.camera, ...camera };
+        this.cameraMoves.push({ ...camera });
+        this.emit('viewchange', this.getView());
+    }
+
+    jumpTo(camera) {
+        this.flyTo(camera);
+    }
+
+    getView() {
+        return { tilt: 0, heading: 0, ...this.camera };
+    }
+
+    on(eventName, handler) {
+        const handlers = this.listeners[eventName] || (this.listeners[eventName] = []);
+        handlers.push(handler);
+        return () => {
+            const index = handlers.indexOf(handler);
+            if (index !== -1) handlers.splice(index, 1);
+        };
+    }
+
+    setCursor(cursor) {
+        this.cursor = cursor;
+    }
+
+    addMarker(options) {
+        const handle = this.record('marker', options);
+        handle.setPosition = (coordinates) => {
+            handle.feature.options = { ...handle.feature.options, position: coordinates };
+        };
+        handle.setOpacity = (opacity) => {
+            handle.feature.opacity = opacity;
+        };
+        handle.setHighlighted = (value) => {
+            handle.feature.highlighted = value;
+        };
+        return handle;
+    }
+
+    addCircle(options) {
+        const handle = this.record('circle', options);
+        handle.setCenter = (coordinates) => {
+            handle.feature.options = { ...handle.feature.options, center: coordinates };
+        };
+        handle.setRadius = (meters) => {
+            handle.feature.options = { ...handle.feature.options, radius: meters };
+        };
+        return handle;
+    }
+
+    addPolyline(options) {
+        const handle = this.record('polyline', options);
+        handle.setPath = (coordinates) => {
+            handle.feature.options = { ...handle.feature.options, path: coordinates };
+        };
+        handle.setSymbolOffset = (percent) => {
+            handle.feature.symbolOffset = percent;
+        };
+        return handle;
+    }
+
+    addPolygon(options) {
+        return this.record('polygon', options);
+    }
+
+    record(kind, options) {
+        const feature = {
+            featureId: this.nextFeatureId++,
+            kind: kind,
+            options: options,
+            removed: false
+        };
+        this.features.push(feature);
+
+        return {
+            feature: feature,
+            remove: () => {
+                feature.removed = true;
+            }
+        };
+    }
+
+    /**
+     * Features currently on the map, optionally filtered by kind
+     * ('marker', 'circle', 'polyline' or 'polygon').
+     */
+    getFeatures(kind) {
+        return this.features.filter(feature =>
+            !feature.removed && (!kind || feature.kind === kind)
+        );
+    }
+
+    /**
+     * Simulate a map event such as a click at [lng, lat]
+     */
+    emit(eventName, payload) {
+        (this.listeners[eventName] || []).slice().forEach(handler => handler(payload));
+    }
+
+    /**
+     * Simulate a user clicking a marker by its title
+     */
+    clickMarker(title) {
+        const marker = this.getFeatures('marker').find(feature => feature.options.title === title);
+        if (!marker) {
+            throw new Error(`No marker titled "${title}" on the map`);
+        }
+        if (marker.options.onClick) {
+            marker.options.onClick();
+        }
+    }
+
+    reset() {
+        this.features = [];
+        this.cameraMoves = [];
+    }
+}
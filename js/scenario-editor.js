@@ -0,0 +1,489 @@
+/**
+ * SCENARIO EDITOR MODULE
+ * Draw-on-map authoring of zones, movement paths, strike paths and camera.
+ * Produces scenario objects in the same shape as data/scenarios.json.
+ */
+
+import { DataValidator } from './data-validator.js';
+import { distance, destination, formatDistance } from './geo-utils.js';
+
+const STORAGE_KEY = 'iconic.customScenarios';
+const PREVIEW_PREFIX = 'editor-';
+
+const TOOL_HINTS = {
+    zone: 'Click to place the zone center, move to size it, click again to set the radius.',
+    movement: 'Click to add waypoints. Press Enter or "Finish Path" when done, Esc to discard.',
+    strike: 'Click the origin, then the target.',
+    none: 'Pick a tool, then draw on the map. Drag the white handles to adjust zones.'
+};
+
+export function loadCustomScenarios() {
+    try {
+        const scenarios = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(scenarios) ? scenarios : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable custom scenarios:', error);
+        return [];
+    }
+}
+
+function storeCustomScenario(scenario) {
+    const scenarios = loadCustomScenarios().filter(existing => existing.id !== scenario.id);
+    scenarios.push(scenario);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+}
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+const roundCoordinate = (coordinates) => [round(coordinates[0]), round(coordinates[1])];
+
+export class ScenarioEditor {
+    constructor(app) {
+        this.app = app;
+        this.mapEngine = app.mapEngine;
+        this.scenarioManager = app.scenarioManager;
+
+        this.container = document.getElementById('scenario-editor');
+        this.toggleButton = document.getElementById('editor-toggle-btn');
+
+        this.isOpen = false;
+        this.draft = null;
+        this.previewLayer = this.mapEngine.getLayer('editor-preview');
+        this.tool = null;
+        this.pending = null;
+        this.handleIds = [];
+        this.unsubscribers = [];
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.toggleButton.addEventListener('click', () => {
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
+        });
+    }
+
+    open() {
+        this.isOpen = true;
+        this.draft = {
+            id: `custom-${Date.now()}`,
+            name: '',
+            description: '',
+            zones: [],
+            movements: [],
+            strikePaths: []
+        };
+
+        this.unsubscribers = [
+            this.mapEngine.on('click', (coordinates) => this.onMapClick(coordinates)),
+            this.mapEngine.on('mousemove', (coordinates) => this.onMapMove(coordinates))
+        ];
+        document.addEventListener('keydown', this.onKeyDown);
+
+        this.toggleButton.textContent = 'Close Editor';
+        this.container.classList.remove('hidden');
+        this.renderPanel();
+    }
+
+    close() {
+        this.setTool(null);
+        this.clearPreview();
+
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        document.removeEventListener('keydown', this.onKeyDown);
+
+        this.isOpen = false;
+        this.draft = null;
+        this.toggleButton.textContent = '✎ New Scenario';
+        this.container.classList.add('hidden');
+        this.container.innerHTML = '';
+    }
+
+    setTool(tool) {
+        const hadPending = Boolean(this.pending);
+        this.cancelPending();
+        this.tool = tool;
+
+        // One tool on the map at a time
+        if (tool && this.app.annotationTools.tool) {
+            this.app.annotationTools.setTool(null);
+        }
+        this.mapEngine.setCursor(tool ? 'crosshair' : null);
+
+        if (this.isOpen) {
+            if (hadPending) this.renderPreview();
+            this.renderPanel();
+        }
+    }
+
+    // ---- Map interaction ----
+
+    onMapClick(coordinates) {
+        const point = roundCoordinate(coordinates);
+
+        switch (this.tool) {
+            case 'zone':
+                if (!this.pending) {
+                    this.draft.zones.push({
+                        center: point,
+                        radius: 1,
+                        color: 'rgba(255, 74, 95, 0.1)',
+                        borderColor: 'rgba(255, 74, 95, 0.3)',
+                        label: `Zone ${this.draft.zones.length + 1}`
+                    });
+                    this.pending = { type: 'zone', index: this.draft.zones.length - 1 };
+                    this.renderPreview();
+                } else {
+                    this.pending = null;
+                    this.commit();
+                }
+                break;
+
+            case 'movement':
+                if (!this.pending) {
+                    this.draft.movements.push({
+                        path: [point],
+                        color: '#4a9eff',
+                        label: `Movement ${this.draft.movements.length + 1}`
+                    });
+                    this.pending = { type: 'movement', index: this.draft.movements.length - 1 };
+                } else {
+                    this.draft.movements[this.pending.index].path.push(point);
+                }
+                this.renderPreview();
+                this.renderPanel();
+                break;
+
+            case 'strike':
+                if (!this.pending) {
+                    this.pending = { type: 'strike', origin: point };
+                } else {
+                    this.draft.strikePaths.push({
+                        origin: this.pending.origin,
+                        target: point,
+                        color: '#ff4a5f',
+                        height: 0.5,
+                        label: `Strike Path ${this.draft.strikePaths.length + 1}`
+                    });
+                    this.pending = null;
+                    this.commit();
+                }
+                break;
+        }
+    }
+
+    onMapMove(coordinates) {
+        if (!this.pending) return;
+
+        if (this.pending.type === 'zone') {
+            const zone = this.draft.zones[this.pending.index];
+            zone.radius = Math.max(1, Math.round(distance(zone.center, coordinates)));
+            this.mapEngine.updateCircle(`${PREVIEW_PREFIX}zone-${this.pending.index}`, { radius: zone.radius });
+        } else if (this.pending.type === 'movement') {
+            const movement = this.draft.movements[this.pending.index];
+            this.mapEngine.updateLine(
+                `${PREVIEW_PREFIX}movement-${this.pending.index}`,
+                [...movement.path, coordinates]
+            );
+        }
+    }
+
+    onKeyDown(event) {
+        if (!this.pending || event.target.matches('input, textarea')) return;
+
+        if (event.key === 'Enter') {
+            this.finishPending();
+        } else if (event.key === 'Escape') {
+            this.cancelPending();
+            this.commit();
+        }
+    }
+
+    finishPending() {
+        if (this.pending && this.pending.type === 'movement') {
+            const movement = this.draft.movements[this.pending.index];
+            this.pending = null;
+
+            // A single click is not a path
+            if (movement.path.length < 2) {
+                this.draft.movements.pop();
+            }
+            this.commit();
+        }
+    }
+
+    cancelPending() {
+        if (!this.pending) return;
+
+        if (this.pending.type === 'zone') {
+            this.draft.zones.splice(this.pending.index, 1);
+        } else if (this.pending.type === 'movement') {
+            this.draft.movements.splice(this.pending.index, 1);
+        }
+        this.pending = null;
+    }
+
+    frameCamera() {
+        const view = this.mapEngine.getView();
+        if (!view) return;
+
+        this.draft.camera = {
+            center: roundCoordinate(view.center),
+            zoom: round(view.zoom, 1),
+            pitch: Math.round(view.tilt),
+            bearing: Math.round(view.heading)
+        };
+        this.renderPanel();
+    }
+
+    // ---- Preview ----
+
+    commit() {
+        this.renderPreview();
+        this.renderPanel();
+    }
+
+    clearPreview() {
+        this.previewLayer.clear();
+        this.clearHandles();
+    }
+
+    clearHandles() {
+        this.handleIds.forEach(id => this.mapEngine.removeLayer(id));
+        this.handleIds = [];
+    }
+
+    renderPreview() {
+        this.clearHandles();
+
+        // Only the shapes that changed since the last preview are redrawn. The
+        // layer compares against what it drew, so hand it a snapshot rather
+        // than arrays the tools keep editing.
+        const snapshot = JSON.parse(JSON.stringify(this.draft));
+        this.previewLayer.setFeatures(this.scenarioManager.getScenarioFeatures(snapshot, PREVIEW_PREFIX));
+
+        this.draft.zones.forEach((zone, index) => {
+            if (this.pending && this.pending.type === 'zone' && this.pending.index === index) return;
+            this.addZoneHandles(zone, index);
+        });
+    }
+
+    addZoneHandles(zone, index) {
+        const circleId = `${PREVIEW_PREFIX}zone-${index}`;
+        const centerHandleId = `${PREVIEW_PREFIX}zone-${index}-center`;
+        const radiusHandleId = `${PREVIEW_PREFIX}zone-${index}-radius`;
+
+        this.mapEngine.addHandle({
+            id: centerHandleId,
+            coordinates: zone.center,
+            title: `${zone.label} center`,
+            onDrag: (coordinates) => {
+                this.mapEngine.updateCircle(circleId, { center: coordinates });
+            },
+            onDragEnd: (coordinates) => {
+                zone.center = roundCoordinate(coordinates);
+                this.commit();
+            }
+        });
+
+        this.mapEngine.addHandle({
+            id: radiusHandleId,
+            coordinates: destination(zone.center, 90, zone.radius),
+            title: `${zone.label} radius`,
+            onDrag: (coordinates) => {
+                this.mapEngine.updateCircle(circleId, { radius: distance(zone.center, coordinates) });
+            },
+            onDragEnd: (coordinates) => {
+                zone.radius = Math.max(1, Math.round(distance(zone.center, coordinates)));
+                this.commit();
+            }
+        });
+
+        this.handleIds.push(centerHandleId, radiusHandleId);
+    }
+
+    // ---- Panel ----
+
+    renderPanel() {
+        const draft = this.draft;
+        const camera = draft.camera
+            ? `${draft.camera.center[1].toFixed(2)}°N ${draft.camera.center[0].toFixed(2)}°E, zoom ${draft.camera.zoom}`
+            : 'Not set - scenario keeps the current view';
+
+        this.container.innerHTML = `
+            <div class="editor-field">
+                <label for="editor-name">Name</label>
+                <input type="text" id="editor-name" placeholder="Scenario name">
+            </div>
+            <div class="editor-field">
+                <label for="editor-description">Description</label>
+                <textarea id="editor-description" rows="2" placeholder="Short briefing summary"></textarea>
+            </div>
+            <div class="editor-tools">
+                <button type="button" class="editor-tool" data-tool="zone">◯ Zone</button>
+                <button type="button" class="editor-tool" data-tool="movement">⟶ Movement</button>
+                <button type="button" class="editor-tool" data-tool="strike">⤴ Strike Path</button>
+            </div>
+            <p class="editor-hint">${TOOL_HINTS[this.tool || 'none']}</p>
+            ${this.pending && this.pending.type === 'movement'
+                ? '<button type="button" class="editor-action" data-action="finish">Finish Path</button>'
+                : ''}
+            <div class="editor-camera">
+                <span>Camera: ${camera}</span>
+                <button type="button" class="editor-action" data-action="camera">Frame Current View</button>
+            </div>
+            <ul class="editor-items"></ul>
+            <div class="editor-actions">
+                <button type="button" class="primary-btn" data-action="save">Save Scenario</button>
+                <button type="button" class="editor-action" data-action="download">Download JSON</button>
+            </div>
+        `;
+
+        const nameInput = this.container.querySelector('#editor-name');
+        nameInput.value = draft.name;
+        nameInput.addEventListener('input', () => { draft.name = nameInput.value; });
+
+        const descriptionInput = this.container.querySelector('#editor-description');
+        descriptionInput.value = draft.description;
+        descriptionInput.addEventListener('input', () => { draft.description = descriptionInput.value; });
+
+        this.container.querySelectorAll('.editor-tool').forEach(button => {
+            const tool = button.dataset.tool;
+            button.classList.toggle('active', this.tool === tool);
+            button.addEventListener('click', () => this.setTool(this.tool === tool ? null : tool));
+        });
+
+        this.container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => this.runAction(button.dataset.action));
+        });
+
+        this.renderItems();
+    }
+
+    renderItems() {
+        const list = this.container.querySelector('.editor-items');
+        const items = [
+            ...this.draft.zones.map((item, index) => ({
+                item, index, collection: 'zones', detail: `radius ${formatDistance(item.radius)}`
+            })),
+            ...this.draft.movements.map((item, index) => ({
+                item, index, collection: 'movements', detail: `${item.path.length} waypoints`
+            })),
+            ...this.draft.strikePaths.map((item, index) => ({
+                item, index, collection: 'strikePaths', detail: formatDistance(distance(item.origin, item.target))
+            }))
+        ];
+
+        items.forEach(({ item, index, collection, detail }) => {
+            const row = document.createElement('li');
+            row.className = 'editor-item';
+
+            const label = document.createElement('input');
+            label.type = 'text';
+            label.value = item.label;
+            label.addEventListener('change', () => {
+                item.label = label.value;
+                this.renderPreview();
+            });
+
+            const meta = document.createElement('span');
+            meta.className = 'editor-item-meta';
+            meta.textContent = detail;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'editor-item-remove';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', `Remove ${item.label}`);
+            remove.addEventListener('click', () => {
+                this.cancelPending();
+                this.draft[collection].splice(index, 1);
+                this.commit();
+            });
+
+            row.append(label, meta, remove);
+            list.appendChild(row);
+        });
+    }
+
+    runAction(action) {
+        switch (action) {
+            case 'finish':
+                this.finishPending();
+                break;
+            case 'camera':
+                this.frameCamera();
+                break;
+            case 'save':
+                this.save();
+                break;
+            case 'download':
+                this.download();
+                break;
+        }
+    }
+
+    // ---- Output ----
+
+    /**
+     * Scenario object in data/scenarios.json shape, without empty collections
+     */
+    buildScenario() {
+        const scenario = {
+            id: this.draft.id,
+            name: this.draft.name.trim() || 'Untitled Scenario',
+            description: this.draft.description.trim()
+        };
+
+        if (this.draft.camera) scenario.camera = this.draft.camera;
+        ['strikePaths', 'zones', 'movements'].forEach(key => {
+            if (this.draft[key].length > 0) {
+                scenario[key] = JSON.parse(JSON.stringify(this.draft[key]));
+            }
+        });
+
+        return scenario;
+    }
+
+    validate(scenario) {
+        const schema = this.app.schemas.scenarios;
+        if (!schema) return true;
+
+        const problems = new DataValidator(schema, this.app.sharedSchemas).validate([scenario]).map(problem => ({
+            file: 'scenario editor',
+            ...problem
+        }));
+
+        if (problems.length > 0) {
+            this.app.warningsPanel.showProblems(problems);
+            return false;
+        }
+        return true;
+    }
+
+    save() {
+        this.finishPending();
+        const scenario = this.buildScenario();
+        if (!this.validate(scenario)) return;
+
+        storeCustomScenario(scenario);
+
+        const scenarios = this.app.data.scenarios;
+        const existingIndex = scenarios.findIndex(existing => existing.id === scenario.id);
+        if (existingIndex === -1) {
+            scenarios.push(scenario);
+        } else {
+            scenarios[existingIndex] = scenario;
+        }
+
+        this.close();
+        this.app.renderScenarioButtons();
+        this.app.loadScenario(scenarios.findIndex(existing => existing.id === scenario.id));
+    }
+
+    download() {
+        const scenario = this.buildScenario();
+        this.app.downloadFile(JSON.stringify(scenario, null, 2), `${scenario.id}.json`, 'application/json');
+    }
+}
@@ -3,12 +3,63 @@
  * Handles scenario loading, visualization, and animations
  */
 
+import { confidenceOpacity } from './citations.js';
+import { distance, pathLength, formatDistance } from './geo-utils.js';
+
+// What each kind of scenario item is called, and its size
+const ITEM_KINDS = {
+    'strike-path': {
+        noun: 'Strike path',
+        measure: path => ({ name: 'Length', value: formatDistance(distance(path.origin, path.target)) })
+    },
+    zone: {
+        noun: 'Zone',
+        measure: zone => ({ name: 'Radius', value: formatDistance(zone.radius) })
+    },
+    movement: {
+        noun: 'Movement',
+        measure: movement => ({ name: 'Length', value: formatDistance(pathLength(movement.path)) })
+    }
+};
+
+/**
+ * Name, noun and geodesic size of a strike path, zone or movement
+ * @param {'strike-path'|'zone'|'movement'} type
+ * @returns {{title: string, noun: string, measure: {name: string, value: string}}}
+ */
+export function describeScenarioItem(type, item) {
+    const { noun, measure } = ITEM_KINDS[type];
+    return { title: item.label || noun, noun, measure: measure(item) };
+}
+
 export class ScenarioManager {
     constructor(mapEngine, scenarios) {
         this.mapEngine = mapEngine;
         this.scenarios = scenarios;
         this.currentScenario = null;
         this.activeAnimations = [];
+        this.dimLowConfidence = false;
+        this.layer = mapEngine.getLayer('scenario');
+        this.itemListeners = [];
+        // Every feature of the current scenario by id, drawn or not, for 'addLayer'
+        this.features = new Map();
+        // Position in the current scenario's phases, null when it has none
+        this.phaseIndex = null;
+        // 'cumulative' shows earlier phases too, 'exclusive' only the current one
+        this.phaseMode = 'cumulative';
+        this.phaseListeners = [];
+    }
+    
+    /**
+     * Subscribe to clicks on a drawn strike path, zone or movement
+     * @param {function({type: string, item: Object, scenario: Object})} handler
+     */
+    onItemSelect(handler) {
+        this.itemListeners.push(handler);
+    }
+    
+    selectItem(type, item, scenario) {
+        this.itemListeners.forEach(listener => listener({ type, item, scenario }));
     }
     
     loadScenario(scenario) {
@@ -18,60 +69,164 @@ export class ScenarioManager {
         this.clearScenario();
         
         this.currentScenario = scenario;
+        this.phaseIndex = this.getPhases().length ? 0 : null;
         
-        // Fly to scenario focal point
-        if (scenario.camera) {
-            this.mapEngine.flyTo(scenario.camera);
+        // Fly to the first phase, or the scenario focal point
+        const camera = (this.getCurrentPhase() || scenario).camera;
+        if (camera) {
+            this.mapEngine.flyTo(camera);
         }
         
         // Add scenario layers
-        this.addScenarioLayers(scenario);
+        this.drawScenario();
         
         // Start animations
         if (scenario.animations) {
             this.startAnimations(scenario.animations);
         }
+        
+        this.phaseListeners.forEach(listener => listener());
+    }
+    
+    // ---- Phases ----
+    
+    getPhases() {
+        return (this.currentScenario && this.currentScenario.phases) || [];
+    }
+    
+    getCurrentPhase() {
+        return this.phaseIndex === null ? null : this.getPhases()[this.phaseIndex];
+    }
+    
+    /**
+     * Subscribe to phase and phase mode changes, and to scenario loads
+     */
+    onPhaseChange(handler) {
+        this.phaseListeners.push(handler);
+    }
+    
+    /**
+     * Reveal a phase: items of phases not shown are removed, newly shown ones
+     * added, and the camera moves to the phase's view
+     */
+    goToPhase(index, { fly = true } = {}) {
+        const phases = this.getPhases();
+        if (phases.length === 0) return;
+        
+        this.phaseIndex = Math.min(Math.max(index, 0), phases.length - 1);
+        
+        const shown = new Set(this.getPhaseFeatures().map(feature => feature.id));
+        const steps = [
+            ...this.layer.getFeatureIds()
+                .filter(id => !shown.has(id))
+                .map(layerId => ({ type: 'removeLayer', layerId })),
+            ...[...shown]
+                .filter(id => !this.layer.has(id))
+                .map(layerId => ({ type: 'addLayer', layerId }))
+        ];
+        const { camera } = phases[this.phaseIndex];
+        if (fly && camera) {
+            steps.push({ type: 'flyTo', camera });
+        }
+        steps.forEach(step => this.executeAnimation(step));
+        
+        this.phaseListeners.forEach(listener => listener());
     }
     
-    addScenarioLayers(scenario) {
-        // Add strike paths
+    setPhaseMode(mode) {
+        this.phaseMode = mode;
+        this.goToPhase(this.phaseIndex, { fly: false });
+    }
+    
+    /**
+     * Whether an item shows in the current phase. Items without a phase, or
+     * with one the scenario does not declare, show in every phase.
+     */
+    isItemShown(item) {
+        if (this.phaseIndex === null || !item.phase) return true;
+        
+        const position = this.getPhases().findIndex(phase => phase.id === item.phase);
+        if (position === -1) return true;
+        return this.phaseMode === 'exclusive' ? position === this.phaseIndex : position <= this.phaseIndex;
+    }
+    
+    getPhaseFeatures() {
+        return this.getScenarioFeatures(this.currentScenario, '', item => this.isItemShown(item));
+    }
+    
+    drawScenario() {
+        this.features = new Map(this.getScenarioFeatures(this.currentScenario).map(feature => [feature.id, feature]));
+        this.layer.setFeatures(this.getPhaseFeatures());
+    }
+    
+    /**
+     * Map features for a scenario's strike paths, zones and movements
+     * @param {string} idPrefix - keeps ids apart from another drawing of
+     *        a scenario, e.g. the editor preview
+     * @param {function(Object): boolean} includeItem - leaves items out,
+     *        e.g. those of phases not shown
+     */
+    getScenarioFeatures(scenario, idPrefix = '', includeItem = () => true) {
+        const features = [];
+        
+        // Strike paths
         if (scenario.strikePaths) {
             scenario.strikePaths.forEach((path, index) => {
-                this.mapEngine.addArc({
-                    id: `strike-path-${index}`,
+                if (!includeItem(path)) return;
+                features.push({
+                    kind: 'arc',
+                    id: `${idPrefix}strike-path-${index}`,
                     start: path.origin,
                     end: path.target,
                     color: path.color || '#ff4a5f',
-                    height: path.height || 0.5
+                    height: path.height ?? 0.5,
+                    dashed: path.dashed,
+                    animation: path.animation,
+                    title: describeScenarioItem('strike-path', path).title,
+                    onClick: () => this.selectItem('strike-path', path, scenario),
+                    properties: { name: path.label, type: 'strike-path', label: path.label, scenario: scenario.name }
                 });
             });
         }
         
-        // Add zones
+        // Zones
         if (scenario.zones) {
             scenario.zones.forEach((zone, index) => {
-                this.mapEngine.addCircle({
-                    id: `zone-${index}`,
+                if (!includeItem(zone)) return;
+                features.push({
+                    kind: 'circle',
+                    id: `${idPrefix}zone-${index}`,
                     center: zone.center,
                     radius: zone.radius,
                     color: zone.color || 'rgba(255, 74, 95, 0.1)',
-                    borderColor: zone.borderColor || 'rgba(255, 74, 95, 0.3)'
+                    borderColor: zone.borderColor || 'rgba(255, 74, 95, 0.3)',
+                    opacity: confidenceOpacity(zone, this.dimLowConfidence),
+                    title: describeScenarioItem('zone', zone).title,
+                    onClick: () => this.selectItem('zone', zone, scenario),
+                    properties: { name: zone.label, type: 'zone', label: zone.label, scenario: scenario.name }
                 });
             });
         }
         
-        // Add movement paths
+        // Movement paths
         if (scenario.movements) {
             scenario.movements.forEach((movement, index) => {
-                this.mapEngine.addLine({
-                    id: `movement-${index}`,
+                if (!includeItem(movement)) return;
+                features.push({
+                    kind: 'line',
+                    id: `${idPrefix}movement-${index}`,
                     coordinates: movement.path,
                     color: movement.color || '#4a9eff',
                     width: 3,
-                    animated: true
+                    animated: true,
+                    title: describeScenarioItem('movement', movement).title,
+                    onClick: () => this.selectItem('movement', movement, scenario),
+                    properties: { name: movement.label, type: 'movement', label: movement.label, scenario: scenario.name }
                 });
             });
         }
+        
+        return features;
     }
     
     startAnimations(animations) {
@@ -89,44 +244,41 @@ export class ScenarioManager {
             case 'flyTo':
                 this.mapEngine.flyTo(animation.camera);
                 break;
-            case 'addLayer':
-                // Add layer dynamically
+            case 'addLayer': {
+                // Any feature of the scenario, e.g. one of a phase not shown yet
+                const feature = this.features.get(animation.layerId);
+                if (feature) {
+                    this.layer.upsert(feature);
+                }
                 break;
+            }
             case 'removeLayer':
-                this.mapEngine.removeLayer(animation.layerId);
+                this.layer.remove(animation.layerId);
                 break;
         }
     }
     
+    /**
+     * Redraw the current scenario's layers in place, without moving the camera
+     * or replaying animations
+     */
+    refreshScenario() {
+        if (!this.currentScenario) return;
+        
+        this.drawScenario();
+    }
+    
     clearScenario() {
         // Clear animations
         this.activeAnimations.forEach(timeout => clearTimeout(timeout));
         this.activeAnimations = [];
         
         // Clear scenario-specific layers
-        if (this.currentScenario) {
-            // Strike paths
-            if (this.currentScenario.strikePaths) {
-                this.currentScenario.strikePaths.forEach((_, index) => {
-                    this.mapEngine.removeLayer(`strike-path-${index}`);
-                });
-            }
-            
-            // Zones
-            if (this.currentScenario.zones) {
-                this.currentScenario.zones.forEach((_, index) => {
-                    this.mapEngine.removeLayer(`zone-${index}`);
-                });
-            }
-            
-            // Movements
-            if (this.currentScenario.movements) {
-                this.currentScenario.movements.forEach((_, index) => {
-                    this.mapEngine.removeLayer(`movement-${index}`);
-                });
-            }
-        }
+        this.layer.clear();
+        this.features = new Map();
         
         this.currentScenario = null;
+        this.phaseIndex = null;
+        this.phaseListeners.forEach(listener => listener());
     }
 }
@@ -0,0 +1,98 @@
+/**
+ * SCENARIO STEPPER MODULE
+ * Walks through the phases of a multi-phase scenario: previous/next
+ * buttons, one segment per phase, the phase caption and a choice between
+ * revealing phases cumulatively or one at a time. Hidden for scenarios
+ * without phases.
+ */
+
+import { escapeHtml } from './html-utils.js';
+
+const MODES = [
+    { id: 'cumulative', label: 'Cumulative', hint: 'Keep earlier phases on the map' },
+    { id: 'exclusive', label: 'Exclusive', hint: 'Show only the current phase' }
+];
+
+export class ScenarioStepper {
+    constructor(app) {
+        this.app = app;
+        this.scenarioManager = app.scenarioManager;
+        this.container = document.getElementById('scenario-stepper');
+
+        this.scenarioManager.onPhaseChange(() => this.render());
+        this.container.addEventListener('keydown', (event) => {
+            const step = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+            if (!step || event.target.closest('.stepper-modes')) return;
+            event.preventDefault();
+            this.step(step);
+        });
+
+        this.render();
+    }
+
+    step(offset) {
+        const manager = this.scenarioManager;
+        if (manager.phaseIndex === null) return;
+        manager.goToPhase(manager.phaseIndex + offset);
+    }
+
+    render() {
+        const manager = this.scenarioManager;
+        const phases = manager.getPhases();
+
+        this.container.classList.toggle('hidden', phases.length === 0);
+        if (phases.length === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const index = manager.phaseIndex;
+        const phase = phases[index];
+
+        this.container.innerHTML = `
+            <div class="stepper-header">
+                <span class="stepper-count">Phase ${index + 1} of ${phases.length}</span>
+                <div class="editor-tools stepper-modes"></div>
+            </div>
+            <div class="stepper-track"></div>
+            <div class="stepper-caption" aria-live="polite">
+                <h4>${escapeHtml(phase.name)}</h4>
+                ${phase.caption ? `<p>${escapeHtml(phase.caption)}</p>` : ''}
+            </div>
+            <div class="stepper-controls">
+                <button type="button" class="secondary-btn" data-step="-1" ${index === 0 ? 'disabled' : ''}>◀ Previous</button>
+                <button type="button" class="secondary-btn" data-step="1" ${index === phases.length - 1 ? 'disabled' : ''}>Next ▶</button>
+            </div>
+        `;
+
+        const modes = this.container.querySelector('.stepper-modes');
+        MODES.forEach(({ id, label, hint }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'editor-tool';
+            button.textContent = label;
+            button.title = hint;
+            button.classList.toggle('active', id === manager.phaseMode);
+            button.setAttribute('aria-pressed', String(id === manager.phaseMode));
+            button.addEventListener('click', () => manager.setPhaseMode(id));
+            modes.appendChild(button);
+        });
+
+        const track = this.container.querySelector('.stepper-track');
+        phases.forEach((each, position) => {
+            const segment = document.createElement('button');
+            segment.type = 'button';
+            segment.className = 'stepper-segment';
+            segment.title = each.name;
+            segment.setAttribute('aria-label', `Go to ${each.name}`);
+            segment.classList.toggle('active', position === index);
+            segment.classList.toggle('done', position < index && manager.phaseMode === 'cumulative');
+            segment.addEventListener('click', () => manager.goToPhase(position));
+            track.appendChild(segment);
+        });
+
+        this.container.querySelectorAll('[data-step]').forEach(button => {
+            button.addEventListener('click', () => this.step(Number(button.dataset.step)));
+        });
+    }
+}
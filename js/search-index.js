@@ -0,0 +1,253 @@
+/**
+ * SEARCH INDEX MODULE
+ * Fuzzy search and faceted filtering over units, allies, sites and
+ * scenarios. Pure functions; the search box lives in search-panel.js.
+ */
+
+// Relative weight of a hit in each searchable field
+const FIELD_WEIGHTS = {
+    name: 3,
+    type: 2,
+    location: 1.5,
+    country: 1.5,
+    capability: 1
+};
+
+// Capability facets group the free-text capability lists of the data
+const CAPABILITY_FACETS = [
+    { value: 'BMD capable', pattern: /\bBMD\b|ballistic missile defen[cs]e/i },
+    { value: 'Air defense', pattern: /air defen[cs]e|SM-6|air superiority/i },
+    { value: 'Land attack', pattern: /tomahawk|strike|bomber/i },
+    { value: 'ISR', pattern: /\bISR\b|hawkeye|electronic warfare|growler/i },
+    { value: 'Air refueling', pattern: /tanker|refuel/i },
+    { value: 'Command & control', pattern: /command|\bHQ\b|C2\b/i }
+];
+
+// Type facets group unit, ally and site types that differ only in wording
+const TYPE_FACETS = [
+    { value: 'Carrier', pattern: /carrier/i },
+    { value: 'Destroyer / Cruiser', pattern: /destroyer|cruiser/i },
+    { value: 'Air Base', pattern: /air (force )?base|\bAB\b/i },
+    { value: 'Naval Base / Port', pattern: /naval|port/i },
+    { value: 'Nuclear site', pattern: /nuclear/i },
+    { value: 'Military site', pattern: /military/i },
+    { value: 'Command site', pattern: /command/i }
+];
+
+export const FACETS = [
+    { key: 'type', label: 'Type' },
+    { key: 'country', label: 'Country' },
+    { key: 'capability', label: 'Capability' }
+];
+
+export const SEARCH_GROUPS = [
+    { kind: 'force', label: 'U.S. Forces' },
+    { kind: 'ally', label: 'Allied Positions' },
+    { kind: 'site', label: 'Strategic Sites' },
+    { kind: 'scenario', label: 'Scenarios' }
+];
+
+const matchFacets = (facets, texts) =>
+    facets.filter(facet => texts.some(text => facet.pattern.test(text))).map(facet => facet.value);
+
+/**
+ * One entry per searchable item.
+ * @param {Object} data - the app's loaded data files
+ * @returns {Object[]} entries {id, kind, name, item, fields, facets}
+ */
+export function buildSearchIndex(data) {
+    const entries = [];
+
+    const forces = [
+        ...data.forces.carriers,
+        ...data.forces.escorts,
+        ...data.forces.airbases
+    ];
+    forces.forEach(unit => {
+        const capabilities = unit.capabilities || [];
+        entries.push({
+            id: unit.id,
+            kind: 'force',
+            name: unit.name,
+            item: unit,
+            fields: {
+                name: [unit.name],
+                type: [unit.type],
+                location: [unit.location],
+                country: [unit.country],
+                capability: capabilities
+            },
+            facets: {
+                type: matchFacets(TYPE_FACETS, [unit.type]),
+                country: unit.country ? [unit.country] : [],
+                capability: matchFacets(CAPABILITY_FACETS, capabilities)
+            }
+        });
+    });
+
+    data.allies.forEach(ally => {
+        entries.push({
+            id: ally.id,
+            kind: 'ally',
+            name: ally.name,
+            item: ally,
+            fields: {
+                name: [ally.name],
+                type: [ally.type],
+                country: [ally.country],
+                capability: [ally.role]
+            },
+            facets: {
+                type: matchFacets(TYPE_FACETS, [ally.type]),
+                country: [ally.country],
+                capability: matchFacets(CAPABILITY_FACETS, [ally.role])
+            }
+        });
+    });
+
+    data.sites.sites.forEach(site => {
+        const category = data.sites.categories.find(existing => existing.id === site.category);
+        const type = category ? category.name : site.category;
+        entries.push({
+            id: site.id,
+            kind: 'site',
+            name: site.name,
+            item: site,
+            fields: {
+                name: [site.name],
+                type: [type],
+                country: [site.country]
+            },
+            facets: {
+                type: matchFacets(TYPE_FACETS, [type]),
+                country: site.country ? [site.country] : [],
+                capability: []
+            }
+        });
+    });
+
+    data.scenarios.forEach(scenario => {
+        entries.push({
+            id: scenario.id,
+            kind: 'scenario',
+            name: scenario.name,
+            item: scenario,
+            fields: {
+                name: [scenario.name],
+                type: [scenario.description]
+            },
+            // Scenarios are not map items, so facets never hide them
+            facets: null
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Facet values present in the index, in a stable order
+ * @returns {Object} facet key to list of values
+ */
+export function getFacetValues(entries) {
+    const values = {};
+
+    FACETS.forEach(({ key }) => {
+        const present = new Set(entries.flatMap(entry => entry.facets ? entry.facets[key] : []));
+        const known = (key === 'type' ? TYPE_FACETS : key === 'capability' ? CAPABILITY_FACETS : [])
+            .map(facet => facet.value);
+        values[key] = known.length
+            ? known.filter(value => present.has(value))
+            : [...present].sort();
+    });
+
+    return values;
+}
+
+/**
+ * Whether an entry passes the active filters: any selected value within
+ * a facet, all facets together. Entries without facets always pass.
+ * @param {Object} filters - facet key to Set of selected values
+ */
+export function matchesFilters(entry, filters) {
+    if (!entry.facets) return true;
+
+    return FACETS.every(({ key }) => {
+        const selected = filters[key];
+        if (!selected || selected.size === 0) return true;
+        return entry.facets[key].some(value => selected.has(value));
+    });
+}
+
+/**
+ * Score how well a query term matches a text: substring hits score
+ * highest (more at a word start), then in-order character matches with
+ * a penalty for gaps, so "lincln" still finds "Abraham Lincoln".
+ * @returns {number} 0 for no match, up to 1
+ */
+export function fuzzyScore(term, text) {
+    if (!term || !text) return 0;
+
+    const needle = term.toLowerCase();
+    const haystack = text.toLowerCase();
+
+    const index = haystack.indexOf(needle);
+    if (index !== -1) {
+        const atWordStart = index === 0 || /[^a-z0-9]/.test(haystack[index - 1]);
+        return atWordStart ? 1 : 0.8;
+    }
+
+    // Short terms only match as substrings; otherwise everything matches
+    if (needle.length < 3) return 0;
+
+    let position = 0;
+    let gaps = 0;
+    for (const char of needle) {
+        const found = haystack.indexOf(char, position);
+        if (found === -1) return 0;
+        if (found > position && position > 0) gaps += found - position;
+        position = found + 1;
+    }
+
+    const score = 0.6 - gaps / (needle.length * 4);
+    return score > 0.2 ? score : 0;
+}
+
+/**
+ * Entries matching every term of the query and the filters, best first
+ * @returns {Object[]} {entry, score, matched} where matched names the
+ *          best-matching field
+ */
+export function search(entries, query, filters = {}) {
+    const terms = query.trim().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const results = [];
+
+    entries.forEach(entry => {
+        if (!matchesFilters(entry, filters)) return;
+
+        let total = 0;
+        let matched = null;
+        let bestField = 0;
+
+        for (const term of terms) {
+            let best = 0;
+            Object.entries(entry.fields).forEach(([field, texts]) => {
+                texts.forEach(text => {
+                    const score = fuzzyScore(term, text) * FIELD_WEIGHTS[field];
+                    if (score > best) best = score;
+                    if (score > bestField) {
+                        bestField = score;
+                        matched = { field, text };
+                    }
+                });
+            });
+            if (best === 0) return;
+            total += best;
+        }
+
+        results.push({ entry, score: total, matched });
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name));
+}
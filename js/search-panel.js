@@ -0,0 +1,245 @@
+/**
+ * SEARCH PANEL MODULE
+ * Search box with grouped results and faceted filters. Picking a result
+ * flies to it and opens its info panel; active filters restrict what
+ * App.updateLayers draws.
+ */
+
+import { buildSearchIndex, getFacetValues, matchesFilters, search, FACETS, SEARCH_GROUPS } from './search-index.js';
+import { getUnitStateAt } from './unit-tracks.js';
+import { escapeHtml } from './html-utils.js';
+
+const MAX_RESULTS_PER_GROUP = 6;
+
+// Zoom used when flying to a single item
+const RESULT_ZOOM = 7;
+
+const FIELD_LABELS = {
+    type: 'Type',
+    location: 'Location',
+    country: 'Country',
+    capability: 'Capability'
+};
+
+export class SearchPanel {
+    constructor(app) {
+        this.app = app;
+
+        this.input = document.getElementById('search-input');
+        this.resultsList = document.getElementById('search-results');
+        this.filtersButton = document.getElementById('search-filters-btn');
+        this.facetsContainer = document.getElementById('search-facets');
+
+        this.entries = [];
+        this.entriesById = new Map();
+        this.results = [];
+        // Listed results in display order, for keyboard navigation
+        this.shown = [];
+        this.activeIndex = -1;
+
+        this.input.addEventListener('input', () => this.runSearch());
+        this.input.addEventListener('keydown', (event) => this.onKeyDown(event));
+
+        this.filtersButton.addEventListener('click', () => {
+            const open = this.facetsContainer.classList.toggle('hidden') === false;
+            this.filtersButton.setAttribute('aria-expanded', String(open));
+        });
+
+        this.buildIndex();
+    }
+
+    /**
+     * Rebuild the index, e.g. after a custom scenario was saved
+     */
+    buildIndex() {
+        this.entries = buildSearchIndex(this.app.data);
+        this.entriesById = new Map(this.entries.map(entry => [`${entry.kind}:${entry.id}`, entry]));
+        this.renderFacets();
+        this.runSearch();
+    }
+
+    /**
+     * Whether a map item passes the active filters
+     * @param {string} kind - 'force', 'ally' or 'site'
+     */
+    matches(kind, id) {
+        const entry = this.entriesById.get(`${kind}:${id}`);
+        return !entry || matchesFilters(entry, this.app.state.filters);
+    }
+
+    // ---- Filters ----
+
+    toggleFilter(key, value) {
+        const selected = this.app.state.filters[key];
+        if (selected.has(value)) {
+            selected.delete(value);
+        } else {
+            selected.add(value);
+        }
+
+        this.renderFacets();
+        this.runSearch();
+        this.app.updateLayers();
+    }
+
+    clearFilters() {
+        FACETS.forEach(({ key }) => this.app.state.filters[key].clear());
+
+        this.renderFacets();
+        this.runSearch();
+        this.app.updateLayers();
+    }
+
+    renderFacets() {
+        const filters = this.app.state.filters;
+        const values = getFacetValues(this.entries);
+        const activeCount = FACETS.reduce((count, { key }) => count + filters[key].size, 0);
+
+        this.filtersButton.textContent = activeCount ? `Filters (${activeCount})` : 'Filters';
+        this.filtersButton.classList.toggle('active', activeCount > 0);
+        this.facetsContainer.innerHTML = '';
+
+        FACETS.forEach(({ key, label }) => {
+            if (values[key].length === 0) return;
+
+            const group = document.createElement('div');
+            group.className = 'search-facet';
+            group.innerHTML = `<div class="search-facet-label">${label}</div><div class="search-facet-chips"></div>`;
+
+            values[key].forEach(value => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'search-chip';
+                chip.textContent = value;
+                chip.setAttribute('aria-pressed', String(filters[key].has(value)));
+                chip.addEventListener('click', () => this.toggleFilter(key, value));
+                group.querySelector('.search-facet-chips').appendChild(chip);
+            });
+
+            this.facetsContainer.appendChild(group);
+        });
+
+        if (activeCount > 0) {
+            const clear = document.createElement('button');
+            clear.type = 'button';
+            clear.className = 'search-clear-filters';
+            clear.textContent = 'Clear filters';
+            clear.addEventListener('click', () => this.clearFilters());
+            this.facetsContainer.appendChild(clear);
+        }
+    }
+
+    // ---- Results ----
+
+    runSearch() {
+        this.results = search(this.entries, this.input.value, this.app.state.filters);
+        this.activeIndex = -1;
+        this.renderResults();
+    }
+
+    renderResults() {
+        this.resultsList.innerHTML = '';
+        this.shown = [];
+
+        if (!this.input.value.trim()) {
+            this.resultsList.classList.add('hidden');
+            return;
+        }
+        this.resultsList.classList.remove('hidden');
+
+        SEARCH_GROUPS.forEach(({ kind, label }) => {
+            const hits = this.results.filter(result => result.entry.kind === kind).slice(0, MAX_RESULTS_PER_GROUP);
+            if (hits.length === 0) return;
+
+            const heading = document.createElement('div');
+            heading.className = 'search-group-label';
+            heading.textContent = label;
+            this.resultsList.appendChild(heading);
+
+            hits.forEach(result => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'search-result';
+                button.setAttribute('role', 'option');
+                button.innerHTML = `
+                    <span class="search-result-name">${escapeHtml(result.entry.name)}</span>
+                    <span class="search-result-detail">${escapeHtml(this.describeMatch(result))}</span>
+                `;
+                button.addEventListener('click', () => this.select(result.entry));
+                this.resultsList.appendChild(button);
+                this.shown.push({ result, button });
+            });
+        });
+
+        if (this.shown.length === 0) {
+            this.resultsList.innerHTML = '<p class="search-empty">No matches</p>';
+        }
+    }
+
+    // What matched, when it was not the name
+    describeMatch({ entry, matched }) {
+        if (matched && matched.field !== 'name' && FIELD_LABELS[matched.field] && entry.kind !== 'scenario') {
+            return `${FIELD_LABELS[matched.field]}: ${matched.text}`;
+        }
+        return entry.fields.type[0] || '';
+    }
+
+    onKeyDown(event) {
+        const shown = this.shown;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (shown.length === 0) return;
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + shown.length) % shown.length;
+            shown.forEach(({ button }, index) => button.classList.toggle('active', index === this.activeIndex));
+            shown[this.activeIndex].button.scrollIntoView({ block: 'nearest' });
+        } else if (event.key === 'Enter') {
+            const pick = shown[Math.max(this.activeIndex, 0)];
+            if (pick) {
+                event.preventDefault();
+                this.select(pick.result.entry);
+            }
+        } else if (event.key === 'Escape') {
+            this.input.value = '';
+            this.runSearch();
+        }
+    }
+
+    /**
+     * Show a result: make sure its layer is on, fly there and open its info
+     */
+    select(entry) {
+        const app = this.app;
+        this.resultsList.classList.add('hidden');
+
+        if (app.uiManager.mobileMenuOpen) {
+            app.uiManager.toggleMobileMenu();
+        }
+
+        switch (entry.kind) {
+            case 'force': {
+                app.setUnitsHidden([entry.item.id], false);
+                app.setLayers({ forces: true });
+                const { coordinates, present } = getUnitStateAt(entry.item, app.getTimelineDate());
+                app.mapEngine.flyTo({ center: present ? coordinates : entry.item.coordinates, zoom: RESULT_ZOOM });
+                app.showForceInfo(entry.item);
+                break;
+            }
+            case 'ally':
+                app.setLayers({ allies: true });
+                app.mapEngine.flyTo({ center: entry.item.coordinates, zoom: RESULT_ZOOM });
+                app.showAllyInfo(entry.item);
+                break;
+            case 'site':
+                app.showSiteCategory(entry.item.category);
+                app.setLayers({ targets: true });
+                app.mapEngine.flyTo({ center: entry.item.coordinates, zoom: RESULT_ZOOM });
+                app.showTargetInfo(entry.item);
+                break;
+            case 'scenario':
+                app.loadScenario(app.data.scenarios.indexOf(entry.item));
+                break;
+        }
+    }
+}
@@ -1,42 +1,309 @@
 /**
  * TIMELINE CONTROLLER MODULE
- * Manages timeline phases and date progression
+ * Manages timeline phases and date progression on a proportional time axis
  */
 
+import { DAY, parseDate, formatShortDate } from './date-utils.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Width of the visible window for each zoom level (null = whole timeline)
+const ZOOM_SPANS = {
+    all: null,
+    month: 31 * DAY,
+    week: 7 * DAY
+};
+
 export class TimelineController {
     constructor(timelineData) {
         this.timelineData = timelineData;
         this.currentPhase = null;
+
+        this.start = parseDate(timelineData.start);
+        this.end = parseDate(timelineData.end);
+        this.phases = timelineData.phases.map(phase => ({
+            ...phase,
+            startDate: parseDate(phase.start),
+            endDate: parseDate(phase.end)
+        }));
+
+        this.date = this.end;
+        this.zoom = 'all';
+        this.view = { start: this.start, end: this.end };
+
+        this.changeListeners = [];
+        this.eventListeners = [];
+
+        this.slider = document.getElementById('timeline-slider');
         this.initializeMarkers();
+        this.setupControls();
+        this.render();
     }
-    
+
     initializeMarkers() {
-        const markersContainer = document.getElementById('timeline-markers');
-        if (!markersContainer) return;
-        
-        this.timelineData.phases.forEach(() => {
-            const marker = document.createElement('div');
-            marker.className = 'timeline-marker';
-            markersContainer.appendChild(marker);
-        });
-    }
-    
-    updatePosition(position) {
-        const phaseIndex = Math.floor(position / (100 / this.timelineData.phases.length));
-        const phase = this.timelineData.phases[Math.min(phaseIndex, this.timelineData.phases.length - 1)];
-        
+        this.markersContainer = document.getElementById('timeline-markers');
+        this.ticksContainer = document.getElementById('timeline-ticks');
+        this.labelsContainer = document.getElementById('timeline-labels');
+    }
+
+    setupControls() {
+        if (this.slider) {
+            this.slider.addEventListener('input', () => {
+                const date = new Date(this.start.getTime() + Number(this.slider.value) * HOUR);
+                this.setDate(date);
+            });
+        }
+
+        document.querySelectorAll('.timeline-zoom-btn[data-zoom]').forEach(button => {
+            button.addEventListener('click', () => this.setZoom(button.dataset.zoom));
+        });
+
+        this.panButtons = document.querySelectorAll('.timeline-zoom-btn[data-pan]');
+        this.panButtons.forEach(button => {
+            button.addEventListener('click', () => this.pan(Number(button.dataset.pan)));
+        });
+    }
+
+    /**
+     * Subscribe to date changes; callback receives (date, phase)
+     */
+    onChange(callback) {
+        this.changeListeners.push(callback);
+    }
+
+    /**
+     * Subscribe to clicks on event markers; callback receives (event, phase)
+     */
+    onEventSelect(callback) {
+        this.eventListeners.push(callback);
+    }
+
+    getDate() {
+        return this.date;
+    }
+
+    setDate(date) {
+        const time = Math.min(Math.max(date.getTime(), this.start.getTime()), this.end.getTime());
+        this.date = new Date(time);
+
+        // Keep the current date inside a zoomed window
+        if (this.date < this.view.start || this.date > this.view.end) {
+            this.updateView();
+            this.render();
+        } else {
+            this.syncSlider();
+        }
+
+        const phase = this.getPhaseAt(this.date);
         if (phase !== this.currentPhase) {
             this.currentPhase = phase;
             this.onPhaseChange(phase);
         }
+
+        this.changeListeners.forEach(callback => callback(this.date, phase));
     }
-    
-    getCurrentPhase(position) {
-        const phaseIndex = Math.floor(position / (100 / this.timelineData.phases.length));
-        return this.timelineData.phases[Math.min(phaseIndex, this.timelineData.phases.length - 1)];
+
+    setZoom(zoom) {
+        if (!(zoom in ZOOM_SPANS)) return;
+
+        this.zoom = zoom;
+        document.querySelectorAll('.timeline-zoom-btn[data-zoom]').forEach(button => {
+            button.classList.toggle('active', button.dataset.zoom === zoom);
+        });
+
+        this.updateView();
+        this.render();
     }
-    
+
+    updateView() {
+        const span = ZOOM_SPANS[this.zoom];
+        const fullSpan = this.end - this.start;
+
+        if (!span || span >= fullSpan) {
+            this.view = { start: this.start, end: this.end };
+            return;
+        }
+
+        // Center the window on the current date, clamped to the timeline
+        let start = this.date.getTime() - span / 2;
+        start = Math.max(this.start.getTime(), Math.min(start, this.end.getTime() - span));
+        this.view = { start: new Date(start), end: new Date(start + span) };
+    }
+
+    /**
+     * Shift a zoomed window by half its width, earlier (-1) or later (1).
+     * The date is carried along when it would fall outside the window.
+     */
+    pan(direction) {
+        const span = this.view.end - this.view.start;
+        let start = this.view.start.getTime() + direction * span / 2;
+        start = Math.max(this.start.getTime(), Math.min(start, this.end.getTime() - span));
+        this.view = { start: new Date(start), end: new Date(start + span) };
+        this.render();
+
+        const time = Math.min(Math.max(this.date.getTime(), start), start + span);
+        if (time !== this.date.getTime()) {
+            this.setDate(new Date(time));
+        }
+    }
+
+    getPhaseAt(date) {
+        const last = this.phases[this.phases.length - 1];
+        return this.phases.find(phase =>
+            date >= phase.startDate && (date < phase.endDate || (phase === last && date <= phase.endDate))
+        ) || null;
+    }
+
+    getCurrentPhase() {
+        return this.getPhaseAt(this.date);
+    }
+
+    /**
+     * Horizontal position of a date within the visible window, 0-100
+     */
+    toPercent(date) {
+        return (date - this.view.start) / (this.view.end - this.view.start) * 100;
+    }
+
+    isVisible(date) {
+        return date >= this.view.start && date <= this.view.end;
+    }
+
+    syncSlider() {
+        if (!this.slider) return;
+
+        this.slider.min = (this.view.start - this.start) / HOUR;
+        this.slider.max = (this.view.end - this.start) / HOUR;
+        this.slider.value = (this.date - this.start) / HOUR;
+    }
+
+    render() {
+        this.syncSlider();
+        this.updatePanButtons();
+        this.renderTicks();
+        this.renderEventMarkers();
+        this.renderPhaseLabels();
+    }
+
+    updatePanButtons() {
+        if (!this.panButtons) return;
+
+        this.panButtons.forEach(button => {
+            const atEdge = Number(button.dataset.pan) < 0
+                ? this.view.start <= this.start
+                : this.view.end >= this.end;
+            button.disabled = atEdge;
+        });
+    }
+
+    renderTicks() {
+        if (!this.ticksContainer) return;
+        this.ticksContainer.innerHTML = '';
+
+        const span = this.view.end - this.view.start;
+        // Major ticks: months for long ranges, weeks for a month, days for a week
+        const major = span > 45 * DAY ? 'month' : span > 10 * DAY ? 'week' : 'day';
+
+        this.getTickDates(major).forEach(date => {
+            const tick = document.createElement('div');
+            tick.className = 'timeline-tick';
+            tick.style.left = `${this.toPercent(date)}%`;
+            tick.innerHTML = `<span class="timeline-tick-label">${formatShortDate(date)}</span>`;
+            this.ticksContainer.appendChild(tick);
+        });
+
+        if (major !== 'day') {
+            this.getTickDates(major === 'month' ? 'week' : 'day').forEach(date => {
+                const tick = document.createElement('div');
+                tick.className = 'timeline-tick minor';
+                tick.style.left = `${this.toPercent(date)}%`;
+                this.ticksContainer.appendChild(tick);
+            });
+        }
+    }
+
+    getTickDates(unit) {
+        const dates = [];
+        const cursor = new Date(this.view.start);
+        cursor.setUTCHours(0, 0, 0, 0);
+
+        if (unit === 'month') {
+            cursor.setUTCDate(1);
+        } else if (unit === 'week') {
+            // Weeks start on Monday
+            cursor.setUTCDate(cursor.getUTCDate() - ((cursor.getUTCDay() + 6) % 7));
+        }
+
+        while (cursor <= this.view.end) {
+            if (cursor >= this.view.start) {
+                dates.push(new Date(cursor));
+            }
+            if (unit === 'month') {
+                cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+            } else {
+                cursor.setUTCDate(cursor.getUTCDate() + (unit === 'week' ? 7 : 1));
+            }
+        }
+
+        return dates;
+    }
+
+    renderEventMarkers() {
+        if (!this.markersContainer) return;
+        this.markersContainer.innerHTML = '';
+
+        // Phase boundaries
+        this.phases.slice(1).forEach(phase => {
+            if (!this.isVisible(phase.startDate)) return;
+
+            const divider = document.createElement('div');
+            divider.className = 'timeline-marker';
+            divider.style.left = `${this.toPercent(phase.startDate)}%`;
+            this.markersContainer.appendChild(divider);
+        });
+
+        // Events
+        this.phases.forEach(phase => {
+            phase.events.forEach(event => {
+                const date = parseDate(event.date);
+                if (!this.isVisible(date)) return;
+
+                const marker = document.createElement('button');
+                marker.type = 'button';
+                marker.className = 'timeline-event';
+                marker.style.left = `${this.toPercent(date)}%`;
+                marker.title = `${formatShortDate(date)} - ${event.title}`;
+                marker.setAttribute('aria-label', marker.title);
+                marker.addEventListener('click', () => {
+                    this.setDate(date);
+                    this.eventListeners.forEach(callback => callback(event, phase));
+                });
+                this.markersContainer.appendChild(marker);
+            });
+        });
+    }
+
+    renderPhaseLabels() {
+        if (!this.labelsContainer) return;
+        this.labelsContainer.innerHTML = '';
+
+        this.phases.forEach(phase => {
+            const left = Math.max(0, this.toPercent(phase.startDate));
+            const right = Math.min(100, this.toPercent(phase.endDate));
+            if (right <= left) return;
+
+            const label = document.createElement('span');
+            label.className = 'timeline-label';
+            label.style.left = `${left}%`;
+            label.style.width = `${right - left}%`;
+            label.textContent = phase.name;
+            label.title = `${phase.name} (${phase.date})`;
+            this.labelsContainer.appendChild(label);
+        });
+    }
+
     onPhaseChange(phase) {
+        if (!phase) return;
         console.log(`Timeline phase changed: ${phase.name}`);
         // Additional phase change logic can be added here
     }
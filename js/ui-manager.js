@@ -25,6 +25,35 @@ export class UIManager {
         panel.classList.add('hidden');
     }
     
+    /**
+     * Swap the fixed marker legend for one generated from the map's symbols
+     */
+    setSymbolLegendVisible(visible) {
+        document.getElementById('legend-markers').classList.toggle('hidden', visible);
+        document.getElementById('legend-site-categories').classList.toggle('hidden', visible);
+        document.getElementById('legend-symbols').classList.toggle('hidden', !visible);
+    }
+    
+    /**
+     * @param {Array<{label: string, svg: string}>} entries - from MapEngine.getSymbolLegend
+     */
+    renderSymbolLegend(entries) {
+        const container = document.getElementById('legend-symbols');
+        container.innerHTML = '';
+        
+        entries.forEach(({ label, svg }) => {
+            const item = document.createElement('div');
+            item.className = 'legend-item';
+            item.innerHTML = `<span class="legend-symbol">${svg}</span><span></span>`;
+            item.lastElementChild.textContent = label;
+            container.appendChild(item);
+        });
+        
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="legend-item">No symbols on the map</div>';
+        }
+    }
+    
     toggleMobileMenu() {
         this.mobileMenuOpen = !this.mobileMenuOpen;
         
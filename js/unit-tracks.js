@@ -0,0 +1,60 @@
+/**
+ * UNIT TRACKS MODULE
+ * Resolves where a unit is, and whether it is in theatre, at a given date.
+ *
+ * A unit may carry a `track`: dated positions sorted by date, and an
+ * optional `departed` date. Units without a track are static and always present.
+ */
+
+import { DAY, parseDate } from './date-utils.js';
+
+// Units fade in over this many days after arriving and out before departing
+export const FADE_DAYS = 2;
+
+/**
+ * @returns {{coordinates: number[], opacity: number, present: boolean}}
+ */
+export function getUnitStateAt(unit, date) {
+    const track = unit.track;
+    if (!track || track.length === 0) {
+        return { coordinates: unit.coordinates, opacity: 1, present: true };
+    }
+
+    const time = date.getTime();
+    const arrival = parseDate(track[0].date).getTime();
+    const departure = unit.departed ? parseDate(unit.departed).getTime() : Infinity;
+
+    if (time < arrival || time >= departure) {
+        return { coordinates: track[0].coordinates, opacity: 0, present: false };
+    }
+
+    const fade = FADE_DAYS * DAY;
+    const fadeIn = (time - arrival) / fade;
+    const fadeOut = (departure - time) / fade;
+
+    return {
+        coordinates: interpolateTrack(track, time),
+        opacity: Math.max(0.2, Math.min(1, fadeIn, fadeOut)),
+        present: true
+    };
+}
+
+function interpolateTrack(track, time) {
+    for (let i = track.length - 1; i >= 0; i--) {
+        const from = track[i];
+        const fromTime = parseDate(from.date).getTime();
+        if (time < fromTime) continue;
+
+        const to = track[i + 1];
+        if (!to) return from.coordinates;
+
+        const toTime = parseDate(to.date).getTime();
+        const t = (time - fromTime) / (toTime - fromTime);
+        return [
+            from.coordinates[0] + (to.coordinates[0] - from.coordinates[0]) * t,
+            from.coordinates[1] + (to.coordinates[1] - from.coordinates[1]) * t
+        ];
+    }
+
+    return track[0].coordinates;
+}
@@ -0,0 +1,146 @@
+/**
+ * URL STATE MODULE
+ * Mirrors the shareable view (scenario, date, layers, camera, selected unit)
+ * in the URL hash and steps through it with browser back/forward.
+ *
+ * Hash format:
+ *   #scenario=scenario-1&date=2025-01-09&layers=forces,allies
+ *    &camera=54.0000,27.0000,5.5,45,0&unit=cvn-69
+ * camera is lng,lat,zoom,tilt,heading. scenario and unit are omitted when unset.
+ */
+
+import { parseDate, toIsoDate } from './date-utils.js';
+
+const COMMIT_DELAY = 400; // ms of quiet before a view change becomes a history entry
+
+export function encodeViewState({ scenario, date, layers, camera, unit }) {
+    const params = new URLSearchParams();
+
+    if (scenario) params.set('scenario', scenario);
+    if (date) params.set('date', encodeDate(date));
+
+    params.set('layers', Object.keys(layers).filter(key => layers[key]).join(','));
+
+    if (camera) {
+        params.set('camera', [
+            camera.center[0].toFixed(4),
+            camera.center[1].toFixed(4),
+            Number(camera.zoom.toFixed(2)),
+            Math.round(camera.tilt || 0),
+            Math.round(camera.heading || 0)
+        ].join(','));
+    }
+
+    if (unit) params.set('unit', unit);
+
+    // Keep commas and times readable in shared links
+    return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+/**
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @param {string[]} layerKeys - every known layer, so omitted ones decode as off
+ * @returns {Object|null} view state, or null when the hash holds none
+ */
+export function decodeViewState(hash, layerKeys) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (![...params.keys()].length) return null;
+
+    const view = {
+        scenario: params.get('scenario') || null,
+        unit: params.get('unit') || null
+    };
+
+    if (params.has('date')) {
+        const date = decodeDate(params.get('date'));
+        if (date) view.date = date;
+    }
+
+    if (params.has('layers')) {
+        const enabled = params.get('layers').split(',');
+        view.layers = Object.fromEntries(layerKeys.map(key => [key, enabled.includes(key)]));
+    }
+
+    if (params.has('camera')) {
+        const [lng, lat, zoom, tilt = 0, heading = 0] = params.get('camera').split(',').map(Number);
+        if ([lng, lat, zoom, tilt, heading].every(Number.isFinite)) {
+            view.camera = { center: [lng, lat], zoom, tilt, heading };
+        }
+    }
+
+    return view;
+}
+
+// Whole days stay short; the slider's hour steps keep the time
+function encodeDate(date) {
+    const iso = date.toISOString();
+    return iso.slice(11, 16) === '00:00' ? toIsoDate(date) : `${iso.slice(0, 16)}Z`;
+}
+
+function decodeDate(value) {
+    const date = value.includes('T') ? new Date(value) : parseDate(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export class UrlState {
+    constructor(app) {
+        this.app = app;
+        this.timer = null;
+        this.isApplying = false;
+
+        // The first commit describes the page as opened, not a new step
+        this.replaceNext = true;
+
+        window.addEventListener('popstate', () => this.restore());
+    }
+
+    /**
+     * View state encoded in the current URL, or null
+     */
+    read() {
+        return decodeViewState(window.location.hash, Object.keys(this.app.state.layers));
+    }
+
+    /**
+     * Apply the URL's view state to the app without recording history
+     */
+    restore() {
+        const view = this.read();
+        if (!view) return;
+
+        clearTimeout(this.timer);
+        this.isApplying = true;
+        try {
+            this.app.applyViewState(view);
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * Record the current view once interaction settles
+     */
+    schedule() {
+        if (this.isApplying) return;
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.commit(), COMMIT_DELAY);
+    }
+
+    commit() {
+        this.timer = null;
+
+        // Presentations would otherwise flood history with one entry per step
+        const replace = this.replaceNext || this.app.presentationPlayer.isOpen;
+        this.replaceNext = false;
+
+        const hash = `#${encodeViewState(this.app.getViewState())}`;
+        if (hash === window.location.hash) return;
+
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * WARNINGS PANEL MODULE
+ * Non-blocking panel listing data problems and runtime errors
+ */
+
+import { formatProblem } from './data-validator.js';
+
+export class WarningsPanel {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.entries = [];
+        this.collapsed = false;
+    }
+
+    /**
+     * @param {Array<{file: string, path: string, message: string}>} problems
+     */
+    showProblems(problems) {
+        problems.forEach(problem => {
+            this.entries.push({ level: 'warning', text: formatProblem(problem), problem });
+        });
+        this.render();
+    }
+
+    showError(message) {
+        this.entries.push({ level: 'error', text: message });
+        this.collapsed = false;
+        this.render();
+    }
+
+    clear() {
+        this.entries = [];
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        if (this.entries.length === 0) {
+            this.container.classList.add('hidden');
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const errorCount = this.entries.filter(entry => entry.level === 'error').length;
+        const warningCount = this.entries.length - errorCount;
+        const summary = [
+            errorCount ? `${errorCount} error${errorCount > 1 ? 's' : ''}` : '',
+            warningCount ? `${warningCount} data warning${warningCount > 1 ? 's' : ''}` : ''
+        ].filter(Boolean).join(', ');
+
+        this.container.innerHTML = `
+            <div class="warnings-header">
+                <button class="warnings-toggle" type="button">${this.collapsed ? '▸' : '▾'} ${summary}</button>
+                <button class="warnings-dismiss" type="button" aria-label="Dismiss">×</button>
+            </div>
+            <ul class="warnings-list ${this.collapsed ? 'hidden' : ''}"></ul>
+        `;
+
+        const list = this.container.querySelector('.warnings-list');
+        this.entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `warnings-item ${entry.level}`;
+            item.textContent = entry.text;
+            list.appendChild(item);
+        });
+
+        this.container.querySelector('.warnings-toggle').addEventListener('click', () => {
+            this.collapsed = !this.collapsed;
+            this.render();
+        });
+
+        this.container.querySelector('.warnings-dismiss').addEventListener('click', () => {
+            this.clear();
+        });
+
+        this.container.classList.remove('hidden');
+    }
+}
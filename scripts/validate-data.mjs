@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * VALIDATE DATA
+ * Checks every data/ file against its JSON Schema.
+ *
+ * Usage (from the repository root, Node 18+):
+ *   npm run validate-data
+ *
+ * Exits with status 1 when any file has problems.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { DATA_FILES, SHARED_SCHEMAS } from '../js/data-files.js';
+import { validateDataFiles, formatProblem } from '../js/data-validator.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+async function readJson(relativePath) {
+    const source = await readFile(path.join(root, relativePath), 'utf8');
+    try {
+        return JSON.parse(source);
+    } catch (error) {
+        throw new Error(`${relativePath}: invalid JSON - ${error.message}`);
+    }
+}
+
+async function main() {
+    const data = {};
+    const schemas = {};
+
+    for (const file of DATA_FILES) {
+        data[file.key] = await readJson(file.path);
+        schemas[file.key] = await readJson(file.schema);
+    }
+
+    const sharedSchemas = [];
+    for (const schemaPath of SHARED_SCHEMAS) {
+        sharedSchemas.push(await readJson(schemaPath));
+    }
+
+    const problems = validateDataFiles(data, schemas, DATA_FILES, sharedSchemas);
+
+    if (problems.length === 0) {
+        console.log(`All ${DATA_FILES.length} data files are valid.`);
+        return;
+    }
+
+    problems.forEach(problem => console.error(formatProblem(problem)));
+    console.error(`\n${problems.length} problem(s) found.`);
+    process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,210 @@
+/**
+ * SERVICE WORKER
+ * Makes the visualizer usable without connectivity:
+ * - app shell and data files are precached per CACHE_VERSION
+ * - data files are served from cache and revalidated in the background;
+ *   when a file changed, open pages are told so they can offer a reload
+ * - Leaflet and the bundled basemap are precached for the offline map;
+ *   local raster tiles are cached as they are viewed (Google Maps tiles are
+ *   never stored)
+ *
+ * Bump CACHE_VERSION whenever a file in APP_SHELL changes, and add new
+ * modules to APP_SHELL so they are available offline.
+ */
+
+const CACHE_VERSION = 'v25';
+const PRECACHE = `strike-analysis-${CACHE_VERSION}`;
+const TILE_CACHE = 'strike-analysis-tiles';
+const MAX_TILES = 1500;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'css/main.css',
+    'css/mobile.css',
+    'js/animation-scheduler.js',
+    'js/annotation-tools.js',
+    'js/app.js',
+    'js/citations.js',
+    'js/compare-diff.js',
+    'js/compare-view.js',
+    'js/config.js',
+    'js/data-files.js',
+    'js/data-validator.js',
+    'js/date-utils.js',
+    'js/geo-utils.js',
+    'js/html-utils.js',
+    'js/layer-export.js',
+    'js/main.js',
+    'js/map-engine.js',
+    'js/map-labels.js',
+    'js/map-layers.js',
+    'js/marker-clusters.js',
+    'js/military-symbols.js',
+    'js/offline-support.js',
+    'js/order-of-battle.js',
+    'js/overlay-formats.js',
+    'js/overlay-manager.js',
+    'js/presentation-player.js',
+    'js/scenario-editor.js',
+    'js/scenario-manager.js',
+    'js/scenario-stepper.js',
+    'js/search-index.js',
+    'js/search-panel.js',
+    'js/timeline-controller.js',
+    'js/ui-manager.js',
+    'js/unit-tracks.js',
+    'js/url-state.js',
+    'js/warnings-panel.js',
+    'js/providers/google-provider.js',
+    'js/providers/index.js',
+    'js/providers/leaflet-provider.js',
+    'js/providers/load-script.js',
+    'js/providers/map-provider.js',
+    'js/providers/memory-provider.js',
+    'tiles/basemap.geojson',
+    'vendor/leaflet/leaflet.css',
+    'vendor/leaflet/leaflet.js',
+    'vendor/leaflet/images/layers.png',
+    'vendor/leaflet/images/layers-2x.png',
+    'vendor/leaflet/images/marker-icon.png',
+    'vendor/leaflet/images/marker-icon-2x.png',
+    'vendor/leaflet/images/marker-shadow.png'
+];
+
+// Data files and schemas listed in js/data-files.js
+const DATA_FILES = [
+    'data/allies.json',
+    'data/forces.json',
+    'data/presentations.json',
+    'data/scenarios.json',
+    'data/sites.json',
+    'data/timeline.json',
+    'data/schemas/allies.schema.json',
+    'data/schemas/common.schema.json',
+    'data/schemas/forces.schema.json',
+    'data/schemas/presentations.schema.json',
+    'data/schemas/scenarios.schema.json',
+    'data/schemas/sites.schema.json',
+    'data/schemas/timeline.schema.json'
+];
+
+// XYZ tile URLs such as tiles/6/42/27.png
+const TILE_PATTERN = /\/\d+\/\d+\/\d+\.(png|jpe?g|webp)$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE);
+        await cache.addAll([...APP_SHELL, ...DATA_FILES]);
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('strike-analysis-') && name !== PRECACHE && name !== TILE_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.destination === 'image' && TILE_PATTERN.test(url.pathname) && !url.hostname.endsWith('google.com')) {
+        event.respondWith(cacheTile(request));
+        return;
+    }
+
+    // Google Maps and other third-party requests go straight to the network
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname.includes('/data/')) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+
+    event.respondWith(cacheFirst(request));
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Offline navigation to a URL we have not seen, e.g. with extra path segments
+        if (request.mode === 'navigate') {
+            return caches.match('index.html');
+        }
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(PRECACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request)
+        .then(async (response) => {
+            if (!response.ok) return response;
+
+            const changed = cached && await cached.clone().text() !== await response.clone().text();
+            await cache.put(request, response.clone());
+            if (changed) {
+                await notifyClients({ type: 'data-updated', url: new URL(request.url).pathname });
+            }
+            return response;
+        })
+        .catch((error) => {
+            if (cached) return cached;
+            throw error;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+async function cacheTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(cache, MAX_TILES);
+    }
+    return response;
+}
+
+// Keys come back in insertion order, so the oldest tiles go first
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
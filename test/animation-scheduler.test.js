@@ -0,0 +1,191 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { bootApp, settle } from './helpers/boot-app.js';
+import { AnimationScheduler } from '../js/animation-scheduler.js';
+
+let dom;
+let clock;
+
+// Frames run only when the test advances the clock
+function createFrameClock() {
+    const callbacks = new Map();
+    let nextId = 1;
+    let time = 0;
+
+    return {
+        request: (callback) => {
+            callbacks.set(nextId, callback);
+            return nextId++;
+        },
+        cancel: (id) => callbacks.delete(id),
+        advance(ms) {
+            time += ms;
+            const due = [...callbacks.values()];
+            callbacks.clear();
+            due.forEach(callback => callback(time));
+        },
+        get pending() {
+            return callbacks.size;
+        }
+    };
+}
+
+// Stands in for window.matchMedia('(prefers-reduced-motion: reduce)')
+function stubReducedMotion(window, matches) {
+    const query = new window.EventTarget();
+    query.matches = matches;
+    window.matchMedia = () => query;
+    return query;
+}
+
+function setHidden(hidden) {
+    Object.defineProperty(dom.window.document, 'hidden', { value: hidden, configurable: true });
+    dom.window.document.dispatchEvent(new dom.window.Event('visibilitychange'));
+}
+
+// Records the elapsed times each animation was stepped with
+function recorder() {
+    const steps = [];
+    let rested = 0;
+    return {
+        steps,
+        get rested() {
+            return rested;
+        },
+        animation: { step: elapsed => steps.push(elapsed), rest: () => rested++ }
+    };
+}
+
+beforeEach(() => {
+    dom = new JSDOM('<!DOCTYPE html>', { pretendToBeVisual: true });
+    clock = createFrameClock();
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    globalThis.requestAnimationFrame = clock.request;
+    globalThis.cancelAnimationFrame = clock.cancel;
+});
+
+afterEach(() => {
+    dom.window.close();
+});
+
+test('one frame loop steps every animation with its own elapsed time', () => {
+    const scheduler = new AnimationScheduler();
+    const first = recorder();
+    const second = recorder();
+
+    scheduler.add('strike-path-0', first.animation);
+    clock.advance(0);
+    clock.advance(50);
+    scheduler.add('movement-0', second.animation);
+    assert.equal(clock.pending, 1, 'one loop for both');
+
+    clock.advance(50);
+    clock.advance(20);
+    clock.advance(40);
+
+    assert.deepEqual(first.steps, [0, 50, 100, 160]);
+    assert.deepEqual(second.steps, [0, 50, 110]);
+});
+
+test('the loop stops while the tab is hidden and carries on where it was', () => {
+    const scheduler = new AnimationScheduler();
+    const arc = recorder();
+    scheduler.add('strike-path-0', arc.animation);
+    clock.advance(0);
+    clock.advance(100);
+
+    setHidden(true);
+    assert.ok(scheduler.isPaused());
+    assert.equal(clock.pending, 0);
+
+    setHidden(false);
+    clock.advance(5000);
+    clock.advance(50);
+    assert.deepEqual(arc.steps, [0, 100, 150], 'hidden time is not counted');
+});
+
+test('reduced motion shows the still frame and does not run the loop', () => {
+    const query = stubReducedMotion(dom.window, false);
+    const scheduler = new AnimationScheduler();
+    const arc = recorder();
+    scheduler.add('strike-path-0', arc.animation);
+    clock.advance(0);
+
+    query.matches = true;
+    query.dispatchEvent(Object.assign(new dom.window.Event('change'), { matches: true }));
+    assert.equal(arc.rested, 1);
+    assert.equal(clock.pending, 0);
+
+    const movement = recorder();
+    scheduler.add('movement-0', movement.animation);
+    assert.equal(movement.rested, 1);
+    assert.deepEqual(movement.steps, []);
+    assert.equal(clock.pending, 0);
+});
+
+test('removing a feature stops only its animation, and the loop with the last one', () => {
+    const scheduler = new AnimationScheduler();
+    const arc = recorder();
+    const movement = recorder();
+    scheduler.add('strike-path-0', arc.animation);
+    scheduler.add('movement-0', movement.animation);
+    clock.advance(0);
+
+    scheduler.remove('strike-path-0');
+    clock.advance(50);
+    assert.deepEqual(arc.steps, [0]);
+    assert.deepEqual(movement.steps, [0, 50]);
+
+    scheduler.remove('movement-0');
+    assert.equal(clock.pending, 0);
+    assert.equal(scheduler.size, 0);
+});
+
+test('movement lines run an icon along their path on the map', async () => {
+    const page = await bootApp();
+    try {
+        const { app, provider } = page;
+        app.loadScenario(0);
+
+        const polyline = app.mapEngine.polylines.get('movement-0');
+        assert.equal(polyline.feature.options.symbol, 'dot');
+        assert.ok(app.mapEngine.animations.has('movement-0'));
+
+        await settle(150);
+        const offset = polyline.feature.symbolOffset;
+        await settle(150);
+        assert.ok(polyline.feature.symbolOffset > offset, 'the icon moves on');
+        assert.equal(provider.getFeatures('polyline').length, app.data.scenarios[0].movements.length);
+    } finally {
+        page.close();
+    }
+});
+
+test('switching scenarios leaves no animation running for a removed feature', async () => {
+    const page = await bootApp();
+    try {
+        const { app } = page;
+        const animatedIds = () => [...app.mapEngine.animations.animations.keys()].sort();
+
+        app.loadScenario(1);
+        const arcs = animatedIds();
+        assert.ok(arcs.length > 0);
+        assert.ok(arcs.every(id => id.startsWith('strike-path-')));
+
+        app.loadScenario(0);
+        assert.deepEqual(animatedIds(),
+            app.data.scenarios[0].movements.map((_, index) => `movement-${index}`).sort());
+
+        app.loadScenario(2);
+        assert.deepEqual(animatedIds(), app.mapEngine.getLayer('scenario').getFeatureIds()
+            .filter(id => id.startsWith('strike-path-')).sort());
+
+        app.clearScenario();
+        assert.deepEqual(animatedIds(), []);
+    } finally {
+        page.close();
+    }
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp } from './helpers/boot-app.js';
+import { describeMeasurement } from '../js/annotation-tools.js';
+import {
+    EARTH_RADIUS, distance, bearing, pathLength, polygonArea, formatBearing
+} from '../js/geo-utils.js';
+
+// One degree of arc on the spherical earth
+const DEGREE = EARTH_RADIUS * Math.PI / 180;
+
+const LONDON = [-0.1278, 51.5074];
+const PARIS = [2.3522, 48.8566];
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('path length sums the great-circle legs', () => {
+    assertClose(pathLength([[0, 0], [1, 0]]), DEGREE, 0.01, 'one degree along the equator');
+    assertClose(pathLength([[0, 0], [1, 0], [1, 1]]), 2 * DEGREE, 0.01, 'two legs of one degree');
+    assertClose(distance(LONDON, PARIS), 343500, 1000, 'London to Paris');
+    assert.equal(pathLength([[0, 0]]), 0);
+});
+
+test('polygon area matches the spherical band and ignores winding and closure', () => {
+    // The 1° x 1° cell on the equator: R² × Δλ × sin(1°)
+    const cell = EARTH_RADIUS * EARTH_RADIUS * (Math.PI / 180) * Math.sin(Math.PI / 180);
+    const ring = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+    assertClose(polygonArea(ring), cell, cell * 0.001, 'open ring');
+    assertClose(polygonArea([...ring, ring[0]]), cell, cell * 0.001, 'closed ring');
+    assertClose(polygonArea([...ring].reverse()), cell, cell * 0.001, 'clockwise ring');
+});
+
+test('bearings are clockwise from north and formatted as three digits', () => {
+    assert.equal(bearing([0, 0], [0, 1]), 0);
+    assert.equal(bearing([0, 0], [1, 0]), 90);
+    assert.equal(bearing([0, 1], [0, 0]), 180);
+    assert.equal(bearing([0, 0], [-1, 0]), 270);
+    assertClose(bearing(LONDON, PARIS), 148, 1, 'London to Paris');
+
+    assert.equal(formatBearing(47.2), '047°');
+    assert.equal(formatBearing(359.6), '000°');
+});
+
+test('describeMeasurement reports distance, area and bearing with their units', () => {
+    assert.equal(describeMeasurement('distance', [[0, 0], [1, 0]]), '111 km');
+    assert.equal(describeMeasurement('distance', [[0, 0], [0.005, 0]]), '556 m');
+    assert.equal(describeMeasurement('area', [[0, 0], [1, 0], [1, 1], [0, 1]]), '12,364 km²');
+    assert.equal(describeMeasurement('bearing', [[0, 0], [1, 0]]), '090° · 111 km');
+
+    // Too few points yet, or plain markup
+    assert.equal(describeMeasurement('distance', [[0, 0]]), null);
+    assert.equal(describeMeasurement('area', [[0, 0], [1, 0]]), null);
+    assert.equal(describeMeasurement('arrow', [[0, 0], [1, 0]]), null);
+});
+
+test('a distance drawn on the map is finished with Enter and saved as a layer', async (t) => {
+    const page = await bootApp();
+    t.after(() => page.close());
+    const { app, document, window, provider } = page;
+    const tools = app.annotationTools;
+
+    const button = [...document.querySelectorAll('#annotation-tools .editor-tool')]
+        .find(tool => tool.textContent.includes('Distance'));
+    button.click();
+    assert.equal(tools.tool, 'distance');
+
+    provider.emit('click', [51, 25]);
+    provider.emit('click', [52, 25]);
+    provider.emit('click', [52, 26]);
+    assert.match(document.querySelector('.annotation-readout').textContent, /over 2 legs/);
+
+    document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    assert.equal(tools.pending, null);
+    assert.equal(tools.items.length, 1);
+    assert.equal(tools.items[0].label, 'Distance 1');
+    assert.deepEqual(app.mapEngine.getLayer('annotations').getFeatureIds(), ['annotation-0', 'annotation-0-label']);
+
+    document.getElementById('annotation-layer-name').value = 'Tanker track';
+    document.querySelector('#annotation-tools [data-action="save"]').click();
+
+    const overlay = app.overlayManager.overlays.find(layer => layer.name === 'Tanker track');
+    assert.ok(overlay, 'the annotations are saved as an overlay');
+    assert.equal(overlay.features[0].geometry.type, 'LineString');
+    assert.deepEqual(overlay.features[0].geometry.coordinates, [[51, 25], [52, 25], [52, 26]]);
+    assert.match(overlay.features[0].properties.measurement, /km$/);
+    assert.deepEqual(tools.items, []);
+    assert.deepEqual(app.mapEngine.getLayer('annotations').getFeatureIds(), []);
+});
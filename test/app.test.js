@@ -0,0 +1,193 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp, settle } from './helpers/boot-app.js';
+import { toIsoDate } from '../js/date-utils.js';
+
+const CARRIERS = ['cvn-69', 'cvn-72'];
+const AIRBASES = ['al-udeid', 'ali-al-salem', 'prince-sultan'];
+
+let page;
+
+beforeEach(async () => {
+    page = await bootApp();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+function forceIds(app) {
+    const { carriers, escorts, airbases } = app.data.forces;
+    return [...carriers, ...escorts, ...airbases].map(unit => unit.id);
+}
+
+function allyIds(app) {
+    return app.data.allies.map(ally => ally.id);
+}
+
+function siteIds(app) {
+    return app.data.sites.sites.map(site => site.id);
+}
+
+function sorted(ids) {
+    return [...ids].sort();
+}
+
+// Hours since the start of the timeline, the unit of the slider
+function sliderValue(app, isoDate) {
+    const { start } = app.timelineController;
+    return (new Date(`${isoDate}T00:00:00Z`) - start) / (60 * 60 * 1000);
+}
+
+function moveSlider(page, isoDate) {
+    const slider = page.document.getElementById('timeline-slider');
+    slider.value = String(sliderValue(page.app, isoDate));
+    slider.dispatchEvent(new page.window.Event('input'));
+}
+
+test('init loads the data and draws forces and allies on the memory map', () => {
+    const { app } = page;
+
+    assert.equal(app.mapEngine.providerName, 'memory');
+    assert.ok(app.data.forces && app.data.scenarios && app.data.allies && app.data.timeline);
+    assert.deepEqual(app.sharedSchemas.map(schema => schema.$id), ['common.schema.json']);
+    assert.deepEqual(app.warningsPanel.entries, [], 'data files validate against their schemas');
+
+    const { markers, circles, polylines } = app.mapEngine.getLayerIds();
+    assert.deepEqual(sorted(markers), sorted([...forceIds(app), ...allyIds(app)]));
+    assert.deepEqual(circles, []);
+    assert.deepEqual(polylines, []);
+});
+
+test('updateLayers follows the layer toggles', () => {
+    const { app } = page;
+
+    app.state.layers.forces = false;
+    app.state.layers.targets = true;
+    app.state.layers.ranges = true;
+    app.updateLayers();
+
+    const { markers, circles } = app.mapEngine.getLayerIds();
+    assert.deepEqual(sorted(markers), sorted([...allyIds(app), ...siteIds(app)]));
+    assert.deepEqual(sorted(circles), AIRBASES.map(id => `range-${id}`).sort());
+    assert.equal(page.provider.getFeatures('circle').length, AIRBASES.length, 'old features are removed');
+});
+
+test('the layer checkboxes switch layers on and off', () => {
+    const { app, document, window } = page;
+    const toggle = document.getElementById('toggle-allies');
+
+    toggle.checked = false;
+    toggle.dispatchEvent(new window.Event('change'));
+
+    const { markers } = app.mapEngine.getLayerIds();
+    assert.equal(app.state.layers.allies, false);
+    assert.deepEqual(sorted(markers), sorted(forceIds(app)));
+});
+
+test('loadScenario draws its zones, paths and movements and clearScenario removes them', () => {
+    const { app, document } = page;
+    const [first, second] = app.data.scenarios;
+
+    app.loadScenario(0);
+    let ids = app.mapEngine.getLayerIds();
+    assert.equal(app.state.currentScenario, 0);
+    assert.deepEqual(ids.circles, first.zones.map((_, index) => `zone-${index}`));
+    assert.deepEqual(ids.polylines, first.movements.map((_, index) => `movement-${index}`));
+    assert.deepEqual(page.provider.camera.center, first.camera.center);
+    assert.equal(document.getElementById('current-status').textContent, first.name);
+
+    app.loadScenario(1);
+    ids = app.mapEngine.getLayerIds();
+    assert.deepEqual(ids.polylines, second.strikePaths.map((_, index) => `strike-path-${index}`));
+    assert.deepEqual(ids.circles, second.zones.map((_, index) => `zone-${index}`));
+    assert.ok(document.querySelectorAll('.scenario-btn')[1].classList.contains('active'));
+
+    app.scenarioManager.clearScenario();
+    ids = app.mapEngine.getLayerIds();
+    assert.deepEqual(ids.circles, []);
+    assert.deepEqual(ids.polylines, []);
+    assert.deepEqual(sorted(ids.markers), sorted([...forceIds(app), ...allyIds(app)]));
+});
+
+test('toggling range rings leaves the scenario layer as drawn', () => {
+    const { app, document, window } = page;
+    const toggle = document.getElementById('toggle-ranges');
+    app.loadScenario(1);
+
+    const layer = app.mapEngine.getLayer('scenario');
+    const ids = layer.getFeatureIds();
+    const drawn = ids.map(id => app.mapEngine.polylines.get(id) || app.mapEngine.circles.get(id));
+    const strikePaths = ids.filter(id => id.startsWith('strike-path-'));
+    assert.ok(strikePaths.length > 0);
+
+    toggle.checked = true;
+    toggle.dispatchEvent(new window.Event('change'));
+    assert.ok(app.mapEngine.getLayerIds().circles.includes('range-al-udeid'));
+    toggle.checked = false;
+    toggle.dispatchEvent(new window.Event('change'));
+    assert.ok(!app.mapEngine.getLayerIds().circles.includes('range-al-udeid'));
+
+    assert.deepEqual(layer.getFeatureIds(), ids);
+    strikePaths.forEach(id => assert.ok(app.mapEngine.animations.has(id), `${id} is still animated`));
+    ids.forEach((id, index) => {
+        const feature = app.mapEngine.polylines.get(id) || app.mapEngine.circles.get(id);
+        assert.equal(feature, drawn[index], `${id} was not drawn again`);
+        assert.equal(feature.feature.removed, false);
+    });
+});
+
+test('moving the timeline slider shows only the units in theatre on that date', () => {
+    const { app, document } = page;
+
+    moveSlider(page, '2024-12-15');
+    let { markers } = app.mapEngine.getLayerIds();
+    CARRIERS.forEach(id => assert.ok(!markers.includes(id), `${id} has not arrived`));
+    AIRBASES.forEach(id => assert.ok(markers.includes(id), id));
+    assert.match(document.getElementById('timeline-date').textContent, /December 15, 2024/);
+
+    moveSlider(page, '2025-01-10');
+    ({ markers } = app.mapEngine.getLayerIds());
+    assert.ok(markers.includes('cvn-69'));
+    assert.ok(!markers.includes('cvn-72'));
+
+    moveSlider(page, '2025-01-28');
+    ({ markers } = app.mapEngine.getLayerIds());
+    assert.deepEqual(sorted(markers), sorted([...forceIds(app), ...allyIds(app)]));
+});
+
+test('the presentation player applies each step to the map', async () => {
+    const { app, document, window } = page;
+    const player = app.presentationPlayer;
+
+    app.togglePresentation();
+    assert.ok(player.isOpen);
+    assert.ok(document.body.classList.contains('presenting'));
+
+    // Step 1: December, no carriers, no scenario
+    let ids = app.mapEngine.getLayerIds();
+    CARRIERS.forEach(id => assert.ok(!ids.markers.includes(id), id));
+    assert.equal(app.state.currentScenario, null);
+
+    // Step 2: Eisenhower in theatre with scenario 1
+    document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+    await settle();
+    assert.equal(player.index, 1);
+    ids = app.mapEngine.getLayerIds();
+    assert.ok(ids.markers.includes('cvn-69'));
+    assert.equal(app.data.scenarios[app.state.currentScenario].id, 'scenario-1');
+    assert.ok(ids.circles.includes('zone-0'));
+    assert.deepEqual(app.mapEngine.getView().center, [61.0, 24.5]);
+
+    // Step 5 turns on sites and ranges
+    player.goTo(4);
+    ids = app.mapEngine.getLayerIds();
+    assert.equal(app.state.currentScenario, null);
+    assert.ok(ids.circles.includes('range-al-udeid'));
+    siteIds(app).forEach(id => assert.ok(ids.markers.includes(id), id));
+
+    app.togglePresentation();
+    assert.ok(!player.isOpen);
+    assert.ok(!document.body.classList.contains('presenting'));
+});
@@ -0,0 +1,89 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp } from './helpers/boot-app.js';
+import { parseDate } from '../js/date-utils.js';
+
+let page;
+let compare;
+
+beforeEach(async () => {
+    page = await bootApp();
+    compare = page.app.compareView;
+});
+
+afterEach(() => {
+    page.close();
+});
+
+function summaryHeadings() {
+    return [...page.document.querySelectorAll('#compare-panel .compare-summary h5')].map(h5 => h5.textContent);
+}
+
+function changeInput(selector, value) {
+    const input = page.document.querySelector(selector);
+    input.value = value;
+    input.dispatchEvent(new page.window.Event('change'));
+}
+
+test('comparing two dates draws the later forces on the second map and lists the arrivals', async () => {
+    const { app, document } = page;
+    app.timelineController.setDate(parseDate('2024-12-15'));
+
+    await compare.start();
+    changeInput('#compare-date', '2025-01-20');
+
+    const left = app.mapEngine.getLayerIds().markers;
+    const right = compare.mapEngine.getLayerIds().markers;
+    ['cvn-69', 'cvn-72'].forEach(id => {
+        assert.ok(!left.includes(id), `${id} is not on A`);
+        assert.ok(right.includes(id), `${id} is on B`);
+    });
+
+    assert.ok(document.body.classList.contains('compare-split'));
+    assert.ok(!document.getElementById('compare-map').classList.contains('hidden'));
+    assert.match(document.getElementById('legend-compare').textContent, /January 20, 2025/);
+
+    const added = summaryHeadings().find(heading => heading.startsWith('Added in B'));
+    assert.ok(added, 'arrivals are listed');
+    assert.match(document.querySelector('#compare-panel .compare-summary').textContent, /USS Abraham Lincoln/);
+});
+
+test('comparing two scenarios shows each on its own map', async () => {
+    const { app, document } = page;
+    app.loadScenario(0);
+    await compare.start();
+
+    compare.target = 'scenario';
+    compare.render();
+    changeInput('#compare-scenario', '1');
+
+    const left = app.mapEngine.getLayerIds();
+    const right = compare.mapEngine.getLayerIds();
+    assert.ok(left.polylines.includes('movement-0'));
+    assert.ok(!left.polylines.includes('strike-path-0'));
+    assert.ok(right.polylines.includes('strike-path-0'));
+    assert.ok(!right.polylines.includes('movement-0'));
+
+    assert.match(document.getElementById('legend-compare').textContent, new RegExp(app.data.scenarios[1].name));
+    assert.ok(summaryHeadings().some(heading => heading.startsWith('Removed in B')));
+});
+
+test('the swipe divider moves with the arrow keys and exiting hides the second map', async () => {
+    const { document, window } = page;
+    await compare.start();
+    compare.setLayout('swipe');
+
+    const divider = document.getElementById('compare-divider');
+    assert.ok(document.body.classList.contains('compare-swipe'));
+    assert.ok(!divider.classList.contains('hidden'));
+
+    divider.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight' }));
+    assert.equal(divider.getAttribute('aria-valuenow'), '55');
+    assert.equal(document.body.style.getPropertyValue('--compare-swipe'), '55%');
+
+    document.querySelector('#compare-panel .compare-toggle-btn').click();
+    assert.ok(!compare.isActive);
+    assert.ok(document.getElementById('compare-map').classList.contains('hidden'));
+    assert.ok(!document.body.classList.contains('compare-swipe'));
+});
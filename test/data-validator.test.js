@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { ROOT } from './helpers/boot-app.js';
+import { DataValidator, validateDataFiles } from '../js/data-validator.js';
+import { DATA_FILES, SHARED_SCHEMAS } from '../js/data-files.js';
+
+async function readJson(relativePath) {
+    return JSON.parse(await readFile(path.join(ROOT, relativePath), 'utf8'));
+}
+
+async function loadDataFiles() {
+    const data = {};
+    const schemas = {};
+    for (const file of DATA_FILES) {
+        data[file.key] = await readJson(file.path);
+        schemas[file.key] = await readJson(file.schema);
+    }
+    const sharedSchemas = await Promise.all(SHARED_SCHEMAS.map(readJson));
+    return { data, schemas, sharedSchemas };
+}
+
+const common = {
+    $id: 'common.schema.json',
+    $defs: {
+        confidence: { type: 'string', enum: ['high', 'low'] },
+        // Local refs inside the shared schema resolve against it
+        rated: { type: 'object', properties: { confidence: { $ref: '#/$defs/confidence' } } }
+    }
+};
+
+test('local refs, types and required properties are checked', () => {
+    const validator = new DataValidator({
+        type: 'array',
+        items: { $ref: '#/$defs/unit' },
+        $defs: {
+            unit: { type: 'object', required: ['id'], properties: { id: { type: 'string', minLength: 1 } } }
+        }
+    });
+
+    assert.deepEqual(validator.validate([{ id: 'cvn-69' }]), []);
+    assert.deepEqual(validator.validate([{ id: '' }, {}]).map(({ path }) => path), ['$[0].id', '$[1]']);
+    assert.deepEqual(validator.validate({}), [{ path: '$', message: 'expected array, got object' }]);
+});
+
+test('refs into a shared schema are resolved by its $id', () => {
+    const schema = {
+        type: 'array',
+        items: { $ref: 'common.schema.json#/$defs/rated' }
+    };
+    const validator = new DataValidator(schema, [common]);
+
+    assert.deepEqual(validator.validate([{ confidence: 'high' }]), []);
+    assert.deepEqual(validator.validate([{ confidence: 'sure' }]), [
+        { path: '$[0].confidence', message: 'must be one of "high", "low"' }
+    ]);
+});
+
+test('a missing shared schema is reported against the file', () => {
+    const problems = validateDataFiles(
+        { sites: { confidence: 'high' } },
+        { sites: { properties: { confidence: { $ref: 'common.schema.json#/$defs/confidence' } } } },
+        [{ key: 'sites', path: 'data/sites.json' }]
+    );
+
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].file, 'data/sites.json');
+    assert.match(problems[0].message, /common\.schema\.json/);
+});
+
+test('the data files are valid against their schemas and the shared definitions', async () => {
+    const { data, schemas, sharedSchemas } = await loadDataFiles();
+
+    assert.deepEqual(validateDataFiles(data, schemas, DATA_FILES, sharedSchemas), []);
+
+    data.sites.sites[0].sources[0].title = '';
+    assert.deepEqual(validateDataFiles(data, schemas, DATA_FILES, sharedSchemas), [{
+        file: 'data/sites.json',
+        path: '$.sites[0].sources[0].title',
+        message: 'must be at least 1 character(s) long'
+    }]);
+});
+
+test('swapped coordinates and missing capabilities are reported with file and path', async () => {
+    const { data, schemas, sharedSchemas } = await loadDataFiles();
+    const carrier = data.forces.carriers[0];
+    carrier.coordinates = [carrier.coordinates[1], 95];
+    delete carrier.capabilities;
+
+    assert.deepEqual(validateDataFiles(data, schemas, DATA_FILES, sharedSchemas), [
+        { file: 'data/forces.json', path: '$.carriers[0]', message: 'missing required property "capabilities"' },
+        {
+            file: 'data/forces.json',
+            path: '$.carriers[0].coordinates[1]',
+            message: 'latitude outside the theatre (5 to 45) - are [lng, lat] swapped?'
+        }
+    ]);
+});
+
+test('symbols are checked against the shared definition', async () => {
+    const file = DATA_FILES.find(({ key }) => key === 'allies');
+    const allies = await readJson(file.path);
+    const schema = await readJson(file.schema);
+    const sharedSchemas = await Promise.all(SHARED_SCHEMAS.map(readJson));
+    allies[0].symbol = { affiliation: 'ally', dimension: 'sea' };
+
+    const problems = validateDataFiles({ allies }, { allies: schema }, [file], sharedSchemas);
+    assert.deepEqual(problems.map(({ path }) => path), ['$[0].symbol.affiliation']);
+});
@@ -0,0 +1,120 @@
+/**
+ * TEST HARNESS
+ * Boots the app from index.html in jsdom on the in-memory map provider.
+ * fetch() serves files from the repository, so the real data and schemas
+ * are loaded.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { JSDOM, ResourceLoader, VirtualConsole } from 'jsdom';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Browser globals the app modules use; Node has its own URL, Blob and Response
+const GLOBALS = [
+    'window',
+    'document',
+    'navigator',
+    'location',
+    'history',
+    'localStorage',
+    'requestAnimationFrame',
+    'cancelAnimationFrame',
+    'getComputedStyle',
+    'DOMParser'
+];
+
+async function fetchFile(url) {
+    const { pathname } = new URL(url, 'http://localhost/');
+    try {
+        return new Response(await readFile(path.join(ROOT, decodeURIComponent(pathname))));
+    } catch {
+        return new Response('Not found', { status: 404 });
+    }
+}
+
+// Serves the scripts the page injects, e.g. the vendored Leaflet build
+class RepoResourceLoader extends ResourceLoader {
+    fetch(url) {
+        const { pathname } = new URL(url);
+        return readFile(path.join(ROOT, decodeURIComponent(pathname)));
+    }
+}
+
+/**
+ * Wait for timers and animation frames queued by the app
+ */
+export function settle(ms = 50) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.url] - query and hash of the page, e.g. '?map=memory#date=2025-01-05'
+ * @param {Object<string, *>} [options.storage] - localStorage entries, stored as JSON
+ * @param {function(Window)} [options.beforeInit] - runs once the page globals are set up
+ * @returns {Promise<{app: App, window: Window, document: Document,
+ *          provider: MemoryMapProvider, close: function()}>}
+ */
+export async function bootApp({ url = '?map=memory', storage = {}, beforeInit } = {}) {
+    const html = await readFile(path.join(ROOT, 'index.html'), 'utf8');
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+
+    const dom = new JSDOM(html, {
+        url: new URL(url, 'http://localhost/index.html').href,
+        pretendToBeVisual: true,
+        // Module scripts are not run by jsdom, so this only runs injected scripts
+        runScripts: 'dangerously',
+        resources: new RepoResourceLoader(),
+        virtualConsole
+    });
+    const { window } = dom;
+
+    GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, {
+            value: name === 'window' ? window : window[name],
+            configurable: true,
+            writable: true
+        });
+    });
+    globalThis.fetch = fetchFile;
+    // Libraries loaded into the page, seen by the app modules as globals
+    Object.defineProperty(globalThis, 'L', {
+        get: () => window.L,
+        configurable: true
+    });
+
+    Object.entries(storage).forEach(([key, value]) => {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    });
+
+    if (beforeInit) {
+        beforeInit(window);
+    }
+
+    const { App } = await import('../../js/app.js');
+    const app = new App();
+    // Fail the test instead of showing the error panel
+    app.showError = (message) => {
+        throw new Error(message);
+    };
+    await app.init();
+
+    return {
+        app,
+        window,
+        document: window.document,
+        provider: app.mapEngine.provider,
+        close: () => {
+            // Presentation and URL timers run on Node's clock, not the window's
+            if (app.presentationPlayer.isOpen) {
+                app.presentationPlayer.stop();
+            }
+            clearTimeout(app.urlState.timer);
+            window.close();
+        }
+    };
+}
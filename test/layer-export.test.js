@@ -0,0 +1,79 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp } from './helpers/boot-app.js';
+import { distance } from '../js/geo-utils.js';
+
+let page;
+
+beforeEach(async () => {
+    page = await bootApp();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+// Replaces the browser download with a list of what would have been saved
+function captureDownloads(app) {
+    const downloads = [];
+    app.downloadFile = (content, fileName, type) => downloads.push({ content, fileName, type });
+    return downloads;
+}
+
+test('GeoJSON export holds the visible units with their properties and style', () => {
+    const { app } = page;
+    const downloads = captureDownloads(app);
+    app.setLayers({ allies: false });
+
+    app.exportView('geojson');
+
+    assert.equal(downloads.length, 1);
+    assert.equal(downloads[0].type, 'application/geo+json');
+    assert.equal(downloads[0].fileName, 'strike-analysis-2025-01-28.geojson');
+
+    const exported = JSON.parse(downloads[0].content);
+    const ids = exported.features.map(feature => feature.id);
+    assert.deepEqual(ids.sort(), app.mapEngine.getLayerIds().markers.sort());
+
+    const carrier = exported.features.find(feature => feature.id === 'cvn-69');
+    assert.equal(carrier.geometry.type, 'Point');
+    assert.equal(carrier.properties.name, 'USS Dwight D. Eisenhower');
+    assert.ok(carrier.properties['marker-color']);
+});
+
+test('circles are exported as geodesic polygons of the same radius', () => {
+    const { app } = page;
+    const downloads = captureDownloads(app);
+    app.loadScenario(0);
+
+    app.exportView('geojson');
+
+    const zone = app.data.scenarios[0].zones[0];
+    const exported = JSON.parse(downloads[0].content).features.find(feature => feature.id === 'zone-0');
+    const [ring] = exported.geometry.coordinates;
+    assert.equal(exported.geometry.type, 'Polygon');
+    assert.deepEqual(ring[0], ring[ring.length - 1], 'the ring is closed');
+    ring.forEach(point => {
+        assert.ok(Math.abs(distance(zone.center, point) - zone.radius) < 1, 'point is on the circle');
+    });
+});
+
+test('KML export names the document and places each feature', () => {
+    const { app, window } = page;
+    const downloads = captureDownloads(app);
+    app.loadScenario(0);
+
+    app.exportView('kml');
+
+    const kml = downloads[0].content;
+    assert.equal(downloads[0].type, 'application/vnd.google-earth.kml+xml');
+    assert.equal(downloads[0].fileName, 'strike-analysis-2025-01-28.kml');
+
+    const doc = new window.DOMParser().parseFromString(kml, 'application/xml');
+    assert.equal(doc.querySelector('Document > name').textContent,
+        `Strike Analysis - ${app.data.scenarios[0].name} - January 28, 2025`);
+    assert.ok(doc.querySelector('Placemark[id="zone-0"] Polygon'));
+    assert.ok(doc.querySelector('Placemark[id="movement-0"] LineString'));
+    assert.ok(doc.querySelector('Placemark[id="cvn-69"] Point'));
+});
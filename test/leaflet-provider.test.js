@@ -0,0 +1,135 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp, settle } from './helpers/boot-app.js';
+import { intermediatePoint } from '../js/geo-utils.js';
+
+const HOSTILE = '<img src="x" onerror="window.hacked = true">';
+
+let page;
+
+beforeEach(async () => {
+    page = await bootApp({
+        url: '?map=leaflet',
+        storage: {
+            'iconic.customScenarios': [{
+                id: 'custom-1',
+                name: 'Custom',
+                description: 'Zone with a hostile label',
+                zones: [{ center: [52, 30], radius: 50000, label: HOSTILE }]
+            }]
+        }
+    });
+});
+
+afterEach(() => {
+    page.close();
+});
+
+// Open every tooltip bound to a layer on the map and return their elements
+function openTooltips() {
+    const elements = [];
+    page.provider.map.eachLayer(layer => {
+        if (!layer.getTooltip || !layer.getTooltip()) return;
+        layer.openTooltip();
+        elements.push(layer.getTooltip().getElement());
+        layer.closeTooltip();
+    });
+    return elements;
+}
+
+function assertShownAsText(elements) {
+    assert.ok(elements.some(element => element.textContent === HOSTILE));
+    assert.ok(elements.every(element => element.querySelector('img') === null));
+}
+
+test('the Leaflet provider draws the bundled basemap', () => {
+    assert.equal(page.app.mapEngine.providerName, 'leaflet');
+    assert.ok(page.document.querySelectorAll('.leaflet-basemap-pane path').length > 0);
+});
+
+test('geodesic lines follow the great circle and plain lines stay straight', () => {
+    const { provider, window } = page;
+    const path = [[44, 30], [60, 30]];
+    const lines = () => {
+        const found = [];
+        provider.map.eachLayer(layer => {
+            if (layer instanceof window.L.Polyline && !(layer instanceof window.L.Polygon)) found.push(layer);
+        });
+        return found;
+    };
+    // The Leaflet line drawn for a new polyline
+    const addLine = (options) => {
+        const before = lines();
+        provider.addPolyline({ path, color: '#ffffff', width: 2, opacity: 1, ...options });
+        return lines().find(layer => !before.includes(layer));
+    };
+
+    const points = addLine({ geodesic: true }).getLatLngs().map(({ lat, lng }) => [lng, lat]);
+    assert.ok(points.length > 2, 'points are added along the line');
+    assert.deepEqual(points[0], path[0]);
+    assert.deepEqual(points[points.length - 1], path[1]);
+    points.forEach((point, i) => {
+        const expected = intermediatePoint(path[0], path[1], i / (points.length - 1));
+        assert.ok(Math.abs(point[0] - expected[0]) < 1e-9 && Math.abs(point[1] - expected[1]) < 1e-9, `point ${i}`);
+    });
+    assert.ok(points[Math.floor(points.length / 2)][1] > 30, 'bows towards the pole');
+
+    assert.equal(addLine({ geodesic: false }).getLatLngs().length, 2);
+});
+
+test('marker tooltips show titles as text', async () => {
+    const { app } = page;
+    const overlay = app.overlayManager.addOverlay('Hostile', [{
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [51.4, 35.7] },
+        properties: { name: HOSTILE }
+    }]);
+    await settle();
+
+    assert.ok(app.mapEngine.getLayerIds().markers.includes(`${overlay.id}-0`));
+    assertShownAsText(openTooltips());
+});
+
+test('shape tooltips show titles as text', () => {
+    const { app } = page;
+    app.loadScenario(app.data.scenarios.length - 1);
+
+    assert.ok(app.mapEngine.getLayerIds().circles.includes('zone-0'));
+    assertShownAsText(openTooltips());
+});
+
+test('overlay polygons highlight on hover, show their name and leave clicks to an active map tool', async () => {
+    const { app, window } = page;
+    app.overlayManager.addOverlay('Zones', [{
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [[[51, 30], [53, 30], [53, 32], [51, 30]]] },
+        properties: { name: HOSTILE }
+    }]);
+
+    let polygon;
+    page.provider.map.eachLayer(layer => {
+        if (layer instanceof window.L.Polygon && layer.options.interactive) polygon = layer;
+    });
+    const { weight } = polygon.options;
+
+    polygon.fire('mouseover');
+    assert.equal(polygon.options.weight, weight + 2);
+    polygon.fire('mouseout');
+    assert.equal(polygon.options.weight, weight);
+
+    assertShownAsText(openTooltips());
+
+    const infoPanel = page.document.getElementById('info-panel');
+    const click = () => polygon.getElement().dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+    click();
+    assert.ok(!infoPanel.classList.contains('hidden'));
+    assert.match(page.document.getElementById('info-content').textContent, /Zones/);
+    app.uiManager.hideInfoPanel();
+
+    app.annotationTools.setTool('distance');
+    click();
+    assert.ok(infoPanel.classList.contains('hidden'), 'the info card stays closed while a tool is active');
+    assert.equal(app.annotationTools.pending.points.length, 1, 'the click started a measurement');
+});
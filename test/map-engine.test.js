@@ -0,0 +1,119 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { MapEngine } from '../js/map-engine.js';
+import { curvedPath, intermediatePoint, distance, bearing } from '../js/geo-utils.js';
+
+// Share of the distance an arc of height 1 bows out by, as in map-engine.js
+const ARC_BULGE = 0.25;
+const ARC_SEGMENTS = 64;
+
+const FROM = [50, 25];
+const TO = [56, 25];
+
+let dom;
+let frames;
+let time;
+
+beforeEach(() => {
+    dom = new JSDOM('<!DOCTYPE html><div id="map"></div>', { pretendToBeVisual: true });
+    frames = new Map();
+    time = 0;
+    let nextFrame = 1;
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    globalThis.getComputedStyle = dom.window.getComputedStyle;
+    // Frames run only when the test advances time
+    globalThis.requestAnimationFrame = (callback) => {
+        frames.set(nextFrame, callback);
+        return nextFrame++;
+    };
+    globalThis.cancelAnimationFrame = (id) => frames.delete(id);
+});
+
+afterEach(() => {
+    dom.window.close();
+});
+
+function runFrames(count, interval = 50) {
+    for (let i = 0; i < count; i++) {
+        time += interval;
+        const due = [...frames.values()];
+        frames.clear();
+        due.forEach(callback => callback(time));
+    }
+}
+
+async function createEngine() {
+    const engine = new MapEngine('map');
+    await engine.init({ provider: 'memory' });
+    return engine;
+}
+
+test('a curved path starts and ends exactly on its endpoints', () => {
+    const path = curvedPath(FROM, TO, 50000, 32);
+
+    assert.equal(path.length, 33);
+    assert.deepEqual(path[0], FROM);
+    assert.deepEqual(path[path.length - 1], TO);
+});
+
+test('a curved path bows out by the bulge at the middle, to the left of travel', () => {
+    const bulge = 0.5 * distance(FROM, TO) * ARC_BULGE;
+    const middle = intermediatePoint(FROM, TO, 0.5);
+
+    const eastward = curvedPath(FROM, TO, bulge, ARC_SEGMENTS)[ARC_SEGMENTS / 2];
+    assert.ok(Math.abs(distance(middle, eastward) - bulge) < bulge * 0.001, 'offset by the bulge');
+    const turn = (bearing(middle, TO) - bearing(middle, eastward) + 360) % 360;
+    assert.ok(Math.abs(turn - 90) < 0.5, 'square to the path, on its left');
+    assert.ok(eastward[1] > middle[1], 'north of an eastward path');
+
+    const westward = curvedPath(TO, FROM, bulge, ARC_SEGMENTS)[ARC_SEGMENTS / 2];
+    assert.ok(westward[1] < middle[1], 'south of a westward path');
+});
+
+test('a curved path with no bulge is the plain great circle', () => {
+    const path = curvedPath(FROM, TO, 0, 8);
+
+    path.forEach((point, i) => {
+        assert.deepEqual(point, intermediatePoint(FROM, TO, i / 8), `point ${i}`);
+    });
+});
+
+test('addArc draws a curved path scaled by its height and distance', async () => {
+    const engine = await createEngine();
+
+    engine.addArc({ id: 'strike-path-0', start: FROM, end: TO, color: '#ff4444', height: 0.6 });
+    const polyline = engine.polylines.get('strike-path-0');
+    const { path, geodesic, symbol } = polyline.feature.options;
+
+    assert.deepEqual(path, curvedPath(FROM, TO, 0.6 * distance(FROM, TO) * ARC_BULGE, ARC_SEGMENTS));
+    assert.equal(path.length, ARC_SEGMENTS + 1);
+    assert.equal(geodesic, false, 'the path already follows the great circle');
+    assert.equal(symbol, 'arrow');
+    assert.deepEqual(engine.features.get('strike-path-0').geometry.coordinates, path);
+
+    engine.addArc({ id: 'strike-path-1', start: FROM, end: TO, height: 0 });
+    engine.polylines.get('strike-path-1').feature.options.path.forEach((point, i) => {
+        assert.deepEqual(point, intermediatePoint(FROM, TO, i / ARC_SEGMENTS), 'height 0 is the great circle');
+    });
+});
+
+test('a drawn arc grows from its start and ends with the full path', async () => {
+    const engine = await createEngine();
+
+    engine.addArc({ id: 'strike-path-0', start: FROM, end: TO, animation: 'draw' });
+    const polyline = engine.polylines.get('strike-path-0');
+    const full = engine.features.get('strike-path-0').geometry.coordinates;
+
+    assert.equal(polyline.feature.options.path.length, 2, 'starts as the first leg');
+    runFrames(30);
+    const partial = polyline.feature.options.path.length;
+    assert.ok(partial > 2 && partial < full.length, 'grows with time');
+    assert.deepEqual(polyline.feature.options.path, full.slice(0, partial));
+
+    runFrames(60);
+    assert.deepEqual(polyline.feature.options.path, full);
+    assert.ok(!engine.animations.has('strike-path-0'), 'the animation ends once drawn');
+});
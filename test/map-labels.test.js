@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp, settle } from './helpers/boot-app.js';
+import { placeLabels, getLabelSize, MARKER_LABEL_MIN_ZOOM } from '../js/map-labels.js';
+import { project } from '../js/marker-clusters.js';
+import { destination } from '../js/geo-utils.js';
+
+const ZOOM = 6;
+const POINT = [51, 25];
+
+function marker(id, priority, coordinates = POINT) {
+    return { id, text: id, priority, kind: 'marker', coordinates, radius: 8 };
+}
+
+function screen(label) {
+    return project(label.coordinates, ZOOM);
+}
+
+test('labels that collide are offset to the next free side, then left out', () => {
+    const placed = placeLabels([marker('Third', 1), marker('First', 3), marker('Second', 2)], [POINT], ZOOM);
+    const [x, y] = project(POINT, ZOOM);
+
+    assert.deepEqual(placed.map(label => label.id), ['First', 'Second'], 'highest priority first, lowest dropped');
+    const [first, second] = placed.map(screen);
+    assert.ok(first[0] > x, 'first label sits to the right of the marker');
+    assert.ok(second[0] < x, 'second label is offset to the left');
+    assert.ok(Math.abs(first[1] - y) < 0.5 && Math.abs(second[1] - y) < 0.5);
+});
+
+test('labels far apart are all placed', () => {
+    const placed = placeLabels([marker('West', 1, [48, 25]), marker('East', 1, [54, 25])], [], ZOOM);
+    assert.equal(placed.length, 2);
+});
+
+test('a path label sits just above the middle of the line, or further along if that is taken', () => {
+    const path = { id: 'path', text: 'Path', priority: 1, kind: 'path', path: [[46, 25], [56, 25]] };
+
+    const [middle] = placeLabels([path], [], ZOOM);
+    assert.ok(Math.abs(middle.coordinates[0] - 51) < 1e-6, 'centered on the line');
+    assert.ok(middle.coordinates[1] > 25, 'above the line');
+
+    const [moved] = placeLabels([path], [[51, 25]], ZOOM);
+    assert.ok(Math.abs(moved.coordinates[0] - 50) < 1e-6, 'moved to 40% of the way, clear of the marker');
+    assert.ok(moved.coordinates[1] > 25);
+});
+
+test('a circle label sits inside the top of the circle', () => {
+    const center = [51, 25];
+    const radius = 200000;
+    const [label] = placeLabels([{ id: 'zone', text: 'Zone', priority: 1, kind: 'circle', center, radius }], [], ZOOM);
+    const top = destination(center, 0, radius);
+
+    assert.ok(Math.abs(label.coordinates[0] - center[0]) < 1e-6);
+    assert.ok(label.coordinates[1] < top[1], 'below the top edge');
+    assert.ok(label.coordinates[1] > center[1], 'above the center');
+});
+
+test('label size grows with the zoom between a minimum and a maximum', () => {
+    assert.equal(getLabelSize(2), 10);
+    assert.equal(getLabelSize(5), 10);
+    assert.equal(getLabelSize(8), 14);
+    assert.equal(getLabelSize(14), 15);
+
+    const [small] = placeLabels([marker('Unit', 1)], [], 4);
+    const [large] = placeLabels([marker('Unit', 1)], [], 9);
+    assert.ok(large.size > small.size);
+});
+
+test('scenario labels are drawn on the map, and unit names only once zoomed in', async (t) => {
+    const page = await bootApp();
+    t.after(() => page.close());
+    const { app, provider } = page;
+
+    const labels = () => provider.getFeatures('marker')
+        .filter(feature => feature.options.interactive === false)
+        .map(feature => feature.options.title);
+
+    app.loadScenario(0);
+    await settle();
+    const zone = app.data.scenarios[0].zones[0].label;
+    assert.ok(app.mapEngine.getView().zoom >= MARKER_LABEL_MIN_ZOOM);
+    assert.ok(labels().includes(zone), 'zone label is drawn');
+    assert.ok(labels().some(text => text.startsWith('USS Dwight D. Eisenhower')), 'unit names are labelled');
+
+    app.mapEngine.flyTo({ zoom: MARKER_LABEL_MIN_ZOOM - 1 });
+    await settle();
+    assert.ok(!labels().some(text => text.startsWith('USS Dwight D. Eisenhower')), 'unit names are hidden');
+});
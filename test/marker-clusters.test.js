@@ -0,0 +1,106 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp, settle } from './helpers/boot-app.js';
+import {
+    computeLevelOfDetail, getExpansionZoom, GROUP_SPLIT_ZOOM, CLUSTER_MAX_ZOOM
+} from '../js/marker-clusters.js';
+
+let page;
+
+beforeEach(async () => {
+    page = await bootApp();
+    await settle();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+// Titles and count badges of the markers drawn on the memory map
+// Map markers and count badges, leaving out the text labels beside them
+function drawnMarkers() {
+    return page.provider.getFeatures('marker')
+        .filter(({ options }) => options.interactive !== false)
+        .map(({ options }) => ({ title: options.title, label: options.label }));
+}
+
+function zoomTo(zoom) {
+    page.app.mapEngine.flyTo({ zoom });
+    return settle();
+}
+
+test('escorts fold into their carrier below the split zoom and nearby markers merge', () => {
+    const items = [
+        { id: 'cvn', coordinates: [56, 25], priority: 3 },
+        { id: 'ddg', coordinates: [56.1, 25.1], group: 'cvn' },
+        { id: 'base', coordinates: [56.2, 25], priority: 2 },
+        { id: 'far', coordinates: [48, 30] }
+    ];
+
+    const low = computeLevelOfDetail(items, GROUP_SPLIT_ZOOM - 1);
+    assert.deepEqual([...low.groups], [['cvn', ['ddg']]]);
+    assert.deepEqual(low.clusters.map(cluster => cluster.ids), [['cvn', 'base']]);
+    assert.deepEqual([...low.hidden].sort(), ['base', 'cvn', 'ddg']);
+
+    const split = computeLevelOfDetail(items, GROUP_SPLIT_ZOOM);
+    assert.equal(split.groups.size, 0);
+    assert.ok(!split.hidden.has('far'));
+
+    const close = computeLevelOfDetail(items, CLUSTER_MAX_ZOOM);
+    assert.deepEqual(close.clusters, []);
+    assert.equal(close.hidden.size, 0);
+});
+
+test('pinned markers are never folded or merged', () => {
+    const items = [
+        { id: 'cvn', coordinates: [56, 25] },
+        { id: 'ddg', coordinates: [56.01, 25.01], group: 'cvn', pinned: true }
+    ];
+
+    const { groups, clusters, hidden } = computeLevelOfDetail(items, 4);
+    assert.equal(groups.size, 0);
+    assert.deepEqual(clusters, []);
+    assert.ok(!hidden.has('ddg'));
+    assert.equal(getExpansionZoom([[56, 25], [56, 25]], 4), CLUSTER_MAX_ZOOM);
+});
+
+test('at theatre zoom each carrier group is drawn as one counted symbol', () => {
+    const markers = drawnMarkers();
+
+    assert.ok(page.app.mapEngine.getView().zoom < GROUP_SPLIT_ZOOM);
+    assert.deepEqual(markers.find(marker => marker.title.startsWith('USS Dwight D. Eisenhower')),
+        { title: 'USS Dwight D. Eisenhower group (3 ships)', label: '3' });
+    assert.deepEqual(markers.find(marker => marker.title.startsWith('USS Abraham Lincoln')),
+        { title: 'USS Abraham Lincoln group (2 ships)', label: '2' });
+    ['USS Mustin', 'USS Cowpens', 'USS Michael Murphy'].forEach(name => {
+        assert.ok(!markers.some(marker => marker.title.includes(name)), `${name} is folded into its group`);
+    });
+});
+
+test('clicking a count badge zooms in until its markers separate', async () => {
+    const badge = drawnMarkers().find(marker => marker.title === 'Al Udeid Air Base' && marker.label === '2');
+    assert.ok(badge, 'the base and its host-nation entry share a badge');
+
+    page.provider.clickMarker(badge.title);
+    await settle();
+
+    const titles = drawnMarkers().filter(marker => marker.title === 'Al Udeid Air Base');
+    assert.equal(page.app.mapEngine.getView().zoom, CLUSTER_MAX_ZOOM);
+    assert.deepEqual(titles, [
+        { title: 'Al Udeid Air Base', label: undefined },
+        { title: 'Al Udeid Air Base', label: undefined }
+    ]);
+});
+
+test('zooming past the split zoom draws each ship on its own', async () => {
+    await zoomTo(CLUSTER_MAX_ZOOM);
+
+    const titles = drawnMarkers().map(marker => marker.title);
+    ['USS Dwight D. Eisenhower', 'USS Mustin', 'USS Cowpens', 'USS Abraham Lincoln', 'USS Michael Murphy']
+        .forEach(name => assert.ok(titles.includes(name), name));
+    assert.ok(!titles.some(title => title.endsWith('ships)')));
+
+    await zoomTo(5.5);
+    assert.ok(drawnMarkers().some(marker => marker.title === 'USS Dwight D. Eisenhower group (3 ships)'));
+});
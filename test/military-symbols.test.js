@@ -0,0 +1,92 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp, settle } from './helpers/boot-app.js';
+import { getSymbolSpec, describeSymbol, renderSymbol, AFFILIATIONS } from '../js/military-symbols.js';
+
+let page;
+
+beforeEach(async () => {
+    page = await bootApp();
+    await settle();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+function legendLabels() {
+    return [...page.document.querySelectorAll('#legend-symbols .legend-item > span:last-child')]
+        .map(label => label.textContent);
+}
+
+function setChecked(id, checked) {
+    const checkbox = page.document.getElementById(id);
+    checkbox.checked = checked;
+    checkbox.dispatchEvent(new page.window.Event('change'));
+}
+
+test('symbols are derived from the marker type unless the item sets them', () => {
+    assert.deepEqual(getSymbolSpec({ type: 'Aircraft Carrier' }, 'carrier'),
+        { affiliation: 'friend', dimension: 'sea', function: 'carrier' });
+    assert.deepEqual(getSymbolSpec({ type: 'Guided Missile Cruiser' }, 'destroyer').function, 'cruiser');
+    assert.deepEqual(getSymbolSpec({ category: 'command' }, 'target'),
+        { affiliation: 'hostile', dimension: 'installation', function: 'headquarters' });
+    assert.deepEqual(getSymbolSpec({ symbol: { affiliation: 'neutral' } }, 'allied').affiliation, 'neutral');
+
+    assert.equal(describeSymbol({ affiliation: 'hostile', dimension: 'installation', function: 'nuclear' }),
+        'Hostile nuclear facility (installation)');
+});
+
+test('the frame shape and fill follow the affiliation', () => {
+    const frames = {
+        friend: '<circle cx="50" cy="50" r="32"/>',
+        hostile: '<path d="M 50,14 L 86,50 L 50,86 L 14,50 Z"/>',
+        neutral: '<rect x="20" y="20" width="60" height="60"/>',
+        unknown: '<path d="M 32,32 A 18,18'
+    };
+
+    Object.entries(frames).forEach(([affiliation, frame]) => {
+        const svg = renderSymbol({ affiliation, dimension: 'sea', function: 'destroyer' });
+        assert.ok(svg.includes(frame), affiliation);
+        assert.ok(svg.includes(`fill="${AFFILIATIONS[affiliation].fill}"`), affiliation);
+        assert.ok(svg.includes('>DD</text>'));
+    });
+
+    const base = renderSymbol({ affiliation: 'friend', dimension: 'installation', function: 'air-base' }, { quantity: 3 });
+    assert.match(base, /<rect x="40" y="19" width="20" height="9"/, 'installation bar on top of the frame');
+    assert.match(base, />3<\/text>/);
+});
+
+test('symbology draws SVG symbols and a legend of what is on the map', async () => {
+    const { document, provider } = page;
+
+    setChecked('toggle-symbology', true);
+    await settle();
+
+    const [marker] = provider.getFeatures('marker');
+    assert.match(marker.options.icon.url, /^data:image\/svg\+xml/);
+    assert.ok(document.getElementById('legend-markers').classList.contains('hidden'));
+    assert.ok(!document.getElementById('legend-symbols').classList.contains('hidden'));
+
+    const labels = legendLabels();
+    assert.ok(labels.includes('Friendly aircraft carrier (sea surface)'));
+    assert.ok(labels.includes('Friendly air base (installation)'));
+    assert.ok(!labels.some(label => label.startsWith('Hostile')), 'sites are off');
+});
+
+test('hiding a layer removes its symbols from the legend', async () => {
+    setChecked('toggle-symbology', true);
+    setChecked('toggle-targets', true);
+    await settle();
+    assert.ok(legendLabels().includes('Hostile nuclear facility (installation)'));
+
+    setChecked('toggle-forces', false);
+    setChecked('toggle-targets', false);
+    await settle();
+
+    const labels = legendLabels();
+    assert.ok(!labels.includes('Friendly aircraft carrier (sea surface)'));
+    assert.ok(!labels.some(label => label.startsWith('Hostile')));
+    assert.ok(labels.length > 0, 'allies are still listed');
+});
@@ -0,0 +1,49 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp } from './helpers/boot-app.js';
+
+let page;
+
+afterEach(() => {
+    page.close();
+});
+
+// Stands in for navigator.serviceWorker; register() never resolves, as if installing
+function installServiceWorker(window) {
+    const serviceWorker = new window.EventTarget();
+    serviceWorker.controller = {};
+    serviceWorker.register = () => new Promise(() => {});
+    Object.defineProperty(window.navigator, 'serviceWorker', { value: serviceWorker });
+    return serviceWorker;
+}
+
+test('fresher data reported while the app is loading offers a reload', async () => {
+    let serviceWorker;
+    page = await bootApp({
+        beforeInit: (window) => {
+            serviceWorker = installServiceWorker(window);
+
+            // The worker answers the first data request from its cache and finds newer data
+            const { fetch } = globalThis;
+            globalThis.fetch = (url) => {
+                if (url === 'data/forces.json') {
+                    serviceWorker.dispatchEvent(new window.MessageEvent('message', {
+                        data: { type: 'data-updated', url: '/data/forces.json' }
+                    }));
+                }
+                return fetch(url);
+            };
+        }
+    });
+    const { document } = page;
+
+    assert.ok(!document.getElementById('update-banner').classList.contains('hidden'));
+    assert.equal(document.getElementById('update-message').textContent, 'Updated briefing data is available.');
+});
+
+test('the update banner stays hidden without a service worker', async () => {
+    page = await bootApp();
+
+    assert.ok(page.document.getElementById('update-banner').classList.contains('hidden'));
+});
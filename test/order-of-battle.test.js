@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp } from './helpers/boot-app.js';
+import { buildOrderOfBattle, getNodeUnitIds } from '../js/order-of-battle.js';
+import { getUnitStateAt } from '../js/unit-tracks.js';
+
+let page;
+
+beforeEach(async () => {
+    page = await bootApp();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+// The tree row whose name button starts with text
+function findRow(text) {
+    return [...page.document.querySelectorAll('#order-of-battle .oob-row')]
+        .find(row => row.querySelector('.oob-name').textContent.startsWith(text));
+}
+
+function setChecked(row, checked) {
+    const checkbox = row.querySelector('input[type="checkbox"]');
+    checkbox.checked = checked;
+    checkbox.dispatchEvent(new page.window.Event('change'));
+}
+
+test('escorts are grouped under their carrier and squadrons under their base', () => {
+    const tree = buildOrderOfBattle(page.app.data.forces);
+    const [groups, bases] = tree;
+
+    assert.deepEqual(tree.map(node => node.id), ['carrier-groups', 'air-bases']);
+    assert.deepEqual(groups.children.map(getNodeUnitIds), [['cvn-69', 'ddg-89', 'cg-63'], ['cvn-72', 'ddg-112']]);
+
+    const udeid = bases.children.find(node => node.id === 'al-udeid');
+    assert.equal(udeid.children.length, 4);
+    assert.deepEqual(getNodeUnitIds(udeid), ['al-udeid'], 'squadrons are not drawn on their own');
+});
+
+test('unchecking a strike group hides all its ships and checking it shows them again', () => {
+    const { app } = page;
+
+    setChecked(findRow('USS Dwight D. Eisenhower Strike Group'), false);
+
+    let { markers } = app.mapEngine.getLayerIds();
+    ['cvn-69', 'ddg-89', 'cg-63'].forEach(id => assert.ok(!markers.includes(id), id));
+    assert.ok(markers.includes('cvn-72'));
+
+    const all = findRow('Carrier Strike Groups').querySelector('input[type="checkbox"]');
+    assert.ok(all.indeterminate, 'part of the category is hidden');
+
+    setChecked(findRow('USS Dwight D. Eisenhower Strike Group'), true);
+    ({ markers } = app.mapEngine.getLayerIds());
+    assert.ok(markers.includes('cvn-69'));
+    assert.equal(app.state.hiddenUnits.size, 0);
+});
+
+test('clicking a squadron selects its base and flies there', () => {
+    const { app, document } = page;
+    const base = app.data.forces.airbases.find(unit => unit.id === 'al-udeid');
+
+    findRow('Al Udeid Air Base').querySelector('.oob-expander').click();
+    findRow('Expeditionary Bomb Squadron').querySelector('.oob-name').click();
+
+    assert.equal(app.selectedForce, base);
+    assert.deepEqual(app.mapEngine.getView().center, getUnitStateAt(base, app.getTimelineDate()).coordinates);
+    assert.ok(!document.getElementById('info-panel').classList.contains('hidden'));
+});
+
+test('selecting a hidden unit shows it and turns the forces layer back on', () => {
+    const { app } = page;
+    app.setLayers({ forces: false });
+    app.setUnitsHidden(['ddg-112'], true);
+
+    findRow('USS Michael Murphy').querySelector('.oob-name').click();
+
+    assert.equal(app.state.layers.forces, true);
+    assert.ok(!app.state.hiddenUnits.has('ddg-112'));
+    assert.equal(app.selectedForce.id, 'ddg-112');
+});
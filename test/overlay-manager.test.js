@@ -0,0 +1,166 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+// jsdom's File has no text()
+import { File } from 'node:buffer';
+
+import { bootApp } from './helpers/boot-app.js';
+
+const STORAGE_KEY = 'iconic.overlays';
+
+let page;
+
+beforeEach(async () => {
+    page = await bootApp();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+// Replaces the browser download with a list of what would have been saved
+function captureDownloads(app) {
+    const downloads = [];
+    app.downloadFile = (content, fileName, type) => downloads.push({ content, fileName, type });
+    return downloads;
+}
+
+function pointCollection(name, coordinates) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates },
+            properties: { name }
+        }]
+    });
+}
+
+test('an imported CSV becomes a stored overlay drawn on the map', async () => {
+    const { app, document, window } = page;
+
+    await app.overlayManager.importFiles([new File(['name,lat,lng\nRadar,32.6,51.7\nDepot,35.7,51.4\n'], 'radars.csv')]);
+
+    const [overlay] = app.overlayManager.overlays;
+    assert.equal(overlay.name, 'radars');
+    assert.deepEqual(overlay.features.map(feature => feature.geometry.coordinates), [[51.7, 32.6], [51.4, 35.7]]);
+
+    const { markers } = app.mapEngine.getLayerIds();
+    assert.ok(markers.includes(`${overlay.id}-0`));
+    assert.ok(markers.includes(`${overlay.id}-1`));
+
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    assert.deepEqual(stored.map(({ id }) => id), [overlay.id]);
+    assert.equal(document.querySelectorAll('#overlay-layers .overlay-layer').length, 1);
+
+    app.overlayManager.setVisible(overlay, false);
+    assert.ok(!app.mapEngine.getLayerIds().markers.includes(`${overlay.id}-0`));
+});
+
+test('files dropped together become separate overlays', async () => {
+    const { app, document, window } = page;
+    const files = [
+        new File([pointCollection('Depot', [51.4, 35.7])], 'depots.geojson'),
+        new File(['name,lat,lng\nRadar,32.6,51.7\n'], 'radars.csv')
+    ];
+
+    await app.overlayManager.importFiles(files);
+
+    const overlays = app.overlayManager.overlays;
+    assert.deepEqual(overlays.map(overlay => overlay.name), ['depots', 'radars']);
+    assert.notEqual(overlays[0].id, overlays[1].id);
+
+    const { markers } = app.mapEngine.getLayerIds();
+    overlays.forEach(overlay => assert.ok(markers.includes(`${overlay.id}-0`), overlay.name));
+
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    assert.equal(stored.length, 2);
+    assert.equal(document.querySelectorAll('#overlay-layers .overlay-layer').length, 2);
+});
+
+test('overlays added within the same millisecond get their own ids', (t) => {
+    const { app } = page;
+    t.mock.method(Date, 'now', () => 1737072000000);
+    const features = JSON.parse(pointCollection('Depot', [51.4, 35.7])).features;
+
+    const first = app.overlayManager.addOverlay('First', features);
+    const second = app.overlayManager.addOverlay('Second', features);
+
+    assert.notEqual(first.id, second.id);
+    assert.equal(app.mapEngine.getLayer(`overlay:${first.id}`).features.size, 1);
+    assert.equal(app.mapEngine.getLayer(`overlay:${second.id}`).features.size, 1);
+});
+
+test('a file without coordinates is reported and not added', async () => {
+    const { app } = page;
+    const errors = [];
+    app.warningsPanel.showError = (message) => errors.push(message);
+
+    await app.overlayManager.importFiles([new File(['name\nNowhere\n'], 'empty.csv')]);
+
+    assert.equal(app.overlayManager.overlays.length, 0);
+    assert.match(errors[0], /empty\.csv/);
+});
+
+test('overlays saved on this device are drawn after a reload', async () => {
+    page.close();
+    page = await bootApp({
+        storage: {
+            [STORAGE_KEY]: [{
+                id: 'overlay-1',
+                name: 'Depots',
+                visible: true,
+                style: { color: '#ffb84a', opacity: 0.3, width: 2 },
+                features: [{
+                    type: 'Feature',
+                    geometry: { type: 'LineString', coordinates: [[51, 30], [53, 31]] },
+                    properties: { name: 'Supply route' }
+                }]
+            }]
+        }
+    });
+
+    assert.deepEqual(page.app.overlayManager.overlays.map(({ id }) => id), ['overlay-1']);
+    assert.ok(page.app.mapEngine.getLayerIds().polylines.includes('overlay-1-0'));
+});
+
+test('exported GeoJSON imports back with the same features', async () => {
+    const { app } = page;
+    const downloads = captureDownloads(app);
+
+    app.exportView('geojson');
+    const exported = JSON.parse(downloads[0].content);
+
+    await app.overlayManager.importFiles([new File([downloads[0].content], 'briefing.geojson')]);
+    const [imported] = app.overlayManager.overlays;
+    assert.equal(imported.features.length, exported.features.length);
+    assert.deepEqual(imported.features.find(feature => feature.properties.name === 'USS Dwight D. Eisenhower').geometry,
+        exported.features.find(feature => feature.id === 'cvn-69').geometry);
+});
+
+test('exported KML imports back with the same placemarks', async () => {
+    const { app, window } = page;
+    const downloads = captureDownloads(app);
+    app.loadScenario(0);
+
+    app.exportView('kml');
+
+    const kml = downloads[0].content;
+    await app.overlayManager.importFiles([new File([kml], 'briefing.kml')]);
+    const [imported] = app.overlayManager.overlays;
+    const placemarks = new window.DOMParser().parseFromString(kml, 'application/xml').querySelectorAll('Placemark');
+    assert.equal(imported.features.length, placemarks.length);
+    assert.ok(imported.features.some(feature => feature.geometry.type === 'Polygon'));
+});
+
+test('overlay polygons are drawn with their name as the title', () => {
+    const { app, provider } = page;
+    app.overlayManager.addOverlay('Zones', [{
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [[[51, 30], [53, 30], [53, 32], [51, 30]]] },
+        properties: { name: 'Exclusion zone' }
+    }]);
+
+    const [polygon] = provider.getFeatures('polygon');
+    assert.equal(polygon.options.title, 'Exclusion zone');
+    assert.equal(typeof polygon.options.onClick, 'function');
+});
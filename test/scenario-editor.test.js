@@ -0,0 +1,150 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp, settle } from './helpers/boot-app.js';
+
+const STORAGE_KEY = 'iconic.customScenarios';
+
+let page;
+
+afterEach(() => {
+    page.close();
+});
+
+test('saved custom scenarios are listed after the built-in ones', async () => {
+    page = await bootApp({
+        storage: {
+            [STORAGE_KEY]: [{
+                id: 'custom-1',
+                name: 'Northern Watch',
+                description: 'Drawn in the editor',
+                camera: { center: [52, 30], zoom: 6, pitch: 0, bearing: 0 },
+                zones: [{ name: 'Watch box', center: [52, 30], radius: 50000 }]
+            }]
+        }
+    });
+    const { app, document } = page;
+
+    const buttons = document.querySelectorAll('#scenario-buttons .scenario-btn');
+    assert.equal(buttons.length, app.data.scenarios.length);
+    assert.equal(buttons[buttons.length - 1].querySelector('.scenario-btn-title').textContent, 'Northern Watch');
+
+    buttons[buttons.length - 1].click();
+    assert.equal(app.data.scenarios[app.state.currentScenario].id, 'custom-1');
+    assert.deepEqual(app.mapEngine.getLayerIds().circles, ['zone-0']);
+});
+
+test('saved scenarios that fail the schema are reported and left out', async () => {
+    page = await bootApp({
+        storage: {
+            [STORAGE_KEY]: [
+                { id: 'custom-1', name: 'Broken', description: 'Zone without a radius', zones: [{ center: [52, 30] }] },
+                { id: 'custom-2', name: 'Valid', description: 'Drawn in the editor', zones: [{ center: [52, 30], radius: 50000 }] }
+            ]
+        }
+    });
+    const { app } = page;
+
+    assert.deepEqual(app.data.scenarios.filter(({ id }) => id.startsWith('custom-')).map(({ id }) => id), ['custom-2']);
+    assert.deepEqual(app.warningsPanel.entries.map(({ problem }) => problem), [{
+        file: 'saved custom scenarios',
+        path: '$[0].zones[0]',
+        message: 'missing required property "radius"'
+    }]);
+});
+
+test('saved scenarios that are not a list are ignored', async () => {
+    page = await bootApp({ storage: { [STORAGE_KEY]: { id: 'custom-1', name: 'Not a list' } } });
+    const { app } = page;
+
+    assert.ok(app.data.scenarios.every(({ id }) => !id.startsWith('custom-')));
+    assert.deepEqual(app.warningsPanel.entries, []);
+});
+
+test('custom scenario names and descriptions are shown as text', async () => {
+    page = await bootApp({
+        storage: {
+            [STORAGE_KEY]: [{
+                id: 'custom-1',
+                name: '<img src="x" onerror="window.hacked = true">',
+                description: '<b>bold</b>',
+                camera: { center: [52, 30], zoom: 6, pitch: 0, bearing: 0 },
+                zones: [{ name: 'Watch box', center: [52, 30], radius: 50000 }]
+            }]
+        }
+    });
+    const { document } = page;
+
+    const buttons = document.querySelectorAll('#scenario-buttons .scenario-btn');
+    const custom = buttons[buttons.length - 1];
+    assert.equal(custom.querySelector('.scenario-btn-title').textContent, '<img src="x" onerror="window.hacked = true">');
+    assert.equal(custom.querySelector('.scenario-btn-desc').textContent, '<b>bold</b>');
+    assert.equal(document.querySelector('#scenario-buttons img, #scenario-buttons b'), null);
+});
+
+test('a drawn zone is saved, listed and loaded as a scenario', async () => {
+    page = await bootApp();
+    const { app, document, provider } = page;
+    const editor = app.scenarioEditor;
+
+    document.getElementById('editor-toggle-btn').click();
+    assert.ok(editor.isOpen);
+
+    editor.setTool('zone');
+    provider.emit('click', [52, 30]);
+    provider.emit('mousemove', [53, 30]);
+    provider.emit('click', [53, 30]);
+    assert.equal(editor.draft.zones.length, 1);
+
+    const name = document.getElementById('editor-name');
+    name.value = 'Northern Watch';
+    name.dispatchEvent(new page.window.Event('input'));
+    editor.runAction('save');
+
+    const stored = JSON.parse(page.window.localStorage.getItem(STORAGE_KEY));
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].name, 'Northern Watch');
+    assert.ok(!editor.isOpen);
+
+    const scenario = app.data.scenarios[app.state.currentScenario];
+    assert.equal(scenario.id, stored[0].id);
+    assert.ok(app.mapEngine.getLayerIds().circles.includes('zone-0'));
+});
+
+test('renaming a drawn item relabels it on the map', async () => {
+    page = await bootApp();
+    const { app, document, provider, window } = page;
+    const editor = app.scenarioEditor;
+
+    editor.open();
+    editor.setTool('zone');
+    provider.emit('click', [52, 30]);
+    provider.emit('mousemove', [55, 30]);
+    provider.emit('click', [55, 30]);
+
+    const input = document.querySelector('#scenario-editor .editor-item input');
+    input.value = 'Watch box';
+    input.dispatchEvent(new window.Event('change'));
+    await settle();
+
+    assert.equal(editor.draft.zones[0].label, 'Watch box');
+    assert.equal(app.mapEngine.features.get('editor-zone-0').properties.label, 'Watch box');
+    assert.ok(provider.getFeatures('marker').some(({ options }) => options.interactive === false && options.title === 'Watch box'),
+        'the map label shows the new name');
+});
+
+test('Download JSON hands the draft to the app download', async () => {
+    page = await bootApp();
+    const { app } = page;
+    const downloads = [];
+    app.downloadFile = (content, fileName, type) => downloads.push({ content, fileName, type });
+
+    app.scenarioEditor.open();
+    app.scenarioEditor.draft.name = 'Draft';
+    app.scenarioEditor.runAction('download');
+
+    assert.equal(downloads.length, 1);
+    assert.equal(downloads[0].type, 'application/json');
+    assert.match(downloads[0].fileName, /^custom-\d+\.json$/);
+    assert.equal(JSON.parse(downloads[0].content).name, 'Draft');
+});
@@ -0,0 +1,74 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp } from './helpers/boot-app.js';
+
+// scenario-3: strike paths 0-1 in phase 1, paths 2-3 and zone 1 in phase 2, zone 0 in neither
+const PHASED_SCENARIO = 2;
+
+let page;
+let stepper;
+
+beforeEach(async () => {
+    page = await bootApp();
+    stepper = page.document.getElementById('scenario-stepper');
+});
+
+afterEach(() => {
+    page.close();
+});
+
+function drawnIds() {
+    const { circles, polylines } = page.app.mapEngine.getLayerIds();
+    return [...circles, ...polylines].filter(id => /^(zone|strike-path)-/.test(id)).sort();
+}
+
+function clickButton(text) {
+    [...stepper.querySelectorAll('button')].find(button => button.textContent.includes(text)).click();
+}
+
+test('a phased scenario opens on its first phase', () => {
+    page.app.loadScenario(PHASED_SCENARIO);
+
+    assert.ok(!stepper.classList.contains('hidden'));
+    assert.equal(stepper.querySelector('.stepper-count').textContent, 'Phase 1 of 2');
+    assert.equal(stepper.querySelector('.stepper-caption h4').textContent, 'Phase 1 - Nuclear Infrastructure');
+    assert.ok(stepper.querySelector('[data-step="-1"]').disabled);
+    assert.deepEqual(drawnIds(), ['strike-path-0', 'strike-path-1', 'zone-0']);
+});
+
+test('Next adds the following phase and moves the camera to it', () => {
+    const { app } = page;
+    app.loadScenario(PHASED_SCENARIO);
+
+    clickButton('Next');
+
+    assert.equal(stepper.querySelector('.stepper-count').textContent, 'Phase 2 of 2');
+    assert.deepEqual(drawnIds(),
+        ['strike-path-0', 'strike-path-1', 'strike-path-2', 'strike-path-3', 'zone-0', 'zone-1']);
+    assert.deepEqual(app.mapEngine.getView().center, app.data.scenarios[PHASED_SCENARIO].phases[1].camera.center);
+    assert.equal(stepper.querySelectorAll('.stepper-segment.done').length, 1);
+});
+
+test('exclusive mode shows only the current phase and the arrow keys step back', () => {
+    const { app, window } = page;
+    app.loadScenario(PHASED_SCENARIO);
+    app.scenarioManager.goToPhase(1);
+
+    clickButton('Exclusive');
+    assert.equal(app.scenarioManager.phaseMode, 'exclusive');
+    assert.deepEqual(drawnIds(), ['strike-path-2', 'strike-path-3', 'zone-0', 'zone-1']);
+
+    stepper.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowLeft' }));
+    assert.equal(app.scenarioManager.phaseIndex, 0);
+    assert.deepEqual(drawnIds(), ['strike-path-0', 'strike-path-1', 'zone-0']);
+});
+
+test('the stepper is hidden for scenarios without phases', () => {
+    const { app } = page;
+    app.loadScenario(PHASED_SCENARIO);
+    app.loadScenario(0);
+
+    assert.ok(stepper.classList.contains('hidden'));
+    assert.equal(app.scenarioManager.phaseIndex, null);
+});
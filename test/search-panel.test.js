@@ -0,0 +1,80 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp } from './helpers/boot-app.js';
+
+let page;
+
+beforeEach(async () => {
+    page = await bootApp();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+function type(text) {
+    const input = page.document.getElementById('search-input');
+    input.value = text;
+    input.dispatchEvent(new page.window.Event('input'));
+    return input;
+}
+
+function findChip(label) {
+    return [...page.document.querySelectorAll('#search-facets .search-chip')]
+        .find(button => button.textContent === label);
+}
+
+test('a misspelled name finds the unit, grouped under its layer', () => {
+    type('lincln');
+
+    const results = page.document.getElementById('search-results');
+    assert.ok(!results.classList.contains('hidden'));
+    assert.equal(results.querySelector('.search-group-label').textContent, 'U.S. Forces');
+    assert.equal(results.querySelector('.search-result-name').textContent, 'USS Abraham Lincoln');
+});
+
+test('Enter on a result flies to the unit and opens its info panel', () => {
+    const { app, document, window } = page;
+
+    const input = type('Mustin');
+    input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+
+    const escort = app.data.forces.escorts.find(unit => unit.id === 'ddg-89');
+    assert.equal(app.selectedForce, escort);
+    assert.deepEqual(app.mapEngine.getView().center, escort.coordinates);
+    assert.ok(!document.getElementById('info-panel').classList.contains('hidden'));
+    assert.ok(document.getElementById('search-results').classList.contains('hidden'));
+});
+
+test('a capability filter restricts the units drawn on the map', () => {
+    const { app } = page;
+
+    findChip('BMD capable').click();
+    // The chips are rendered again with their new state
+    assert.equal(findChip('BMD capable').getAttribute('aria-pressed'), 'true');
+    assert.deepEqual([...app.state.filters.capability], ['BMD capable']);
+
+    const { markers } = app.mapEngine.getLayerIds();
+    assert.ok(markers.includes('ddg-89'));
+    assert.ok(markers.includes('cg-63'));
+    ['cvn-69', 'cvn-72', 'ddg-112', 'al-udeid'].forEach(id => assert.ok(!markers.includes(id), id));
+    assert.equal(page.document.getElementById('search-filters-btn').textContent, 'Filters (1)');
+});
+
+test('a country filter applies to units and allies, and clearing it restores them', () => {
+    const { app, document } = page;
+
+    findChip('Kuwait').click();
+    let { markers } = app.mapEngine.getLayerIds();
+    assert.ok(markers.includes('ali-al-salem'));
+    assert.ok(markers.includes('ally-kuwait'));
+    assert.ok(!markers.includes('al-udeid'));
+    assert.ok(!markers.includes('ally-qatar'));
+
+    document.querySelector('#search-facets .search-clear-filters').click();
+    ({ markers } = app.mapEngine.getLayerIds());
+    assert.ok(markers.includes('al-udeid'));
+    assert.ok(markers.includes('ally-qatar'));
+    assert.equal(app.state.filters.country.size, 0);
+});
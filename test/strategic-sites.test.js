@@ -0,0 +1,106 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp, settle } from './helpers/boot-app.js';
+
+const HOSTILE = '<img src="x" onerror="window.hacked = true">';
+
+let page;
+
+afterEach(() => {
+    page.close();
+});
+
+function setChecked(input, checked) {
+    input.checked = checked;
+    input.dispatchEvent(new page.window.Event('change'));
+}
+
+// Serves data/sites.json with changes, as if the file had been edited
+function editSites(edit) {
+    return () => {
+        const { fetch } = globalThis;
+        globalThis.fetch = async (url) => {
+            const response = await fetch(url);
+            if (url !== 'data/sites.json') return response;
+
+            const sites = await response.json();
+            edit(sites);
+            return new Response(JSON.stringify(sites));
+        };
+    };
+}
+
+test('each site category gets a sub-toggle that hides and shows its sites', async () => {
+    page = await bootApp();
+    const { app, document } = page;
+    const siteIds = (category) => app.data.sites.sites
+        .filter(site => site.category === category)
+        .map(site => site.id);
+
+    const toggles = [...document.querySelectorAll('#site-category-toggles .sub-toggle')];
+    assert.deepEqual(toggles.map(toggle => toggle.querySelector('.label').textContent),
+        app.data.sites.categories.map(category => category.name));
+    assert.equal(document.querySelectorAll('#legend-site-categories .legend-item').length, toggles.length);
+
+    setChecked(document.getElementById('toggle-targets'), true);
+    const nuclear = toggles[app.data.sites.categories.findIndex(category => category.id === 'nuclear')];
+
+    setChecked(nuclear.querySelector('input'), false);
+    let { markers } = app.mapEngine.getLayerIds();
+    siteIds('nuclear').forEach(id => assert.ok(!markers.includes(id), `${id} is hidden`));
+    siteIds('military').forEach(id => assert.ok(markers.includes(id), `${id} is still shown`));
+
+    setChecked(nuclear.querySelector('input'), true);
+    ({ markers } = app.mapEngine.getLayerIds());
+    siteIds('nuclear').forEach(id => assert.ok(markers.includes(id), `${id} is shown again`));
+});
+
+test('clicking a site shows its category, description and sources', async () => {
+    page = await bootApp();
+    const { app, document, provider } = page;
+    const site = app.data.sites.sites.find(each => each.id === 'natanz');
+
+    setChecked(document.getElementById('toggle-targets'), true);
+    await settle();
+    provider.clickMarker(site.name);
+
+    const info = document.getElementById('info-content');
+    assert.equal(info.querySelector('h3').textContent, site.name);
+    assert.match(info.textContent, /Category: Nuclear Facilities/);
+    assert.ok(info.textContent.includes(site.description));
+    assert.ok(info.querySelector('.citations'));
+});
+
+test('site and category text is shown as text and only http(s) images are shown', async () => {
+    page = await bootApp({
+        beforeInit: editSites(({ categories, sites }) => {
+            categories[0].name = HOSTILE;
+            Object.assign(sites[0], {
+                name: HOSTILE,
+                description: '<b>bold</b>',
+                imagery: [
+                    { url: 'javascript:alert(1)', caption: 'Script' },
+                    { url: 'https://example.com/natanz.jpg', caption: HOSTILE, credit: 'Example' }
+                ]
+            });
+        })
+    });
+    const { app, document } = page;
+
+    const labels = [...document.querySelectorAll('#site-category-toggles .label, #legend-site-categories span:last-child')];
+    assert.equal(labels.filter(label => label.textContent === HOSTILE).length, 2, 'toggle and legend');
+    assert.equal(document.querySelector('#site-category-toggles img, #legend-site-categories img'), null);
+
+    app.showTargetInfo(app.data.sites.sites[0]);
+    const info = document.getElementById('info-content');
+    assert.equal(info.querySelector('h3').textContent, HOSTILE);
+    assert.ok(info.textContent.includes(`Category: ${HOSTILE}`));
+    assert.ok(info.textContent.includes('<b>bold</b>'));
+    assert.equal(info.querySelector('b'), null);
+
+    const images = [...info.querySelectorAll('img')];
+    assert.deepEqual(images.map(image => image.getAttribute('src')), ['https://example.com/natanz.jpg']);
+    assert.equal(images[0].alt, HOSTILE);
+    assert.equal(info.querySelector('figcaption').textContent, `${HOSTILE} · Example`);
+});
@@ -0,0 +1,91 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp } from './helpers/boot-app.js';
+import { DAY, parseDate, toIsoDate } from '../js/date-utils.js';
+
+let page;
+let timeline;
+
+beforeEach(async () => {
+    page = await bootApp();
+    timeline = page.app.timelineController;
+});
+
+afterEach(() => {
+    page.close();
+});
+
+function button(selector) {
+    return page.document.querySelector(`.timeline-zoom-btn${selector}`);
+}
+
+test('the slider covers the whole timeline in hours and starts at its end', () => {
+    const slider = page.document.getElementById('timeline-slider');
+
+    assert.equal(Number(slider.min), 0);
+    assert.equal(Number(slider.max) * 60 * 60 * 1000, timeline.end - timeline.start);
+    assert.equal(slider.value, slider.max);
+    assert.equal(toIsoDate(timeline.getDate()), '2025-01-28');
+});
+
+test('zooming to a week narrows the slider to seven days around the date', () => {
+    button('[data-zoom="week"]').click();
+
+    const slider = page.document.getElementById('timeline-slider');
+    assert.equal((Number(slider.max) - Number(slider.min)) * 60 * 60 * 1000, 7 * DAY);
+    assert.equal(toIsoDate(timeline.view.end), '2025-01-28');
+    assert.ok(button('[data-zoom="week"]').classList.contains('active'));
+    assert.equal(button('[data-pan="1"]').disabled, true, 'already at the latest date');
+    assert.equal(button('[data-pan="-1"]').disabled, false);
+});
+
+test('panning earlier moves the window and carries the date along', () => {
+    timeline.setZoom('week');
+    const before = timeline.view.start.getTime();
+
+    button('[data-pan="-1"]').click();
+
+    assert.equal(timeline.view.start.getTime(), before - 3.5 * DAY);
+    assert.equal(timeline.getDate().getTime(), timeline.view.end.getTime());
+    assert.equal(page.app.getTimelineDate().getTime(), timeline.view.end.getTime());
+    assert.equal(button('[data-pan="1"]').disabled, false);
+});
+
+test('the whole timeline can be reached by panning a zoomed window', () => {
+    timeline.setZoom('month');
+    for (let i = 0; i < 10; i++) {
+        timeline.pan(-1);
+    }
+
+    assert.equal(timeline.view.start.getTime(), timeline.start.getTime());
+    assert.equal(button('[data-pan="-1"]').disabled, true);
+
+    timeline.setDate(parseDate('2024-12-02'));
+    assert.equal(toIsoDate(timeline.getDate()), '2024-12-02');
+
+    timeline.pan(1);
+    assert.equal(timeline.getDate().getTime(), timeline.view.start.getTime(), 'date stays inside the window');
+});
+
+test('panning does nothing with the whole timeline shown', () => {
+    const view = { ...timeline.view };
+    timeline.pan(-1);
+
+    assert.deepEqual(timeline.view, view);
+    assert.equal(button('[data-pan="-1"]').disabled, true);
+    assert.equal(button('[data-pan="1"]').disabled, true);
+});
+
+test('dates are matched to their phase and reported to listeners', () => {
+    const changes = [];
+    timeline.onChange((date, phase) => changes.push({ date: toIsoDate(date), phase: phase && phase.id }));
+
+    timeline.setDate(parseDate('2024-12-10'));
+    timeline.setDate(parseDate('2030-01-01'));
+
+    assert.deepEqual(changes, [
+        { date: '2024-12-10', phase: 'phase-1' },
+        { date: '2025-01-28', phase: 'phase-4' }
+    ]);
+});
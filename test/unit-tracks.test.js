@@ -0,0 +1,102 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp } from './helpers/boot-app.js';
+import { getUnitStateAt } from '../js/unit-tracks.js';
+import { parseDate } from '../js/date-utils.js';
+
+let page;
+
+beforeEach(async () => {
+    page = await bootApp();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+// Center of a circle as last drawn on the memory map
+function getCircleCenter(id) {
+    return page.app.mapEngine.circles.get(id).feature.options.center;
+}
+
+test('the timeline header shows the starting date and phase on load', () => {
+    const { document } = page;
+
+    assert.equal(document.getElementById('timeline-date').textContent, 'January 28, 2025');
+    assert.equal(document.getElementById('current-status').textContent, 'Current Position');
+});
+
+test('units move along their tracks and are absent before arriving', () => {
+    const { app } = page;
+    const carrier = app.data.forces.carriers[0];
+
+    assert.equal(getUnitStateAt(carrier, parseDate('2024-12-15')).present, false);
+
+    const first = carrier.track[0];
+    const state = getUnitStateAt(carrier, parseDate(first.date));
+    assert.equal(state.present, true);
+    assert.deepEqual(state.coordinates, first.coordinates);
+});
+
+test('positions are interpolated between track points and units fade in and out', () => {
+    const unit = {
+        coordinates: [0, 0],
+        track: [
+            { date: '2025-01-01', coordinates: [50, 20] },
+            { date: '2025-01-11', coordinates: [60, 30] }
+        ],
+        departed: '2025-01-20'
+    };
+
+    const arriving = getUnitStateAt(unit, parseDate('2025-01-02'));
+    assert.deepEqual(arriving.coordinates, [51, 21]);
+    assert.equal(arriving.opacity, 0.5);
+
+    const midway = getUnitStateAt(unit, parseDate('2025-01-06'));
+    assert.deepEqual(midway.coordinates, [55, 25]);
+    assert.equal(midway.opacity, 1);
+
+    assert.equal(getUnitStateAt(unit, parseDate('2025-01-19')).opacity, 0.5);
+    assert.equal(getUnitStateAt(unit, parseDate('2025-01-20')).present, false);
+    assert.deepEqual(getUnitStateAt({ coordinates: [1, 2] }, parseDate('2025-01-01')),
+        { coordinates: [1, 2], opacity: 1, present: true });
+});
+
+test('range rings follow the base track and leave with the base', () => {
+    const { app } = page;
+    const base = app.data.forces.airbases[0];
+    base.track = [
+        { date: '2025-01-10', coordinates: [50.0, 26.0] },
+        { date: '2025-01-20', coordinates: [51.0, 25.0] }
+    ];
+    base.departed = '2025-01-25';
+    app.setLayers({ ranges: true });
+
+    const id = `range-${base.id}`;
+    app.timelineController.setDate(parseDate('2025-01-05'));
+    assert.ok(!app.mapEngine.getLayerIds().circles.includes(id), 'not deployed yet');
+
+    app.timelineController.setDate(parseDate('2025-01-10'));
+    assert.ok(app.mapEngine.getLayerIds().circles.includes(id));
+    assert.deepEqual(getCircleCenter(id), [50.0, 26.0]);
+
+    app.timelineController.setDate(parseDate('2025-01-20'));
+    assert.deepEqual(getCircleCenter(id), [51.0, 25.0]);
+
+    app.timelineController.setDate(parseDate('2025-01-26'));
+    assert.ok(!app.mapEngine.getLayerIds().circles.includes(id), 'withdrawn');
+});
+
+test('the info panel shows the position as of the slider date', () => {
+    const { app, document } = page;
+    const carrier = app.data.forces.carriers[0];
+
+    app.showForceInfo(carrier);
+    app.timelineController.setDate(parseDate('2025-01-04'));
+
+    const content = document.getElementById('info-content').textContent;
+    assert.match(content, /As of: January 4, 2025/);
+    const [lng, lat] = getUnitStateAt(carrier, app.getTimelineDate()).coordinates;
+    assert.ok(content.includes(`${lat.toFixed(2)}°N, ${lng.toFixed(2)}°E`));
+});
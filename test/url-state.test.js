@@ -0,0 +1,79 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bootApp, settle } from './helpers/boot-app.js';
+import { encodeViewState, decodeViewState } from '../js/url-state.js';
+import { toIsoDate } from '../js/date-utils.js';
+
+const LAYER_KEYS = ['forces', 'allies', 'targets', 'ranges'];
+
+let page;
+
+afterEach(() => {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+// Write the pending view change to the URL now instead of after the delay
+function commitNow(app) {
+    clearTimeout(app.urlState.timer);
+    app.urlState.commit();
+}
+
+test('view state survives encoding and decoding', () => {
+    const view = {
+        scenario: 'scenario-2',
+        date: new Date('2025-01-09T06:00:00Z'),
+        layers: { forces: true, allies: false, targets: true, ranges: false },
+        camera: { center: [54, 27], zoom: 5.5, tilt: 45, heading: 10 },
+        unit: 'cvn-69'
+    };
+
+    const hash = encodeViewState(view);
+    assert.equal(hash, 'scenario=scenario-2&date=2025-01-09T06:00Z&layers=forces,targets' +
+        '&camera=54.0000,27.0000,5.5,45,10&unit=cvn-69');
+    assert.deepEqual(decodeViewState(`#${hash}`, LAYER_KEYS), view);
+    assert.equal(decodeViewState('', LAYER_KEYS), null);
+});
+
+test('a shared link restores the scenario, date, layers, camera and unit', async () => {
+    page = await bootApp({
+        url: '?map=memory#scenario=scenario-1&date=2025-01-09&layers=forces,ranges' +
+            '&camera=52.0000,26.0000,6,0,0&unit=cvn-69'
+    });
+    const { app, document } = page;
+
+    assert.equal(app.data.scenarios[app.state.currentScenario].id, 'scenario-1');
+    assert.equal(toIsoDate(app.getTimelineDate()), '2025-01-09');
+    assert.deepEqual(app.state.layers, { forces: true, allies: false, targets: false, ranges: true });
+    assert.deepEqual(app.mapEngine.getView().center, [52, 26]);
+    assert.equal(app.selectedForce.id, 'cvn-69');
+    assert.ok(!document.getElementById('info-panel').classList.contains('hidden'));
+
+    const { markers, circles } = app.mapEngine.getLayerIds();
+    assert.ok(markers.includes('cvn-69'));
+    assert.ok(!markers.includes('cvn-72'), 'not in theatre on the linked date');
+    assert.ok(circles.includes('range-al-udeid'));
+});
+
+test('view changes are recorded in the hash and back restores the previous view', async () => {
+    page = await bootApp();
+    const { app, window } = page;
+
+    app.loadScenario(0);
+    commitNow(app);
+    const first = window.location.hash;
+    assert.match(first, /scenario=scenario-1/);
+
+    app.loadScenario(1);
+    commitNow(app);
+    assert.match(window.location.hash, /scenario=scenario-2/);
+
+    window.history.back();
+    await settle();
+
+    assert.equal(window.location.hash, first);
+    assert.equal(app.data.scenarios[app.state.currentScenario].id, 'scenario-1');
+});